@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { Truck, Package, Settings, BarChart3, FileText, Map } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Truck, Package, Settings, BarChart3, FileText, Map, MapPin, Container, History } from 'lucide-react';
 import OrderIntake from './components/OrderIntake';
 import MaterialTypeModal from './components/MaterialTypeModal';
 import PlanCreation from './components/PlanCreation';
@@ -8,17 +8,40 @@ import TruckVisualization from './components/TruckVisualization';
 import RouteVisualization from './components/RouteVisualization';
 import CreatePlanPage from './components/CreatePlanPage';
 import ErrorBoundary from './components/ErrorBoundary';
-import { sampleOrders, vehicleTypes, routes } from './data/mockData';
-import { distributeOrdersAcrossVehicles, calculateOrderTotals } from './utils/vehicleOptimization';
+import RouteMaster from './components/RouteMaster';
+import FleetMaster from './components/FleetMaster';
+import PlanHistory from './components/PlanHistory';
+import { sampleOrders } from './data/mockData';
+import { distributeOrdersAcrossVehicles, calculateOrderTotals, collectUnplacedOrders, planOverflowVehicles, fitsAvailability, findUnassignedOrders, moveOrderToVehicle, getPinnedVehicles, rekeyPins } from './utils/vehicleOptimization';
 import { LoadOptimizer } from './utils/loadOptimization';
+import { mergeImportedOrders } from './utils/excelParser';
+import { fingerprintPlanInputs, ENGINE_VERSION } from './utils/planFingerprint';
+import { loadRoutes, resolveRoute, findUnknownLanes } from './utils/routeMaster';
+import { loadFleet, getAvailableVehicleCounts } from './utils/fleetMaster';
 import GoogleMapsService from './services/googleMapsService';
+import PlanStorage from './services/planStorage';
+import { getOrderBookings, applyPlanStatusToOrders, transitionPlan, isPlanLocked, findOverlappingPlans, getGeneratedPlanId } from './utils/planLifecycle';
+
+const planStorage = new PlanStorage();
+
+// Unplaced reasons that belong to the plan as a whole rather than to one vehicle's load plan
+const PLAN_LEVEL_UNPLACED_REASONS = ['no_vehicle_available', 'no_temperature_compartment', 'no_overflow_vehicle', 'overflow_limit_reached'];
+
+const collectPalletBuildSheets = (vehicles) =>
+  vehicles.flatMap(vehicle =>
+    (vehicle.loadPlan.palletBuildSheets || []).map(sheet => ({ ...sheet, vehicleId: vehicle.id }))
+  );
 
 function App() {
   const [currentView, setCurrentView] = useState('orders');
+  const [orders, setOrders] = useState(sampleOrders);
+  const [routes, setRoutes] = useState(loadRoutes);
+  const [fleet, setFleet] = useState(loadFleet);
   const [selectedOrders, setSelectedOrders] = useState([]);
   const [materialTypeModalOpen, setMaterialTypeModalOpen] = useState(false);
   const [selectedMaterialTypes, setSelectedMaterialTypes] = useState([]);
   const [planData, setPlanData] = useState(null);
+  const [savedPlans, setSavedPlans] = useState([]);
   const [constraintsModalOpen, setConstraintsModalOpen] = useState(false);
   const [constraints, setConstraints] = useState({
     priorities: ['all'],
@@ -32,7 +55,121 @@ function App() {
   const googleMapsApiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || 'YOUR_API_KEY_HERE';
   const googleMapsService = new GoogleMapsService(googleMapsApiKey);
 
+  const refreshSavedPlans = () =>
+    planStorage.listPlans()
+      .then(setSavedPlans)
+      .catch(error => console.error('Failed to load saved plans:', error));
+
+  useEffect(() => {
+    refreshSavedPlans();
+  }, []);
+
+  // Orders take their status from the active saved plan holding them, so they are not booked twice
+  const orderBookings = useMemo(() => getOrderBookings(savedPlans), [savedPlans]);
+  const ordersWithPlanStatus = useMemo(
+    () => applyPlanStatusToOrders(orders, orderBookings),
+    [orders, orderBookings]
+  );
+
+  // Orders of the given list already held by an active plan other than the excluded ones
+  const findBookedOrders = (candidateOrders, excludedPlanIds) =>
+    candidateOrders.filter(order =>
+      orderBookings.has(order.id) && !excludedPlanIds.includes(orderBookings.get(order.id).planId)
+    );
+
+  const handleReopenPlan = async (planId) => {
+    const plan = await planStorage.getPlan(planId);
+    if (!plan) return;
+    setPlanData(plan);
+    setSelectedOrders(plan.orders);
+    setSelectedMaterialTypes(plan.materialTypes || []);
+    setCurrentView('createplan');
+  };
+
+  const handleDuplicatePlan = async (planId) => {
+    try {
+      const copy = await planStorage.duplicatePlan(planId);
+      await refreshSavedPlans();
+      alert(`Created ${copy.id} as a draft copy of ${planId}`);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleArchivePlan = async (planId) => {
+    const plan = savedPlans.find(saved => saved.id === planId);
+    if (['confirmed', 'dispatched'].includes(plan?.status)) {
+      alert(`${planId} is ${plan.status}. Cancel it or mark it delivered before archiving.`);
+      return;
+    }
+    if (!window.confirm(`Archive ${planId}? Its orders become available for planning again.`)) return;
+    try {
+      await planStorage.archivePlan(planId);
+    } catch (error) {
+      alert(error.message);
+    }
+    refreshSavedPlans();
+  };
+
+  const handleRestorePlan = async (planId) => {
+    const plan = savedPlans.find(saved => saved.id === planId);
+    const booked = findBookedOrders(plan?.orders || [], [planId]);
+    if (booked.length > 0) {
+      alert(
+        `Cannot restore ${planId}: ${booked.map(order => `${order.id} (${orderBookings.get(order.id).planId})`).join(', ')} ` +
+        'already belong to another active plan.'
+      );
+      return;
+    }
+    await planStorage.setArchived(planId, false);
+    refreshSavedPlans();
+  };
+
+  const handleTransitionPlan = async (planId, toStatus) => {
+    const plan = savedPlans.find(saved => saved.id === planId);
+    if (!plan) return;
+
+    // A plan can only be confirmed while no other active plan holds any of its orders
+    if (toStatus === 'confirmed') {
+      const overlaps = findOverlappingPlans(plan, savedPlans);
+      if (overlaps.length > 0) {
+        alert(
+          `Cannot confirm ${planId}; these orders are also in other active plans:\n\n` +
+          overlaps.map(overlap => `${overlap.planId}: ${overlap.orderIds.join(', ')}`).join('\n') +
+          '\n\nArchive or cancel those plans first.'
+        );
+        return;
+      }
+    }
+    if (toStatus === 'cancelled' && !window.confirm(`Cancel ${planId}? Its orders return to unplanned.`)) {
+      return;
+    }
+
+    try {
+      const saved = await planStorage.savePlan(transitionPlan(plan, toStatus));
+      if (planData?.id === planId) {
+        setPlanData(saved);
+      }
+      refreshSavedPlans();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleOrdersImport = (importedOrders, mode) => {
+    const result = mergeImportedOrders(orders, importedOrders, mode);
+    setOrders(result.orders);
 
+    // Keep the selection pointing at the current version of each order
+    const ordersById = new Map(result.orders.map(order => [order.id, order]));
+    setSelectedOrders(selected => selected.map(order => ordersById.get(order.id) || order));
+
+    alert(
+      `Imported ${result.added} new order(s)` +
+      (result.replaced > 0 ? `, replaced ${result.replaced}` : '') +
+      (result.skipped > 0 ? `, kept ${result.skipped} existing` : '')
+    );
+  };
 
   const handleCreatePlan = () => {
     if (selectedOrders.length === 0) {
@@ -69,65 +206,276 @@ function App() {
     setCurrentView('createplan');
   };
 
+  // The fleet master's current spec for a plan vehicle, falling back to the copy stored with the plan
+  const getVehicleSpec = (vehicle) => fleet.vehicleTypes.find(vt => vt.id === vehicle.type) || vehicle.vehicleType;
+
+  // Attach a load plan to a vehicle; seeding by plan fingerprint and vehicle id keeps it reproducible
+  const optimizeVehicleLoad = (vehicle, inputFingerprint, planConstraints = constraints) => {
+    const loadOptimizer = new LoadOptimizer(getVehicleSpec(vehicle), planConstraints);
+    const loadPlan = loadOptimizer.optimizeLoad(vehicle.orders, {
+      dropPoints: vehicle.dropPoints,
+      seed: `${inputFingerprint}:${vehicle.id}`
+    });
+
+    return {
+      ...vehicle,
+      loadPlan,
+      optimizedPositions: loadPlan.items
+    };
+  };
+
+  // Total cost based on actual routes and distances
+  const calculatePlanCost = (vehicles) => vehicles.reduce((sum, vehicle) => {
+    const vehicleType = getVehicleSpec(vehicle);
+    const distance = resolveRoute(routes, vehicle.route)?.distance || 0;
+    return sum + (vehicleType?.costPerKm * distance) + (vehicleType?.fixedCost || 0);
+  }, 0);
+
+  const savePlanEdit = async (plan) => {
+    try {
+      setPlanData(await planStorage.savePlan(plan));
+    } catch (error) {
+      console.error('Failed to save plan:', error);
+      alert(`The change was applied but could not be saved: ${error.message}`);
+      setPlanData(plan);
+    }
+    refreshSavedPlans();
+  };
+
+  // Move an order between vehicles of the open plan, re-optimising only the vehicles it touched
+  const handleMoveOrder = async ({ orderId, fromVehicleId }, target) => {
+    if (!planData) return;
+    if (isPlanLocked(planData)) {
+      alert(`${planData.id} is ${planData.status} and locked. Move it back to draft before editing it.`);
+      return;
+    }
+
+    let moved;
+    try {
+      moved = moveOrderToVehicle(planData.vehicles, { orderId, fromVehicleId }, target, fleet.vehicleTypes, {
+        loadingSequence: planData.loadingSequence,
+        dropPoints: planData.dropPoints,
+        allowMixedRoutes: planData.allowMixedRoutes,
+        availableVehicles: getAvailableVehicleCounts(fleet.availability, planData.planDate, planData.origin),
+        palletization: planData.constraints?.palletization
+      });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    const vehicles = moved.vehicles.map(vehicle => (moved.affectedIds.includes(vehicle.id)
+      ? optimizeVehicleLoad(vehicle, planData.inputFingerprint, planData.constraints)
+      : vehicle));
+
+    await savePlanEdit({
+      ...planData,
+      vehicles,
+      // A pinned order stays pinned to wherever it was moved
+      pins: rekeyPins(planData.pins, vehicles),
+      totalCost: calculatePlanCost(vehicles),
+      unplaced: [
+        ...vehicles.flatMap(vehicle => vehicle.loadPlan.unplaced),
+        ...(planData.unplaced || []).filter(item => PLAN_LEVEL_UNPLACED_REASONS.includes(item.unplacedReason?.type))
+      ],
+      palletBuildSheets: collectPalletBuildSheets(vehicles)
+    });
+  };
+
+  // Pinned orders keep their vehicle when the plan is re-optimised
+  const handleTogglePin = async (orderId, vehicleId) => {
+    if (!planData || isPlanLocked(planData)) return;
+
+    const { [orderId]: currentPin, ...pins } = planData.pins || {};
+    await savePlanEdit({
+      ...planData,
+      pins: currentPin === vehicleId ? pins : { ...pins, [orderId]: vehicleId }
+    });
+  };
+
+  // Save a hand-edited layout into its vehicle's load plan, re-checking everything that depends on positions
+  const handleUpdateLoadPlan = async (vehicleId, items) => {
+    if (!planData) return;
+    if (isPlanLocked(planData)) {
+      alert(`${planData.id} is ${planData.status} and locked. Move it back to draft before editing it.`);
+      return;
+    }
+
+    const vehicles = planData.vehicles.map(vehicle => {
+      if (vehicle.id !== vehicleId) return vehicle;
+      const loadPlan = new LoadOptimizer(getVehicleSpec(vehicle), planData.constraints).revalidateLoadPlan({ ...vehicle.loadPlan, items });
+      return { ...vehicle, loadPlan, optimizedPositions: loadPlan.items };
+    });
+
+    await savePlanEdit({ ...planData, vehicles });
+  };
+
   const handleGeneratePlan = async (planConfig) => {
+    // Every order must travel on a lane the route master knows; never guess a route
+    const unknownLanes = findUnknownLanes(routes, selectedOrders);
+    if (unknownLanes.length > 0) {
+      alert(
+        'Some orders use lanes that are not in the Route Master:\n\n' +
+        unknownLanes.map(({ lane, orderIds }) => `${lane || '(blank)'}: ${orderIds.join(', ')}`).join('\n') +
+        '\n\nAdd these lanes in Route Master before generating a plan.'
+      );
+      return;
+    }
+
+    // Vehicles can only come from what the fleet master has at the origin on the plan date
+    const { vehicleTypes } = fleet;
+    const availableVehicles = getAvailableVehicleCounts(fleet.availability, planConfig.planDate, planConfig.origin);
+    if (!fitsAvailability(planConfig.vehicles, availableVehicles)) {
+      alert(`The selected vehicles exceed what is available at ${planConfig.origin} on ${planConfig.planDate}. Adjust the selection or update Fleet Master.`);
+      return;
+    }
+
     // Enhanced plan generation with multiple vehicles using utility functions
     const { totalWeight, totalVolume } = calculateOrderTotals(selectedOrders);
 
+    // Pins on the open draft carry over, so re-optimisation keeps those orders together
+    const selectedIds = new Set(selectedOrders.map(order => order.id));
+    const pins = planData && !isPlanLocked(planData)
+      ? Object.fromEntries(Object.entries(planData.pins || {}).filter(([orderId]) => selectedIds.has(orderId)))
+      : {};
+    const pinnedVehicles = getPinnedVehicles(pins, planData?.vehicles);
+
     // Configure route strategy options
     const routeOptions = {
       routeStrategy: planConfig.routeStrategy || 'separate', // 'separate' or 'consolidate'
       loadingSequence: planConfig.loadingSequence || 'lifo',
       allowMixedRoutes: planConfig.allowMixedRoutes || false,
-      dropPoints: planConfig.dropPoints || 1
+      dropPoints: planConfig.dropPoints || 1,
+      availableVehicles,
+      pinnedVehicles
     };
 
+    // Same orders, vehicles and constraints always give the same plan and plan id
+    const inputFingerprint = fingerprintPlanInputs({
+      orders: selectedOrders,
+      vehicleTypes,
+      constraints,
+      planConfig: {
+        ...planConfig,
+        materialTypes: selectedMaterialTypes,
+        availableVehicles,
+        pinnedVehicles: pinnedVehicles.length > 0 ? pinnedVehicles : undefined
+      }
+    });
+
+    // Confirmed plans are locked until they are sent back to draft
+    if (planData && isPlanLocked(planData) && selectedOrders.some(order => orderBookings.get(order.id)?.planId === planData.id)) {
+      alert(`${planData.id} is ${planData.status} and locked. Move it back to draft before re-optimising.`);
+      return;
+    }
+
+    // Never book an order into a second active plan; replacing the open draft is fine.
+    // Plans past draft keep their id, so a regenerated plan takes the next revision of it.
+    const planId = getGeneratedPlanId(`PLAN_${inputFingerprint}`, savedPlans);
+    const overflowPlanId = getGeneratedPlanId(`PLAN_${inputFingerprint}_OVF`, savedPlans);
+    const replaceableIds = [planData?.id, planId, overflowPlanId].filter(id =>
+      !isPlanLocked(savedPlans.find(plan => plan.id === id))
+    );
+    const bookedOrders = findBookedOrders(selectedOrders, replaceableIds);
+    if (bookedOrders.length > 0) {
+      alert(
+        'Some selected orders are already in another active plan:\n\n' +
+        bookedOrders.map(order => `${order.id}: ${orderBookings.get(order.id).planId}`).join('\n') +
+        '\n\nArchive that plan or deselect these orders first.'
+      );
+      return;
+    }
+
     // Use the optimized distribution algorithm with route awareness
     const vehicles = distributeOrdersAcrossVehicles(selectedOrders, planConfig.vehicles, vehicleTypes, routeOptions);
+    if (vehicles.length === 0) {
+      alert(`No vehicles are available at ${planConfig.origin} on ${planConfig.planDate}. Update availability in Fleet Master.`);
+      return;
+    }
+
+    // Orders left without a vehicle because the fleet ran out are reported, not dropped
+    const unassignedOrders = findUnassignedOrders(selectedOrders, vehicles);
 
     // Enhanced load optimization for each vehicle
-    const optimizedVehicles = vehicles.map(vehicle => {
-      const vehicleSpec = vehicleTypes.find(vt => vt.id === vehicle.type);
-      const loadOptimizer = new LoadOptimizer(vehicleSpec, constraints);
-      const loadPlan = loadOptimizer.optimizeLoad(vehicle.orders);
-
-      return {
-        ...vehicle,
-        loadPlan,
-        optimizedPositions: loadPlan.items
-      };
-    });
+    const optimizeVehicle = (vehicle) => optimizeVehicleLoad(vehicle, inputFingerprint);
+
+    let optimizedVehicles = vehicles.map(optimizeVehicle);
+    let unplacedItems = [...optimizedVehicles.flatMap(vehicle => vehicle.loadPlan.unplaced), ...unassignedOrders];
+    let overflowReplanned = false;
+
+    // Cargo the packers could not place must never silently drop out of the plan
+    const unplacedOrders = collectUnplacedOrders(optimizedVehicles);
+    if (unplacedOrders.length > 0) {
+      const unplacedUnits = unplacedOrders.reduce((sum, order) => sum + order.quantity, 0);
+      const replan = window.confirm(
+        `${unplacedUnits} unit(s) from ${unplacedOrders.length} order(s) could not be loaded ` +
+        `(${unplacedOrders.map(order => order.id).join(', ')}).\n\n` +
+        'Re-plan and move them into overflow vehicles?'
+      );
 
-    // Calculate total cost based on actual routes and distances
-    const totalCost = optimizedVehicles.reduce((sum, vehicle) => {
-      const vehicleType = vehicleTypes.find(vt => vt.id === vehicle.type);
-      const routeInfo = routes.find(r => r.id === vehicle.route);
-      const distance = routeInfo?.distance || 1000; // Fallback to 1000km if route not found
-      return sum + (vehicleType?.costPerKm * distance);
-    }, 0);
+      if (replan) {
+        overflowReplanned = true;
+        const overflowPlan = planOverflowVehicles(optimizedVehicles, vehicleTypes, optimizeVehicle, {
+          ...routeOptions,
+          palletization: constraints.palletization
+        });
+        optimizedVehicles = overflowPlan.vehicles;
+        unplacedItems = [
+          ...optimizedVehicles.flatMap(vehicle => vehicle.loadPlan.unplaced),
+          ...overflowPlan.unplaced,
+          ...unassignedOrders
+        ];
+      }
+    }
+
+    const totalCost = calculatePlanCost(optimizedVehicles);
 
     const generatedPlan = {
-      id: `PLAN_${Date.now()}`,
+      // Overflow re-planning is a user decision on top of the inputs, so it gets its own id
+      id: overflowReplanned ? overflowPlanId : planId,
+      inputFingerprint,
+      engineVersion: ENGINE_VERSION,
+      status: 'draft',
       orders: selectedOrders,
       materialTypes: selectedMaterialTypes,
       constraints: constraints,
       vehicles: optimizedVehicles,
       vehicleConfig: planConfig.vehicles,
+      planDate: planConfig.planDate,
+      origin: planConfig.origin,
       dropPoints: planConfig.dropPoints,
       routeStrategy: planConfig.routeStrategy,
       loadingSequence: planConfig.loadingSequence,
       allowMixedRoutes: planConfig.allowMixedRoutes,
       totalCost: totalCost,
+      unplaced: unplacedItems,
+      palletBuildSheets: collectPalletBuildSheets(optimizedVehicles),
+      pins: rekeyPins(pins, optimizedVehicles),
       totalWeight: totalWeight,
       totalVolume: totalVolume,
       createdAt: new Date().toISOString()
     };
 
-    setPlanData(generatedPlan);
+    // A regenerated plan with different inputs replaces the open draft; locked plans stay as they are
+    try {
+      if (planData && !isPlanLocked(planData) && planData.id !== generatedPlan.id && savedPlans.some(plan => plan.id === planData.id)) {
+        await planStorage.archivePlan(planData.id);
+      }
+      setPlanData(await planStorage.savePlan(generatedPlan));
+    } catch (error) {
+      console.error('Failed to save plan:', error);
+      alert(`The plan was generated but could not be saved: ${error.message}`);
+      setPlanData(generatedPlan);
+    }
+    refreshSavedPlans();
   };
 
   const navigation = [
     { id: 'orders', label: 'Order Intake', icon: Package },
     { id: 'createplan', label: 'Create Plan', icon: Truck },
+    { id: 'plans', label: 'Plans', icon: History },
+    { id: 'routemaster', label: 'Route Master', icon: MapPin },
+    { id: 'fleet', label: 'Fleet Master', icon: Container },
     { id: 'reports', label: 'Reports', icon: FileText }
   ];
 
@@ -197,9 +545,38 @@ function App() {
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {currentView === 'orders' && (
           <OrderIntake
-            orders={sampleOrders}
+            orders={ordersWithPlanStatus}
+            routes={routes}
             selectedOrders={selectedOrders}
             onOrderSelection={setSelectedOrders}
+            onOrdersImport={handleOrdersImport}
+          />
+        )}
+
+        {currentView === 'plans' && (
+          <PlanHistory
+            plans={savedPlans}
+            onReopen={handleReopenPlan}
+            onDuplicate={handleDuplicatePlan}
+            onArchive={handleArchivePlan}
+            onRestore={handleRestorePlan}
+            onTransition={handleTransitionPlan}
+          />
+        )}
+
+        {currentView === 'routemaster' && (
+          <RouteMaster
+            routes={routes}
+            orders={orders}
+            onRoutesChange={setRoutes}
+          />
+        )}
+
+        {currentView === 'fleet' && (
+          <FleetMaster
+            fleet={fleet}
+            routes={routes}
+            onFleetChange={setFleet}
           />
         )}
 
@@ -207,6 +584,8 @@ function App() {
           selectedOrders.length > 0 ? (
             <PlanCreation
               selectedOrders={selectedOrders}
+              routes={routes}
+              fleet={fleet}
               materialTypes={selectedMaterialTypes}
               onGeneratePlan={handleGeneratePlan}
             />
@@ -231,9 +610,15 @@ function App() {
           selectedOrders.length > 0 ? (
             <CreatePlanPage
               selectedOrders={selectedOrders}
+              routes={routes}
+              fleet={fleet}
               materialTypes={selectedMaterialTypes}
               onGeneratePlan={handleGeneratePlan}
               planData={planData}
+              onTransitionPlan={handleTransitionPlan}
+              onMoveOrder={handleMoveOrder}
+              onTogglePin={handleTogglePin}
+              onUpdateLoadPlan={handleUpdateLoadPlan}
               googleMapsApiKey={googleMapsApiKey}
             />
           ) : (
@@ -288,6 +673,7 @@ function App() {
             >
               <RouteVisualization
                 planData={planData}
+                routes={routes}
                 googleMapsApiKey={googleMapsApiKey}
               />
             </ErrorBoundary>
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Settings, Weight, Ruler, Package, AlertTriangle, Info } from 'lucide-react';
+import { PALLET_TYPES, DEFAULT_PALLET_LIMITS } from '../utils/palletBuilder.js';
 
 const ConstraintsPanel = ({ constraints, onConstraintsChange }) => {
   const [localConstraints, setLocalConstraints] = useState(constraints);
@@ -10,6 +11,12 @@ const ConstraintsPanel = ({ constraints, onConstraintsChange }) => {
     onConstraintsChange(updated);
   };
 
+  const palletization = localConstraints.palletization || {};
+
+  const handlePalletizationChange = (key, value) => {
+    handleConstraintChange('palletization', { ...palletization, [key]: value });
+  };
+
   const handleStackingRuleChange = (category, rule, value) => {
     const updated = {
       ...localConstraints,
@@ -76,7 +83,7 @@ const ConstraintsPanel = ({ constraints, onConstraintsChange }) => {
           label: 'Maximum Axle Load (kg)',
           type: 'number',
           value: localConstraints.maxAxleLoad || 12000,
-          description: 'Maximum weight per axle'
+          description: 'Enforced on every axle: a plan with an axle over this limit (or the vehicle type\'s lower legal limit) cannot be confirmed'
         },
         {
           key: 'centerOfGravityLimit',
@@ -293,6 +300,82 @@ const ConstraintsPanel = ({ constraints, onConstraintsChange }) => {
             </div>
           ))}
 
+          {/* Palletisation */}
+          <div className="card">
+            <label className="flex items-center justify-between mb-4 cursor-pointer">
+              <span className="text-lg font-semibold">Palletisation</span>
+              <input
+                type="checkbox"
+                checked={palletization.enabled ?? false}
+                onChange={(e) => handlePalletizationChange('enabled', e.target.checked)}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+            </label>
+            {palletization.enabled && (
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Pallet Type</label>
+                  <select
+                    value={palletization.palletType || 'STD_1200x1000'}
+                    onChange={(e) => handlePalletizationChange('palletType', e.target.value)}
+                    className="input-field"
+                  >
+                    {Object.values(PALLET_TYPES).map((type) => (
+                      <option key={type.id} value={type.id}>{type.name}</option>
+                    ))}
+                    <option value="custom">Custom</option>
+                  </select>
+                </div>
+                {palletization.palletType === 'custom' && (
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Length (mm)</label>
+                      <input
+                        type="number"
+                        value={palletization.length || 1200}
+                        onChange={(e) => handlePalletizationChange('length', Number(e.target.value))}
+                        className="input-field"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Width (mm)</label>
+                      <input
+                        type="number"
+                        value={palletization.width || 1000}
+                        onChange={(e) => handlePalletizationChange('width', Number(e.target.value))}
+                        className="input-field"
+                      />
+                    </div>
+                  </div>
+                )}
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Max Height (mm)</label>
+                    <input
+                      type="number"
+                      value={palletization.maxHeight || DEFAULT_PALLET_LIMITS.maxHeight}
+                      onChange={(e) => handlePalletizationChange('maxHeight', Number(e.target.value))}
+                      className="input-field"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Max Weight (kg)</label>
+                    <input
+                      type="number"
+                      value={palletization.maxWeight || DEFAULT_PALLET_LIMITS.maxWeight}
+                      onChange={(e) => handlePalletizationChange('maxWeight', Number(e.target.value))}
+                      className="input-field"
+                    />
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 flex items-center">
+                  <Info className="h-3 w-3 mr-1" />
+                  Cartons are built onto pallets per drop point before truck loading
+                </p>
+              </div>
+            )}
+          </div>
+
           {/* Safety Warnings */}
           <div className="card border-yellow-200 bg-yellow-50">
             <div className="flex items-start">
@@ -1,15 +1,24 @@
 import React, { useState } from 'react';
-import { Truck, BarChart3, Map, FileText } from 'lucide-react';
+import { Truck, BarChart3, Map, FileText, Shuffle } from 'lucide-react';
 import PlanCreation from './PlanCreation';
 import TruckVisualization from './TruckVisualization';
 import RouteVisualization from './RouteVisualization';
+import PlanEditor from './PlanEditor';
 import ErrorBoundary from './ErrorBoundary';
+import PlanStatusControls from './PlanStatusControls';
+import { isPlanLocked } from '../utils/planLifecycle.js';
 
 const CreatePlanPage = ({
   selectedOrders,
+  routes,
+  fleet,
   materialTypes,
   onGeneratePlan,
   planData,
+  onTransitionPlan,
+  onMoveOrder,
+  onTogglePin,
+  onUpdateLoadPlan,
   googleMapsApiKey
 }) => {
   const [activeTab, setActiveTab] = useState('plan-creation');
@@ -23,6 +32,7 @@ const CreatePlanPage = ({
 
   const tabs = [
     { id: 'plan-creation', label: 'Plan Creation', icon: Truck },
+    { id: 'plan-editor', label: 'Edit Assignments', icon: Shuffle },
     { id: '3d-view', label: '3D View', icon: BarChart3 },
     { id: 'route-map', label: 'Route Map', icon: Map }
   ];
@@ -37,8 +47,21 @@ const CreatePlanPage = ({
             Configure and visualize your dispatch plan for {selectedOrders.length} selected orders
           </p>
         </div>
+        {planData && (
+          <div className="text-right">
+            <div className="text-xs text-gray-500 mb-1">{planData.id}</div>
+            <PlanStatusControls plan={planData} onTransition={onTransitionPlan} />
+          </div>
+        )}
       </div>
 
+      {planData && isPlanLocked(planData) && (
+        <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+          This plan is {planData.status} and locked against re-optimisation.
+          {planData.status === 'confirmed' && ' Move it back to draft to change it.'}
+        </div>
+      )}
+
       {/* Tab Navigation */}
       <div className="border-b border-gray-200">
         <div className="flex space-x-8">
@@ -68,6 +91,8 @@ const CreatePlanPage = ({
           <PlanCreation
             key="plan-creation-component" // Add key to ensure proper re-rendering
             selectedOrders={selectedOrders}
+            routes={routes}
+            fleet={fleet}
             materialTypes={materialTypes}
             onGeneratePlan={(planConfig) => {
               console.log('Generating plan with config:', planConfig);
@@ -77,6 +102,32 @@ const CreatePlanPage = ({
           />
         )}
 
+        {activeTab === 'plan-editor' && (
+          planData ? (
+            <PlanEditor
+              planData={planData}
+              routes={routes}
+              fleet={fleet}
+              onMoveOrder={onMoveOrder}
+              onTogglePin={onTogglePin}
+            />
+          ) : (
+            <div className="card text-center py-12">
+              <Shuffle className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No Plan Generated</h3>
+              <p className="text-gray-600 mb-4">
+                Please create and generate a plan first to edit its vehicle assignments.
+              </p>
+              <button
+                onClick={() => setActiveTab('plan-creation')}
+                className="btn-primary"
+              >
+                Go to Plan Creation
+              </button>
+            </div>
+          )
+        )}
+
         {activeTab === '3d-view' && (
           planData ? (
             <ErrorBoundary
@@ -85,6 +136,7 @@ const CreatePlanPage = ({
             >
               <TruckVisualization
                 planData={planData}
+                onLoadPlanChange={onUpdateLoadPlan}
               />
             </ErrorBoundary>
           ) : (
@@ -112,6 +164,7 @@ const CreatePlanPage = ({
             >
               <RouteVisualization
                 planData={planData}
+                routes={routes}
                 googleMapsApiKey={googleMapsApiKey}
               />
             </ErrorBoundary>
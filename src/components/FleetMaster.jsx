@@ -0,0 +1,369 @@
+import { useState, useMemo } from 'react';
+import { Truck, Plus, Edit2, Trash2, Save, X, CalendarDays, RotateCcw } from 'lucide-react';
+import {
+  saveVehicleType,
+  deleteVehicleType,
+  setVehicleAvailability,
+  clearDayAvailability,
+  getAvailableVehicleCounts,
+  DOOR_POSITIONS
+} from '../utils/fleetMaster.js';
+
+const emptyForm = {
+  id: '',
+  name: '',
+  length: '',
+  width: '',
+  height: '',
+  maxWeight: '',
+  volume: '',
+  costPerKm: '',
+  fixedCost: '',
+  doorPosition: 'rear',
+  axles: []
+};
+
+const FleetMaster = ({ fleet, routes, onFleetChange }) => {
+  const { vehicleTypes, availability } = fleet;
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  // Origins come from the route master, plus any that already have vehicles
+  const origins = useMemo(() => [...new Set([
+    ...routes.map(route => route.origin),
+    ...Object.values(availability).flatMap(day => Object.keys(day))
+  ])].filter(Boolean).sort(), [routes, availability]);
+
+  const [day, setDay] = useState('default');
+  const [origin, setOrigin] = useState(origins[0] || '');
+  const counts = getAvailableVehicleCounts(availability, day, origin);
+  const hasDayOverride = day !== 'default' && Boolean(availability[day]?.[origin]);
+
+  const openForm = (vehicleType = null) => {
+    setEditingId(vehicleType?.id || null);
+    setForm(vehicleType
+      ? {
+          ...emptyForm,
+          ...vehicleType,
+          ...vehicleType.dimensions,
+          axles: (vehicleType.axles || []).map(axle => ({ ...axle }))
+        }
+      : { ...emptyForm, axles: [] });
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const handleChange = (key, value) => {
+    setForm(current => ({ ...current, [key]: value }));
+  };
+
+  const handleAxleChange = (index, key, value) => {
+    setForm(current => ({
+      ...current,
+      axles: current.axles.map((axle, i) => (i === index ? { ...axle, [key]: value } : axle))
+    }));
+  };
+
+  const handleAddAxle = () => {
+    setForm(current => ({
+      ...current,
+      axles: [...current.axles, { id: '', name: '', position: '', tareLoad: '', maxLoad: '' }]
+    }));
+  };
+
+  const handleRemoveAxle = (index) => {
+    setForm(current => ({ ...current, axles: current.axles.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = () => {
+    try {
+      onFleetChange(saveVehicleType({
+        ...form,
+        dimensions: {
+          length: Number(form.length),
+          width: Number(form.width),
+          height: Number(form.height)
+        },
+        maxWeight: Number(form.maxWeight)
+      }, editingId));
+      closeForm();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = (vehicleType) => {
+    if (window.confirm(`Delete vehicle type ${vehicleType.name}?`)) {
+      onFleetChange(deleteVehicleType(vehicleType.id));
+    }
+  };
+
+  const handleCountChange = (vehicleTypeId, value) => {
+    try {
+      onFleetChange(setVehicleAvailability({ day, origin, vehicleTypeId, count: Number(value) }));
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const formFields = [
+    { key: 'id', label: 'Type Code', placeholder: 'e.g. EICHER_17FT' },
+    { key: 'name', label: 'Name', placeholder: 'e.g. Eicher 17ft' },
+    { key: 'length', label: 'Body Length (mm)', type: 'number' },
+    { key: 'width', label: 'Body Width (mm)', type: 'number' },
+    { key: 'height', label: 'Body Height (mm)', type: 'number' },
+    { key: 'maxWeight', label: 'Payload (kg)', type: 'number' },
+    { key: 'volume', label: 'Volume (m³)', type: 'number', placeholder: 'Calculated from dimensions if blank' },
+    { key: 'costPerKm', label: 'Cost per km (₹)', type: 'number' },
+    { key: 'fixedCost', label: 'Fixed Cost per Trip (₹)', type: 'number' }
+  ];
+
+  const axleFields = [
+    { key: 'name', label: 'Axle', type: 'text' },
+    { key: 'position', label: 'Position (mm)', type: 'number' },
+    { key: 'tareLoad', label: 'Tare (kg)', type: 'number' },
+    { key: 'maxLoad', label: 'Max Load (kg)', type: 'number' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Fleet Master</h2>
+          <p className="text-gray-600 mt-1">
+            Vehicle types and how many of each are available per day at each origin.
+          </p>
+        </div>
+        <button onClick={() => openForm()} className="btn-primary flex items-center">
+          <Plus className="h-4 w-4 mr-2" />
+          Add Vehicle Type
+        </button>
+      </div>
+
+      {/* Vehicle type form */}
+      {form && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{editingId ? `Edit ${editingId}` : 'New Vehicle Type'}</h3>
+            <button onClick={closeForm} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {formFields.map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                <input
+                  type={field.type || 'text'}
+                  value={form[field.key]}
+                  placeholder={field.placeholder}
+                  onChange={(e) => handleChange(field.key, e.target.value)}
+                  className="input-field"
+                />
+              </div>
+            ))}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Door Position</label>
+              <select
+                value={form.doorPosition}
+                onChange={(e) => handleChange('doorPosition', e.target.value)}
+                className="input-field"
+              >
+                {DOOR_POSITIONS.map(door => (
+                  <option key={door.id} value={door.id}>{door.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Axles */}
+          <div className="mt-6">
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-medium text-gray-900">Axles</h4>
+              <button onClick={handleAddAxle} className="btn-secondary text-xs flex items-center">
+                <Plus className="h-3 w-3 mr-1" />
+                Add Axle
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mb-3">
+              Positions are measured from the front of the cargo body; negative positions are under the cab.
+            </p>
+            <div className="space-y-2">
+              {form.axles.map((axle, index) => (
+                <div key={index} className="grid grid-cols-5 gap-2 items-end">
+                  {axleFields.map(field => (
+                    <div key={field.key}>
+                      <label className="block text-xs text-gray-600 mb-1">{field.label}</label>
+                      <input
+                        type={field.type}
+                        value={axle[field.key]}
+                        onChange={(e) => handleAxleChange(index, field.key, e.target.value)}
+                        className="input-field"
+                      />
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => handleRemoveAxle(index)}
+                    className="text-gray-400 hover:text-red-600 mb-2"
+                    title="Remove axle"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button onClick={closeForm} className="btn-secondary">Cancel</button>
+            <button onClick={handleSave} className="btn-primary flex items-center">
+              <Save className="h-4 w-4 mr-2" />
+              Save Vehicle Type
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Vehicle types */}
+      <div className="card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="table-header">
+              <tr>
+                <th className="px-6 py-3 text-left">Vehicle Type</th>
+                <th className="px-6 py-3 text-left">Body (L×W×H)</th>
+                <th className="px-6 py-3 text-left">Payload</th>
+                <th className="px-6 py-3 text-left">Volume</th>
+                <th className="px-6 py-3 text-left">Cost</th>
+                <th className="px-6 py-3 text-left">Door</th>
+                <th className="px-6 py-3 text-left">Axles</th>
+                <th className="px-6 py-3 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {vehicleTypes.map(vehicleType => (
+                <tr key={vehicleType.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="flex items-center">
+                      <Truck className="h-4 w-4 text-gray-400 mr-2" />
+                      <div>
+                        <div className="text-sm font-medium text-gray-900">{vehicleType.name}</div>
+                        <div className="text-sm text-gray-500">{vehicleType.id}</div>
+                      </div>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {vehicleType.dimensions.length}×{vehicleType.dimensions.width}×{vehicleType.dimensions.height} mm
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{vehicleType.maxWeight} kg</td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{vehicleType.volume} m³</td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    ₹{vehicleType.costPerKm}/km
+                    <div className="text-xs text-gray-500">₹{vehicleType.fixedCost || 0} per trip</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {DOOR_POSITIONS.find(door => door.id === (vehicleType.doorPosition || 'rear'))?.label}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{vehicleType.axles?.length || 0}</td>
+                  <td className="px-6 py-4 text-right">
+                    <button
+                      onClick={() => openForm(vehicleType)}
+                      className="text-gray-400 hover:text-gray-600 mr-3"
+                      title="Edit vehicle type"
+                    >
+                      <Edit2 className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(vehicleType)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete vehicle type"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Availability */}
+      <div className="card">
+        <div className="flex items-center mb-4">
+          <CalendarDays className="h-5 w-5 text-gray-400 mr-2" />
+          <h3 className="text-lg font-semibold">Vehicle Availability</h3>
+        </div>
+        <div className="flex flex-wrap items-end gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Day</label>
+            <div className="flex items-center space-x-2">
+              <select
+                value={day === 'default' ? 'default' : 'date'}
+                onChange={(e) => setDay(e.target.value === 'default' ? 'default' : new Date().toLocaleDateString('en-CA'))}
+                className="input-field"
+              >
+                <option value="default">Every day (default)</option>
+                <option value="date">Specific date</option>
+              </select>
+              {day !== 'default' && (
+                <input
+                  type="date"
+                  value={day}
+                  onChange={(e) => e.target.value && setDay(e.target.value)}
+                  className="input-field"
+                />
+              )}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Origin</label>
+            <select value={origin} onChange={(e) => setOrigin(e.target.value)} className="input-field">
+              {origins.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+          {hasDayOverride && (
+            <button
+              onClick={() => onFleetChange(clearDayAvailability(day, origin))}
+              className="btn-secondary flex items-center"
+            >
+              <RotateCcw className="h-4 w-4 mr-2" />
+              Use default counts
+            </button>
+          )}
+        </div>
+
+        {day !== 'default' && !hasDayOverride && (
+          <p className="text-sm text-gray-500 mb-3">
+            Showing the default counts for {origin}. Changing a count saves counts for {day} only.
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          {vehicleTypes.map(vehicleType => (
+            <div key={vehicleType.id} className="p-3 border border-gray-200 rounded-lg">
+              <div className="text-sm font-medium text-gray-900 mb-2">{vehicleType.name}</div>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={counts[vehicleType.id] || 0}
+                onChange={(e) => handleCountChange(vehicleType.id, e.target.value)}
+                className="input-field"
+                disabled={!origin}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FleetMaster;
@@ -0,0 +1,111 @@
+import { getLoadDiagram, DIAGRAM_VIEWS } from '../utils/loadDiagrams.js';
+import { getStopColor } from '../utils/loadSnapshots.js';
+
+// One elevation drawn in millimetres; the SVG scales to the width it is given
+const DiagramView = ({ diagram, selectedItemId, onItemClick }) => {
+  const margin = Math.max(diagram.width, diagram.height) * 0.02;
+
+  return (
+    <svg
+      viewBox={`${-margin} ${-margin} ${diagram.width + margin * 2} ${diagram.height + margin * 2}`}
+      className="w-full h-auto"
+    >
+      <rect x={0} y={0} width={diagram.width} height={diagram.height} fill="#F9FAFB" stroke="#374151" strokeWidth={margin / 4} />
+      {diagram.shapes.map(shape => {
+        const selected = shape.itemId === selectedItemId;
+        const outlineProps = {
+          fill: shape.color,
+          fillOpacity: 0.85,
+          stroke: selected ? '#111827' : '#374151',
+          strokeWidth: selected ? margin / 2 : margin / 8,
+          className: onItemClick ? 'cursor-pointer' : undefined,
+          onClick: onItemClick && (() => onItemClick(shape.itemId))
+        };
+
+        return (
+          <g key={shape.itemId}>
+            <title>{`${shape.label} · stop ${shape.stop}`}</title>
+            {shape.shape === 'circle' ? (
+              <ellipse
+                cx={shape.x + shape.width / 2}
+                cy={shape.y + shape.height / 2}
+                rx={shape.width / 2}
+                ry={shape.height / 2}
+                {...outlineProps}
+              />
+            ) : (
+              <rect x={shape.x} y={shape.y} width={shape.width} height={shape.height} {...outlineProps} />
+            )}
+            {shape.labelSize && (
+              <text
+                x={shape.x + shape.width / 2}
+                y={shape.y + shape.height / 2}
+                fontSize={shape.labelSize}
+                textAnchor="middle"
+                dominantBaseline="central"
+                fill="#FFFFFF"
+                pointerEvents="none"
+              >
+                {shape.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Top, side and rear elevations of one vehicle's load, coloured by delivery stop
+const LoadDiagram = ({ vehicle, defaultBody, selectedItemId, onItemSelect }) => {
+  const loadPlan = vehicle.loadPlan;
+  const body = vehicle.vehicleType?.dimensions || defaultBody;
+
+  if (!loadPlan) {
+    return (
+      <div className="text-sm text-gray-500">
+        {vehicle.id} has no load plan; regenerate the plan to see its layout.
+      </div>
+    );
+  }
+
+  const handleItemClick = onItemSelect && ((itemId) => {
+    const item = loadPlan.items.find(candidate => candidate.id === itemId);
+    if (item) onItemSelect({ ...item, vehicleId: vehicle.id });
+  });
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-gray-900">
+          {vehicle.id} · {vehicle.vehicleType?.name || vehicle.type}
+        </h4>
+        <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+          {(loadPlan.stops || []).map((stop, index) => (
+            <span key={index} className="flex items-center">
+              <span className="w-3 h-3 rounded mr-1" style={{ backgroundColor: getStopColor(index) }} />
+              Stop {index + 1}: {stop.location}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-4 gap-4 items-end">
+        {DIAGRAM_VIEWS.map(view => (
+          <div key={view.id} className={view.id === 'rear' ? 'col-span-1' : 'col-span-3'}>
+            <DiagramView
+              diagram={getLoadDiagram(loadPlan, body, view.id)}
+              selectedItemId={selectedItemId}
+              onItemClick={handleItemClick}
+            />
+            <div className="text-xs text-gray-500 mt-1">
+              {view.label}{view.id === 'rear' ? ' (from the door)' : ' (bulkhead on the left)'}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LoadDiagram;
@@ -0,0 +1,550 @@
+import { useState, useMemo } from 'react';
+import { X, Upload, FileSpreadsheet, CheckCircle, AlertCircle, Save, Layers } from 'lucide-react';
+import {
+  readSpreadsheet,
+  combineSheets,
+  parseOrderData,
+  suggestColumnMapping,
+  detectHeaderUnit,
+  ORDER_FIELDS,
+  MEASUREMENT_FIELDS
+} from '../utils/excelParser.js';
+import {
+  loadMappingTemplates,
+  saveMappingTemplate,
+  findTemplateForHeaders,
+  applyMappingTemplate
+} from '../utils/mappingTemplates.js';
+
+const OrderImportModal = ({ isOpen, onClose, existingOrders, routes, onImport }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [parsing, setParsing] = useState(false);
+  const [parseError, setParseError] = useState(null);
+  const [workbookSheets, setWorkbookSheets] = useState([]);
+  const [selectedSheets, setSelectedSheets] = useState([]);
+  const [spreadsheet, setSpreadsheet] = useState(null);
+  const [columnFields, setColumnFields] = useState([]);
+  const [matchSources, setMatchSources] = useState([]);
+  const [templates, setTemplates] = useState(loadMappingTemplates);
+  const [appliedTemplate, setAppliedTemplate] = useState(null);
+  const [customer, setCustomer] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const [result, setResult] = useState(null);
+  const [mergeMode, setMergeMode] = useState('keep');
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+
+  const existingIds = useMemo(() => new Set(existingOrders.map(order => order.id)), [existingOrders]);
+
+  if (!isOpen) return null;
+
+  const errorRows = result ? result.rows.filter(row => row.error) : [];
+  const duplicateCount = result ? result.orders.filter(order => existingIds.has(order.id)).length : 0;
+  const visibleRows = result ? (showErrorsOnly ? errorRows : result.rows) : [];
+
+  // Mapping problems that block parsing: required fields unmapped or a field used twice
+  const mappingErrors = [
+    ...ORDER_FIELDS
+      .filter(({ field, required }) => required && !columnFields.includes(field))
+      .map(({ label }) => `${label} must be mapped to a column`),
+    ...ORDER_FIELDS
+      .filter(({ field }) => columnFields.filter(mapped => mapped === field).length > 1)
+      .map(({ label }) => `${label} is mapped to more than one column`)
+  ];
+
+  const reset = () => {
+    setStep('upload');
+    setFileName('');
+    setParseError(null);
+    setWorkbookSheets([]);
+    setSelectedSheets([]);
+    setSpreadsheet(null);
+    setColumnFields([]);
+    setMatchSources([]);
+    setAppliedTemplate(null);
+    setResult(null);
+    setShowErrorsOnly(false);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const parseWithMapping = (data, fields) => {
+    try {
+      setResult(parseOrderData(data.rawData, routes, fields, data.rowSources));
+      setParseError(null);
+      setStep('preview');
+    } catch (error) {
+      setParseError(error.message);
+    }
+  };
+
+  const applyTemplate = (template, headers) => {
+    const fields = applyMappingTemplate(template, headers);
+    setColumnFields(fields);
+    setMatchSources(fields.map(field => (field ? 'template' : null)));
+    setAppliedTemplate(template);
+    setCustomer(template.customer);
+    setTemplateName(template.name);
+    return fields;
+  };
+
+  const prepareMapping = (data) => {
+    setSpreadsheet(data);
+
+    // A saved template for this layout is applied straight away; otherwise suggest a mapping
+    const template = findTemplateForHeaders(templates, data.headers);
+    if (template) {
+      parseWithMapping(data, applyTemplate(template, data.headers));
+    } else {
+      const suggestions = suggestColumnMapping(data.headers);
+      setColumnFields(suggestions.map(suggestion => suggestion.field));
+      setMatchSources(suggestions.map(suggestion => (suggestion.field ? suggestion.score : null)));
+      setStep('mapping');
+    }
+  };
+
+  const handleSheetToggle = (name) => {
+    setSelectedSheets(selected => (selected.includes(name)
+      ? selected.filter(sheetName => sheetName !== name)
+      : [...selected, name]));
+  };
+
+  const handleSheetsContinue = () => {
+    if (selectedSheets.length === 0) {
+      alert('Please select at least one sheet');
+      return;
+    }
+    prepareMapping(combineSheets(workbookSheets.filter(sheet => selectedSheets.includes(sheet.name))));
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    reset();
+    setFileName(file.name);
+    setParsing(true);
+    try {
+      const workbook = await readSpreadsheet(file);
+
+      // Workbooks with several sheets (e.g. one per plant) let the user pick which to import
+      if (workbook.sheets.length > 1) {
+        setWorkbookSheets(workbook.sheets);
+        setSelectedSheets([workbook.sheets[0].name]);
+        setStep('sheets');
+      } else {
+        prepareMapping({ headers: workbook.headers, rawData: workbook.rawData, rowSources: null });
+      }
+    } catch (error) {
+      setParseError(error.message);
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  const handleFieldChange = (columnIndex, field) => {
+    setColumnFields(fields => fields.map((current, index) => (index === columnIndex ? field || null : current)));
+    setMatchSources(sources => sources.map((current, index) => (index === columnIndex ? 'manual' : current)));
+  };
+
+  const handleTemplateSelect = (templateId) => {
+    const template = templates.find(candidate => candidate.id === templateId);
+    if (template) applyTemplate(template, spreadsheet.headers);
+  };
+
+  const handleSaveTemplate = () => {
+    if (!customer.trim() || !templateName.trim()) {
+      alert('Please enter a customer and a template name');
+      return;
+    }
+    const updated = saveMappingTemplate({
+      name: templateName.trim(),
+      customer: customer.trim(),
+      headers: spreadsheet.headers,
+      columnFields
+    });
+    setTemplates(updated);
+    setAppliedTemplate(updated[updated.length - 1]);
+    alert(`Saved mapping template "${templateName.trim()}" for ${customer.trim()}`);
+  };
+
+  const handleImport = () => {
+    if (!result || result.orders.length === 0) {
+      alert('There are no valid rows to import');
+      return;
+    }
+    onImport(result.orders, mergeMode);
+    handleClose();
+  };
+
+  const getSampleValues = (columnIndex) => spreadsheet.rawData
+    .slice(1)
+    .map(row => row?.[columnIndex])
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .slice(0, 3)
+    .join(', ');
+
+  const renderMatchSource = (source) => {
+    if (source === 'template') return <span className="text-xs text-purple-700">Template</span>;
+    if (source === 'manual') return <span className="text-xs text-gray-600">Manual</span>;
+    if (typeof source === 'number') {
+      return source >= 1
+        ? <span className="text-xs text-green-700">Exact match</span>
+        : <span className="text-xs text-yellow-700">Suggested ({Math.round(source * 100)}%)</span>;
+    }
+    return <span className="text-xs text-gray-400">Not mapped</span>;
+  };
+
+  const formatDimensions = (order) => (order.materialType === 'cylindrical'
+    ? `Ø${order.dimensions.diameter} × ${order.dimensions.height}`
+    : `${order.dimensions.length} × ${order.dimensions.width} × ${order.dimensions.height}`);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-6xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Import Orders</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {step === 'sheets' && 'Choose the worksheets to import'}
+              {step === 'mapping' && 'Confirm which order field each column holds'}
+              {(step === 'upload' || step === 'preview') &&
+                'Upload an Excel (.xlsx, .xls) or CSV file and review the rows before importing'}
+            </p>
+          </div>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4 overflow-y-auto">
+          <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-6 cursor-pointer hover:border-primary-400 transition-colors">
+            <Upload className="h-8 w-8 text-gray-400 mb-2" />
+            <span className="text-sm font-medium text-gray-700">
+              {fileName || 'Choose a file to upload'}
+            </span>
+            <span className="text-xs text-gray-500 mt-1">.xlsx, .xls or .csv with a header row</span>
+            <input
+              type="file"
+              accept=".xlsx,.xls,.csv"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+          </label>
+
+          {parsing && <p className="text-sm text-gray-600">Reading {fileName}...</p>}
+
+          {parseError && (
+            <div className="flex items-start p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              <AlertCircle className="h-4 w-4 mr-2 mt-0.5" />
+              {parseError}
+            </div>
+          )}
+
+          {appliedTemplate && step !== 'upload' && (
+            <div className="p-3 bg-purple-50 border border-purple-200 rounded-lg text-sm text-purple-800">
+              Using mapping template &quot;{appliedTemplate.name}&quot; for {appliedTemplate.customer}
+            </div>
+          )}
+
+          {step === 'sheets' && (
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-gray-700">
+                This workbook has {workbookSheets.length} sheets. Select the sheets to import:
+              </p>
+              {workbookSheets.map(sheet => (
+                <label
+                  key={sheet.name}
+                  className="flex items-center justify-between p-3 bg-gray-50 rounded-lg cursor-pointer hover:bg-gray-100 transition-colors"
+                >
+                  <span className="flex items-center text-sm font-medium text-gray-700">
+                    <Layers className="h-4 w-4 mr-2 text-gray-400" />
+                    {sheet.name}
+                    <span className="ml-2 text-xs text-gray-500">{Math.max(sheet.rawData.length - 1, 0)} rows</span>
+                  </span>
+                  <input
+                    type="checkbox"
+                    checked={selectedSheets.includes(sheet.name)}
+                    onChange={() => handleSheetToggle(sheet.name)}
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+
+          {step === 'mapping' && spreadsheet && (
+            <>
+              {templates.length > 0 && (
+                <div className="flex items-center gap-3 text-sm">
+                  <span className="font-medium text-gray-700">Apply saved template:</span>
+                  <select
+                    value={appliedTemplate?.id || ''}
+                    onChange={(e) => handleTemplateSelect(e.target.value)}
+                    className="input-field max-w-xs"
+                  >
+                    <option value="">Select a template...</option>
+                    {templates.map(template => (
+                      <option key={template.id} value={template.id}>
+                        {template.customer} — {template.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {/* Column mapping grid */}
+              <div className="border border-gray-200 rounded-lg overflow-auto max-h-96">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="table-header sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left">Column</th>
+                      <th className="px-3 py-2 text-left">Sample Values</th>
+                      <th className="px-3 py-2 text-left">Order Field</th>
+                      <th className="px-3 py-2 text-left">Match</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {spreadsheet.headers.map((header, columnIndex) => (
+                      <tr key={columnIndex}>
+                        <td className="px-3 py-2 font-medium text-gray-900">{header ?? `Column ${columnIndex + 1}`}</td>
+                        <td className="px-3 py-2 text-gray-500">{getSampleValues(columnIndex)}</td>
+                        <td className="px-3 py-2">
+                          <select
+                            value={columnFields[columnIndex] || ''}
+                            onChange={(e) => handleFieldChange(columnIndex, e.target.value)}
+                            className="input-field"
+                          >
+                            <option value="">— Ignore column —</option>
+                            {ORDER_FIELDS.map(({ field, label, required }) => (
+                              <option key={field} value={field}>
+                                {label}{required ? ' *' : ''}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-3 py-2">
+                          {renderMatchSource(matchSources[columnIndex])}
+                          {MEASUREMENT_FIELDS[columnFields[columnIndex]] && (
+                            <div className="text-xs text-gray-500">
+                              Unit: {detectHeaderUnit(header, MEASUREMENT_FIELDS[columnFields[columnIndex]])
+                                || `${MEASUREMENT_FIELDS[columnFields[columnIndex]] === 'weight' ? 'kg' : 'mm'} unless stated in the cell`}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {mappingErrors.length > 0 && (
+                <ul className="text-sm text-red-700 space-y-1">
+                  {mappingErrors.map(error => (
+                    <li key={error} className="flex items-center">
+                      <AlertCircle className="h-4 w-4 mr-2" />
+                      {error}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {/* Save as template */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Customer</label>
+                  <input
+                    type="text"
+                    value={customer}
+                    onChange={(e) => setCustomer(e.target.value)}
+                    placeholder="e.g. Acme Foods"
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Template Name</label>
+                  <input
+                    type="text"
+                    value={templateName}
+                    onChange={(e) => setTemplateName(e.target.value)}
+                    placeholder="e.g. Weekly dispatch sheet"
+                    className="input-field"
+                  />
+                </div>
+                <button
+                  onClick={handleSaveTemplate}
+                  disabled={mappingErrors.length > 0}
+                  className="btn-secondary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Save className="h-4 w-4 mr-2" />
+                  Save Mapping Template
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'preview' && result && (
+            <>
+              {/* Summary */}
+              <div className="flex flex-wrap items-center gap-4 text-sm">
+                <span className="flex items-center text-gray-700">
+                  <FileSpreadsheet className="h-4 w-4 mr-1 text-gray-400" />
+                  {result.rows.length} rows
+                </span>
+                <span className="flex items-center text-green-700">
+                  <CheckCircle className="h-4 w-4 mr-1" />
+                  {result.orders.length} valid
+                </span>
+                <span className="flex items-center text-red-700">
+                  <AlertCircle className="h-4 w-4 mr-1" />
+                  {errorRows.length} with errors
+                </span>
+                {duplicateCount > 0 && (
+                  <span className="text-yellow-700">{duplicateCount} already in the order book</span>
+                )}
+                {errorRows.length > 0 && (
+                  <label className="flex items-center ml-auto text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={showErrorsOnly}
+                      onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500 mr-2"
+                    />
+                    Show errors only
+                  </label>
+                )}
+              </div>
+
+              {result.unknownLanes.length > 0 && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800 flex items-start">
+                  <AlertCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                  <span>
+                    Unknown lanes: {result.unknownLanes.join(', ')}. Add them in Route Master (or as aliases
+                    of an existing route), then preview again to import these rows.
+                  </span>
+                </div>
+              )}
+
+              {/* Preview grid */}
+              <div className="border border-gray-200 rounded-lg overflow-auto max-h-96">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="table-header sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left">Row</th>
+                      <th className="px-3 py-2 text-left">SO ID</th>
+                      <th className="px-3 py-2 text-left">Route</th>
+                      <th className="px-3 py-2 text-left">Material</th>
+                      <th className="px-3 py-2 text-left">Qty</th>
+                      <th className="px-3 py-2 text-left">Weight</th>
+                      <th className="px-3 py-2 text-left">Dimensions (mm)</th>
+                      <th className="px-3 py-2 text-left">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {visibleRows.map(row => (
+                      <tr key={`${row.sheet}_${row.rowNumber}`} className={row.error ? 'bg-red-50' : ''}>
+                        <td className="px-3 py-2 text-gray-500">
+                          {row.sheet ? `${row.sheet} · ${row.rowNumber}` : row.rowNumber}
+                        </td>
+                        {row.order ? (
+                          <>
+                            <td className="px-3 py-2 font-medium text-gray-900">{row.order.id}</td>
+                            <td className="px-3 py-2">{row.order.route}</td>
+                            <td className="px-3 py-2 capitalize">{row.order.materialType}</td>
+                            <td className="px-3 py-2">{row.order.quantity}</td>
+                            <td className="px-3 py-2">{row.order.weight} kg</td>
+                            <td className="px-3 py-2">{formatDimensions(row.order)}</td>
+                            <td className="px-3 py-2">
+                              {existingIds.has(row.order.id)
+                                ? <span className="text-yellow-700">Exists ({mergeMode === 'replace' ? 'will replace' : 'will keep current'})</span>
+                                : <span className="text-green-700">OK</span>}
+                            </td>
+                          </>
+                        ) : (
+                          <td colSpan={7} className="px-3 py-2 text-red-700">{row.error}</td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Merge mode */}
+              <div className="flex flex-wrap items-center gap-6 text-sm">
+                <span className="font-medium text-gray-700">Orders already in the order book:</span>
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="radio"
+                    name="mergeMode"
+                    value="keep"
+                    checked={mergeMode === 'keep'}
+                    onChange={() => setMergeMode('keep')}
+                    className="mr-2"
+                  />
+                  Keep existing
+                </label>
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="radio"
+                    name="mergeMode"
+                    value="replace"
+                    checked={mergeMode === 'replace'}
+                    onChange={() => setMergeMode('replace')}
+                    className="mr-2"
+                  />
+                  Replace with imported rows
+                </label>
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+          <button onClick={handleClose} className="btn-secondary">
+            Cancel
+          </button>
+          {step === 'sheets' && (
+            <button onClick={handleSheetsContinue} className="btn-primary">
+              Continue
+            </button>
+          )}
+          {step === 'mapping' && (
+            <button
+              onClick={() => parseWithMapping(spreadsheet, columnFields)}
+              disabled={mappingErrors.length > 0}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Preview Orders
+            </button>
+          )}
+          {step === 'preview' && (
+            <>
+              <button onClick={() => setStep('mapping')} className="btn-secondary">
+                Edit Mapping
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={result.orders.length === 0}
+                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Import {result.orders.length} Orders
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderImportModal;
@@ -1,19 +1,23 @@
 import React, { useState, useMemo, useEffect } from 'react';
-import { Search, Filter, Package, MapPin, User, Hash } from 'lucide-react';
+import { Search, Filter, Package, MapPin, User, Hash, Upload } from 'lucide-react';
 import Pagination from './Pagination';
+import OrderImportModal from './OrderImportModal';
+import { resolveRoute, getRouteLabel } from '../utils/routeMaster.js';
+import { ORDER_STATUSES } from '../utils/planLifecycle.js';
 
-const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
+const OrderIntake = ({ orders, routes = [], selectedOrders, onOrderSelection, onOrdersImport }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [routeFilter, setRouteFilter] = useState('all');
   const [materialFilter, setMaterialFilter] = useState('all');
   const [statusFilter, setStatusFilter] = useState('all');
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(10);
+  const [importModalOpen, setImportModalOpen] = useState(false);
 
-  // Get unique routes and material types for filters
-  const routes = useMemo(() => {
-    const uniqueRoutes = [...new Set(orders.map(order => order.route))];
-    return uniqueRoutes;
+  // Get unique lanes and material types for filters
+  const orderLanes = useMemo(() => {
+    const uniqueLanes = [...new Set(orders.map(order => order.route))];
+    return uniqueLanes;
   }, [orders]);
 
   const materialTypes = useMemo(() => {
@@ -53,20 +57,24 @@ const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
     return filteredOrders.slice(startIndex, endIndex);
   }, [filteredOrders, currentPage, itemsPerPage]);
 
+  // Orders already in a saved plan cannot be picked for another one
+  const isSelectable = (order) => !order.planId;
+  const selectableOrders = useMemo(() => filteredOrders.filter(isSelectable), [filteredOrders]);
+
   const handleOrderToggle = (order) => {
     const isSelected = selectedOrders.some(selected => selected.id === order.id);
     if (isSelected) {
       onOrderSelection(selectedOrders.filter(selected => selected.id !== order.id));
-    } else {
+    } else if (isSelectable(order)) {
       onOrderSelection([...selectedOrders, order]);
     }
   };
 
   const handleSelectAll = () => {
-    if (selectedOrders.length === filteredOrders.length) {
+    if (selectedOrders.length === selectableOrders.length) {
       onOrderSelection([]);
     } else {
-      onOrderSelection(filteredOrders);
+      onOrderSelection(selectableOrders);
     }
   };
 
@@ -106,9 +114,26 @@ const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
           <span className="text-sm text-gray-500">
             {selectedOrders.length} of {filteredOrders.length} selected
           </span>
+          {onOrdersImport && (
+            <button
+              onClick={() => setImportModalOpen(true)}
+              className="btn-primary flex items-center"
+            >
+              <Upload className="h-4 w-4 mr-2" />
+              Import Orders
+            </button>
+          )}
         </div>
       </div>
 
+      <OrderImportModal
+        isOpen={importModalOpen}
+        onClose={() => setImportModalOpen(false)}
+        existingOrders={orders}
+        routes={routes}
+        onImport={onOrdersImport}
+      />
+
       {/* Search and Filters */}
       <div className="card">
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
@@ -131,8 +156,8 @@ const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
             className="input-field"
           >
             <option value="all">All Routes</option>
-            {routes.map(route => (
-              <option key={route} value={route}>{route}</option>
+            {orderLanes.map(lane => (
+              <option key={lane} value={lane}>{getRouteLabel(routes, lane)}</option>
             ))}
           </select>
 
@@ -157,9 +182,9 @@ const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
             className="input-field"
           >
             <option value="all">All Status</option>
-            <option value="unplanned">Unplanned</option>
-            <option value="planned">Planned</option>
-            <option value="dispatched">Dispatched</option>
+            {ORDER_STATUSES.map(status => (
+              <option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</option>
+            ))}
           </select>
 
           {/* Select All Button */}
@@ -168,7 +193,7 @@ const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
             className="btn-secondary flex items-center justify-center"
           >
             <Filter className="h-4 w-4 mr-2" />
-            {selectedOrders.length === filteredOrders.length ? 'Deselect All' : 'Select All'}
+            {selectedOrders.length === selectableOrders.length ? 'Deselect All' : 'Select All'}
           </button>
         </div>
       </div>
@@ -182,7 +207,7 @@ const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
                 <th className="px-6 py-3 text-left">
                   <input
                     type="checkbox"
-                    checked={filteredOrders.length > 0 && selectedOrders.length === filteredOrders.length}
+                    checked={selectableOrders.length > 0 && selectedOrders.length === selectableOrders.length}
                     onChange={handleSelectAll}
                     className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
                   />
@@ -212,8 +237,9 @@ const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
                       <input
                         type="checkbox"
                         checked={isSelected}
+                        disabled={!isSelected && !isSelectable(order)}
                         onChange={() => handleOrderToggle(order)}
-                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500 disabled:opacity-50"
                       />
                     </td>
                     <td className="px-6 py-4">
@@ -229,7 +255,9 @@ const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
                       <div className="flex items-center">
                         <MapPin className="h-4 w-4 text-gray-400 mr-2" />
                         <div>
-                          <div className="text-sm font-medium text-gray-900">{order.routeName}</div>
+                          <div className={`text-sm font-medium ${resolveRoute(routes, order.route) ? 'text-gray-900' : 'text-red-600'}`}>
+                            {getRouteLabel(routes, order.route)}
+                          </div>
                           <div className="text-sm text-gray-500">{order.pickup} → {order.delivery}</div>
                         </div>
                       </div>
@@ -241,6 +269,11 @@ const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
                           {order.materialType}
                         </span>
                       </div>
+                      {order.temperatureRequirement && order.temperatureRequirement !== 'ambient' && (
+                        <span className="inline-flex mt-1 px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800 capitalize">
+                          {order.temperatureRequirement}
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 text-sm text-gray-900">{order.quantity}</td>
                     <td className="px-6 py-4 text-sm text-gray-900">{order.weight} kg</td>
@@ -259,6 +292,9 @@ const OrderIntake = ({ orders, selectedOrders, onOrderSelection }) => {
                       <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-800">
                         {order.status}
                       </span>
+                      {order.planId && (
+                        <div className="text-xs text-gray-500 mt-1">{order.planId}</div>
+                      )}
                     </td>
                   </tr>
                 );
@@ -1,22 +1,40 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
 import { Truck, Package, MapPin, Weight, BarChart3, Plus, Minus, AlertTriangle, CheckCircle, Lightbulb, Navigation, ArrowRight } from 'lucide-react';
-import { vehicleTypes, routes } from '../data/mockData';
 import { generateVehicleSuggestions, calculateUtilization, calculateOrderTotals, groupOrdersByRoute, generateDropPoints, suggestRouteType } from '../utils/vehicleOptimization';
+import { getRouteLabel, resolveRoute } from '../utils/routeMaster.js';
+import { getAvailableVehicleCounts } from '../utils/fleetMaster.js';
+
+const PlanCreation = ({ selectedOrders, routes = [], fleet, materialTypes, onGeneratePlan }) => {
+  const { vehicleTypes } = fleet;
+
+  // Origins the selected orders leave from, per the route master
+  const origins = useMemo(() => [...new Set(
+    selectedOrders.map(order => resolveRoute(routes, order.route)?.origin).filter(Boolean)
+  )], [selectedOrders, routes]);
+
+  const [planDate, setPlanDate] = useState(() => new Date().toLocaleDateString('en-CA')); // YYYY-MM-DD
+  const [origin, setOrigin] = useState(origins[0] || '');
+
+  // Vehicles available at the origin on the plan date
+  const availableCounts = useMemo(() =>
+    getAvailableVehicleCounts(fleet.availability, planDate, origin),
+    [fleet, planDate, origin]
+  );
 
-const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
   // Auto-suggestion algorithm using utility function
   const autoSuggestVehicles = useMemo(() =>
-    generateVehicleSuggestions(selectedOrders, vehicleTypes),
-    [selectedOrders]
+    generateVehicleSuggestions(selectedOrders, vehicleTypes, availableCounts),
+    [selectedOrders, vehicleTypes, availableCounts]
   );
 
-  // Initialize with best auto-suggestion or fallback to SXL
-  const getInitialVehicleSelection = () => {
+  // Initialize with best auto-suggestion or fallback to one of the first available type
+  const getInitialVehicleSelection = useCallback(() => {
     if (autoSuggestVehicles.length > 0) {
       return autoSuggestVehicles[0].vehicles;
     }
-    return [{ type: 'SXL', quantity: 1 }];
-  };
+    const firstAvailable = vehicleTypes.find(vehicle => availableCounts[vehicle.id] > 0);
+    return firstAvailable ? [{ type: firstAvailable.id, quantity: 1 }] : [];
+  }, [autoSuggestVehicles, vehicleTypes, availableCounts]);
 
   const [selectedVehicles, setSelectedVehicles] = useState(getInitialVehicleSelection());
   const [optimizationPriorities, setOptimizationPriorities] = useState(['all']);
@@ -44,12 +62,16 @@ const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
     return suggestRouteType(selectedOrders);
   }, [selectedOrders]);
 
-  // Update vehicle selection when orders change
+  // Update vehicle selection when orders or vehicle availability change
   useEffect(() => {
-    if (autoSuggestVehicles.length > 0) {
-      setSelectedVehicles(autoSuggestVehicles[0].vehicles);
+    setSelectedVehicles(getInitialVehicleSelection());
+  }, [getInitialVehicleSelection]); // Not on the selection itself, to avoid an infinite loop
+
+  useEffect(() => {
+    if (!origins.includes(origin) && origins.length > 0) {
+      setOrigin(origins[0]);
     }
-  }, [selectedOrders]); // Only depend on selectedOrders to avoid infinite loop
+  }, [origins, origin]);
 
   // Log state changes for debugging
   useEffect(() => {
@@ -67,7 +89,7 @@ const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
   // Calculate utilization for current selection using utility function
   const currentUtilization = useMemo(() =>
     calculateUtilization(selectedVehicles, selectedOrders, vehicleTypes),
-    [selectedVehicles, selectedOrders]
+    [selectedVehicles, selectedOrders, vehicleTypes]
   );
 
   const handlePriorityToggle = (priority) => {
@@ -85,9 +107,12 @@ const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
   // Handler functions for vehicle selection
   const handleVehicleAdd = (vehicleType) => {
     const existingIndex = selectedVehicles.findIndex(sv => sv.type === vehicleType);
+    const selectedQuantity = selectedVehicles[existingIndex]?.quantity || 0;
+    if (selectedQuantity >= (availableCounts[vehicleType] || 0)) return;
+
     if (existingIndex >= 0) {
       const updated = [...selectedVehicles];
-      updated[existingIndex].quantity += 1;
+      updated[existingIndex] = { ...updated[existingIndex], quantity: selectedQuantity + 1 };
       setSelectedVehicles(updated);
     } else {
       setSelectedVehicles([...selectedVehicles, { type: vehicleType, quantity: 1 }]);
@@ -99,19 +124,13 @@ const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
     if (existingIndex >= 0) {
       const updated = [...selectedVehicles];
       if (updated[existingIndex].quantity > 1) {
-        updated[existingIndex].quantity -= 1;
+        updated[existingIndex] = { ...updated[existingIndex], quantity: updated[existingIndex].quantity - 1 };
       } else {
         updated.splice(existingIndex, 1);
       }
-      // Ensure at least one vehicle is selected
-      if (updated.length === 0) {
-        // Use best auto-suggestion or fallback to most efficient vehicle
-        if (autoSuggestVehicles.length > 0) {
-          updated.push(...autoSuggestVehicles[0].vehicles);
-        } else {
-          // Fallback to smallest vehicle (Tata Ace) instead of SXL
-          updated.push({ type: 'TATA_ACE', quantity: 1 });
-        }
+      // Ensure at least one vehicle is selected, using the best auto-suggestion
+      if (updated.length === 0 && autoSuggestVehicles.length > 0) {
+        updated.push(...autoSuggestVehicles[0].vehicles);
       }
       setSelectedVehicles(updated);
     }
@@ -147,6 +166,8 @@ const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
     // Prepare plan configuration
     const planConfig = {
       vehicles: selectedVehicles,
+      planDate,
+      origin,
       priorities: optimizationPriorities,
       dropPoints: finalDropPoints,
       materialTypes,
@@ -202,7 +223,6 @@ const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
             <h3 className="text-lg font-semibold mb-4">Freight Orders Summary</h3>
             <div className="space-y-4">
               {Object.entries(ordersByRoute).map(([routeId, orders]) => {
-                const route = routes.find(r => r.id === routeId);
                 const routeWeight = orders.reduce((sum, order) => sum + (order.weight * order.quantity), 0);
                 const routeOrders = orders.length;
 
@@ -212,7 +232,7 @@ const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
                       <div className="flex items-center">
                         <MapPin className="h-5 w-5 text-gray-400 mr-2" />
                         <div>
-                          <h4 className="font-medium text-gray-900">{route?.name}</h4>
+                          <h4 className="font-medium text-gray-900">{getRouteLabel(routes, routeId)}</h4>
                           <p className="text-sm text-gray-500">
                             {selectedVehicles.length === 1
                               ? vehicleTypes.find(v => v.id === selectedVehicles[0].type)?.name
@@ -373,11 +393,43 @@ const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
           {/* Vehicle Selection */}
           <div className="card">
             <h3 className="text-lg font-semibold mb-4">Vehicle Selection</h3>
+
+            {/* Plan date and origin decide which vehicles are available */}
+            <div className="grid grid-cols-2 gap-3 mb-4">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Plan Date</label>
+                <input
+                  type="date"
+                  value={planDate}
+                  onChange={(e) => setPlanDate(e.target.value)}
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Origin</label>
+                <select
+                  value={origin}
+                  onChange={(e) => setOrigin(e.target.value)}
+                  className="input-field"
+                >
+                  {origins.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {origins.length > 1 && (
+              <div className="mb-4 p-2 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800">
+                Selected orders leave from {origins.length} origins; vehicles are drawn from the {origin} fleet.
+              </div>
+            )}
+
             <div className="space-y-3">
               {vehicleTypes.map(vehicle => {
                 const selectedVehicle = selectedVehicles.find(sv => sv.type === vehicle.id);
                 const isSelected = !!selectedVehicle;
                 const quantity = selectedVehicle?.quantity || 0;
+                const available = availableCounts[vehicle.id] || 0;
 
                 return (
                   <div
@@ -436,6 +488,9 @@ const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
                     <div className="flex items-center justify-between">
                       <div className="text-sm text-gray-600">
                         {isSelected ? `${quantity} selected` : 'Not selected'}
+                        <span className={`ml-2 text-xs ${available > 0 ? 'text-gray-500' : 'text-red-600'}`}>
+                          ({available} available)
+                        </span>
                       </div>
                       <div className="flex items-center space-x-2">
                         <button
@@ -450,7 +505,8 @@ const PlanCreation = ({ selectedOrders, materialTypes, onGeneratePlan }) => {
                         </span>
                         <button
                           onClick={() => handleVehicleAdd(vehicle.id)}
-                          className="btn-secondary p-1"
+                          disabled={quantity >= available}
+                          className="btn-secondary p-1 disabled:opacity-50 disabled:cursor-not-allowed"
                         >
                           <Plus className="h-3 w-3" />
                         </button>
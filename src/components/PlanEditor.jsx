@@ -0,0 +1,251 @@
+import { useState } from 'react';
+import { Truck, Pin, PinOff, Plus, Lock, GripVertical } from 'lucide-react';
+import { calculateOrderWeightAndVolume } from '../utils/vehicleOptimization.js';
+import { getAvailableVehicleCounts } from '../utils/fleetMaster.js';
+import { getRouteLabel } from '../utils/routeMaster.js';
+import { isPlanLocked } from '../utils/planLifecycle.js';
+
+// Utilisation of what the load plan actually placed, falling back to the assigned cargo
+const getUtilization = (vehicle) => vehicle.loadPlan?.utilization || vehicle.utilization;
+
+const formatDelta = (delta) => `${delta > 0 ? '+' : ''}${delta.toFixed(1)}%`;
+
+const UtilizationBar = ({ label, value, delta }) => (
+  <div>
+    <div className="flex justify-between text-xs text-gray-600 mb-1">
+      <span>{label}</span>
+      <span>
+        {value.toFixed(1)}%
+        {delta !== undefined && Math.abs(delta) >= 0.05 && (
+          <span className={`ml-1 font-medium ${delta > 0 ? 'text-green-600' : 'text-red-600'}`}>
+            {formatDelta(delta)}
+          </span>
+        )}
+      </span>
+    </div>
+    <div className="w-full bg-gray-200 rounded-full h-2">
+      <div
+        className={`h-2 rounded-full ${value > 100 ? 'bg-red-500' : 'bg-primary-600'}`}
+        style={{ width: `${Math.min(value, 100)}%` }}
+      />
+    </div>
+  </div>
+);
+
+const PlanEditor = ({ planData, routes = [], fleet, onMoveOrder, onTogglePin }) => {
+  const [dragged, setDragged] = useState(null); // { orderId, fromVehicleId, weight, volume }
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [newVehicleTypeId, setNewVehicleTypeId] = useState('');
+  // Utilisation before the last change, so its effect stays visible once the vehicles are re-optimised
+  const [previousUtilization, setPreviousUtilization] = useState({});
+
+  const locked = isPlanLocked(planData);
+  const pins = planData.pins || {};
+
+  // Vehicle types with units left at the plan's origin on its date
+  const availableCounts = getAvailableVehicleCounts(fleet.availability, planData.planDate, planData.origin);
+  const addableTypes = fleet.vehicleTypes.filter(vt =>
+    planData.vehicles.filter(vehicle => vehicle.type === vt.id).length < (availableCounts[vt.id] || 0)
+  );
+  const selectedNewType = addableTypes.find(vt => vt.id === newVehicleTypeId) || addableTypes[0];
+
+  // Capacity-based preview of where the dragged order would leave each vehicle
+  const getPreviewDelta = (vehicle) => {
+    if (!dragged || dragged.fromVehicleId === vehicle.id || dropTargetId !== vehicle.id) return {};
+    return {
+      weight: (dragged.weight / vehicle.capacity.maxWeight) * 100,
+      volume: (dragged.volume / vehicle.capacity.maxVolume) * 100
+    };
+  };
+
+  const getSourceDelta = (vehicle) => {
+    if (!dragged || dragged.fromVehicleId !== vehicle.id || !dropTargetId) return {};
+    return {
+      weight: -(dragged.weight / vehicle.capacity.maxWeight) * 100,
+      volume: -(dragged.volume / vehicle.capacity.maxVolume) * 100
+    };
+  };
+
+  const getAppliedDelta = (vehicle) => {
+    const before = previousUtilization[vehicle.id];
+    if (!before) return {};
+    const after = getUtilization(vehicle);
+    return { weight: after.weight - before.weight, volume: after.volume - before.volume };
+  };
+
+  const handleDragStart = (event, order, vehicle) => {
+    const { orderWeight, orderVolume } = calculateOrderWeightAndVolume(order);
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', order.id);
+    setDragged({ orderId: order.id, fromVehicleId: vehicle.id, weight: orderWeight, volume: orderVolume });
+  };
+
+  const handleDragEnd = () => {
+    setDragged(null);
+    setDropTargetId(null);
+  };
+
+  const handleDragOver = (event, targetId) => {
+    if (!dragged || locked) return;
+    event.preventDefault();
+    if (dropTargetId !== targetId) setDropTargetId(targetId);
+  };
+
+  const handleDrop = (event, target) => {
+    event.preventDefault();
+    if (!dragged) return;
+    if (target.vehicleId === dragged.fromVehicleId) {
+      handleDragEnd();
+      return;
+    }
+
+    const snapshot = {};
+    planData.vehicles.forEach(vehicle => {
+      snapshot[vehicle.id] = getUtilization(vehicle);
+    });
+    setPreviousUtilization(snapshot);
+    onMoveOrder({ orderId: dragged.orderId, fromVehicleId: dragged.fromVehicleId }, target);
+    handleDragEnd();
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Edit Assignments</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Drag orders between vehicles or onto a new vehicle. Affected vehicles are re-packed straight away.
+          Pinned orders stay on their vehicle when the plan is re-optimised.
+        </p>
+      </div>
+
+      {locked && (
+        <div className="flex items-center p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+          <Lock className="h-4 w-4 mr-2" />
+          Assignments cannot be changed while the plan is {planData.status}.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+        {planData.vehicles.map(vehicle => {
+          const utilization = getUtilization(vehicle);
+          const preview = getPreviewDelta(vehicle);
+          const source = getSourceDelta(vehicle);
+          const applied = getAppliedDelta(vehicle);
+          const isDropTarget = dropTargetId === vehicle.id && dragged?.fromVehicleId !== vehicle.id;
+
+          return (
+            <div
+              key={vehicle.id}
+              onDragOver={(e) => handleDragOver(e, vehicle.id)}
+              onDragLeave={() => setDropTargetId(null)}
+              onDrop={(e) => handleDrop(e, { vehicleId: vehicle.id })}
+              className={`card border-2 transition-colors duration-200 ${
+                isDropTarget ? 'border-primary-500 bg-primary-50' : 'border-transparent'
+              }`}
+            >
+              <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center">
+                  <Truck className="h-5 w-5 text-primary-600 mr-2" />
+                  <div>
+                    <div className="font-medium text-gray-900">{vehicle.id} · {vehicle.name}</div>
+                    <div className="text-xs text-gray-500">{getRouteLabel(routes, vehicle.route)}</div>
+                  </div>
+                </div>
+                {vehicle.loadPlan?.unplaced?.length > 0 && (
+                  <span className="text-xs font-medium text-red-600">
+                    {vehicle.loadPlan.unplaced.length} unplaced
+                  </span>
+                )}
+              </div>
+
+              <div className="space-y-2 mb-4">
+                <UtilizationBar
+                  label="Weight"
+                  value={utilization.weight + (preview.weight || 0) + (source.weight || 0)}
+                  delta={preview.weight ?? source.weight ?? applied.weight}
+                />
+                <UtilizationBar
+                  label="Volume"
+                  value={utilization.volume + (preview.volume || 0) + (source.volume || 0)}
+                  delta={preview.volume ?? source.volume ?? applied.volume}
+                />
+              </div>
+
+              <ul className="divide-y divide-gray-100">
+                {vehicle.orders.map(order => {
+                  const pinned = pins[order.id] === vehicle.id;
+                  return (
+                    <li
+                      key={order.id}
+                      draggable={!locked}
+                      onDragStart={(e) => handleDragStart(e, order, vehicle)}
+                      onDragEnd={handleDragEnd}
+                      className={`flex items-center justify-between py-2 text-sm ${
+                        locked ? '' : 'cursor-move'
+                      } ${dragged?.orderId === order.id && dragged?.fromVehicleId === vehicle.id ? 'opacity-50' : ''}`}
+                    >
+                      <div className="flex items-center">
+                        {!locked && <GripVertical className="h-4 w-4 text-gray-400 mr-1" />}
+                        <div>
+                          <div className="font-medium text-gray-900">{order.id}</div>
+                          <div className="text-xs text-gray-500">
+                            {order.quantity} × {order.weight} kg · {order.destination}
+                          </div>
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => onTogglePin(order.id, vehicle.id)}
+                        disabled={locked}
+                        className={`${pinned ? 'text-primary-600' : 'text-gray-400'} hover:text-primary-700 disabled:opacity-30 disabled:cursor-not-allowed`}
+                        title={pinned ? 'Unpin from this vehicle' : 'Pin to this vehicle'}
+                      >
+                        {pinned ? <Pin className="h-4 w-4" /> : <PinOff className="h-4 w-4" />}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          );
+        })}
+
+        {/* Drop zone for moving an order onto an extra vehicle */}
+        {!locked && (
+          <div
+            onDragOver={(e) => selectedNewType && handleDragOver(e, 'new')}
+            onDragLeave={() => setDropTargetId(null)}
+            onDrop={(e) => handleDrop(e, { vehicleTypeId: selectedNewType.id })}
+            className={`card border-2 border-dashed flex flex-col items-center justify-center text-center ${
+              dropTargetId === 'new' ? 'border-primary-500 bg-primary-50' : 'border-gray-300'
+            }`}
+          >
+            <Plus className="h-8 w-8 text-gray-400 mb-2" />
+            <div className="font-medium text-gray-900 mb-2">New vehicle</div>
+            {selectedNewType ? (
+              <>
+                <select
+                  value={selectedNewType.id}
+                  onChange={(e) => setNewVehicleTypeId(e.target.value)}
+                  className="input-field mb-2"
+                >
+                  {addableTypes.map(vt => (
+                    <option key={vt.id} value={vt.id}>
+                      {vt.name} ({(availableCounts[vt.id] || 0) - planData.vehicles.filter(v => v.type === vt.id).length} left)
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500">Drop an order here to load it onto a new vehicle.</p>
+              </>
+            ) : (
+              <p className="text-xs text-gray-500">
+                No more vehicles are available at {planData.origin} on {planData.planDate}.
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlanEditor;
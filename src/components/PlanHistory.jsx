@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { History, FolderOpen, Copy, Archive, ArchiveRestore } from 'lucide-react';
+import PlanStatusControls from './PlanStatusControls';
+import { summarizePlan } from '../services/planStorage.js';
+
+// Plans in progress hold their orders and cannot be archived
+const IN_PROGRESS_STATUSES = ['confirmed', 'dispatched'];
+
+const PlanHistory = ({ plans, onReopen, onDuplicate, onArchive, onRestore, onTransition }) => {
+  const [showArchived, setShowArchived] = useState(false);
+
+  const visiblePlans = plans.filter(plan => showArchived || !plan.archived);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Plans</h2>
+          <p className="text-gray-600 mt-1">
+            Saved dispatch plans. Orders follow the status of the active plan holding them.
+          </p>
+        </div>
+        <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showArchived}
+            onChange={(e) => setShowArchived(e.target.checked)}
+            className="rounded border-gray-300 text-primary-600 focus:ring-primary-500 mr-2"
+          />
+          Show archived
+        </label>
+      </div>
+
+      {visiblePlans.length === 0 ? (
+        <div className="card text-center py-12">
+          <History className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No Saved Plans</h3>
+          <p className="text-gray-600">Plans are saved here as soon as they are generated.</p>
+        </div>
+      ) : (
+        <div className="card overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="table-header">
+                <tr>
+                  <th className="px-6 py-3 text-left">Plan</th>
+                  <th className="px-6 py-3 text-left">Created</th>
+                  <th className="px-6 py-3 text-left">Status</th>
+                  <th className="px-6 py-3 text-left">Cost</th>
+                  <th className="px-6 py-3 text-left">Vehicles</th>
+                  <th className="px-6 py-3 text-left">Orders</th>
+                  <th className="px-6 py-3 text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visiblePlans.map(plan => {
+                  const summary = summarizePlan(plan);
+                  return (
+                    <tr key={summary.id} className={`hover:bg-gray-50 ${summary.archived ? 'opacity-60' : ''}`}>
+                      <td className="px-6 py-4 text-sm font-medium text-gray-900">{summary.id}</td>
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {new Date(summary.createdAt).toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4">
+                        <PlanStatusControls plan={plan} onTransition={onTransition} compact />
+                        {summary.archived && (
+                          <span className="text-xs text-gray-500">archived</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-900">₹{Math.round(summary.totalCost).toLocaleString()}</td>
+                      <td className="px-6 py-4 text-sm text-gray-900">{summary.vehicleCount}</td>
+                      <td className="px-6 py-4 text-sm text-gray-900">{summary.orderCount}</td>
+                      <td className="px-6 py-4 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => onReopen(summary.id)}
+                          className="text-gray-400 hover:text-gray-600 mr-3"
+                          title="Reopen plan"
+                        >
+                          <FolderOpen className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => onDuplicate(summary.id)}
+                          className="text-gray-400 hover:text-gray-600 mr-3"
+                          title="Duplicate plan"
+                        >
+                          <Copy className="h-4 w-4" />
+                        </button>
+                        {summary.archived ? (
+                          <button
+                            onClick={() => onRestore(summary.id)}
+                            className="text-gray-400 hover:text-gray-600"
+                            title="Restore plan"
+                          >
+                            <ArchiveRestore className="h-4 w-4" />
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => onArchive(summary.id)}
+                            disabled={IN_PROGRESS_STATUSES.includes(summary.status)}
+                            className="text-gray-400 hover:text-red-600 disabled:opacity-30 disabled:cursor-not-allowed"
+                            title={IN_PROGRESS_STATUSES.includes(summary.status)
+                              ? 'Cancel or deliver the plan before archiving it'
+                              : 'Archive plan'}
+                          >
+                            <Archive className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlanHistory;
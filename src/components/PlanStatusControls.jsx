@@ -0,0 +1,49 @@
+import { Lock } from 'lucide-react';
+import { PLAN_TRANSITIONS, getPlanStatus, isPlanLocked } from '../utils/planLifecycle.js';
+
+const TRANSITION_LABELS = {
+  confirmed: 'Confirm',
+  dispatched: 'Dispatch',
+  delivered: 'Mark Delivered',
+  draft: 'Back to Draft',
+  cancelled: 'Cancel'
+};
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'confirmed': return 'text-blue-700 bg-blue-50';
+    case 'dispatched': return 'text-purple-700 bg-purple-50';
+    case 'delivered': return 'text-green-700 bg-green-50';
+    case 'cancelled': return 'text-red-700 bg-red-50';
+    default: return 'text-gray-700 bg-gray-100';
+  }
+};
+
+const PlanStatusControls = ({ plan, onTransition, compact = false }) => {
+  const status = getPlanStatus(plan);
+  const nextStatuses = plan.archived ? [] : PLAN_TRANSITIONS[status] || [];
+
+  return (
+    <div className="flex items-center flex-wrap gap-2">
+      <span className={`inline-flex items-center px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(status)}`}>
+        {isPlanLocked(plan) && <Lock className="h-3 w-3 mr-1" />}
+        {status}
+      </span>
+      {nextStatuses.map(nextStatus => (
+        <button
+          key={nextStatus}
+          onClick={() => onTransition(plan.id, nextStatus)}
+          className={`text-xs ${compact ? '' : 'btn-secondary'} ${
+            nextStatus === 'cancelled'
+              ? 'text-red-600 hover:text-red-700'
+              : compact ? 'text-primary-600 hover:text-primary-700' : ''
+          }`}
+        >
+          {TRANSITION_LABELS[nextStatus]}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default PlanStatusControls;
@@ -0,0 +1,214 @@
+import { useState, useMemo } from 'react';
+import { MapPin, Plus, Edit2, Trash2, AlertTriangle, Save, X } from 'lucide-react';
+import { saveRoute, deleteRoute, findUnknownLanes } from '../utils/routeMaster.js';
+
+const emptyForm = {
+  id: '',
+  name: '',
+  origin: '',
+  destination: '',
+  via: '',
+  distance: '',
+  transitHours: '',
+  aliases: ''
+};
+
+const RouteMaster = ({ routes, orders, onRoutesChange }) => {
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const unknownLanes = useMemo(() => findUnknownLanes(routes, orders), [routes, orders]);
+
+  const openForm = (route = null, lane = '') => {
+    setEditingId(route?.id || null);
+    setForm(route
+      ? {
+          ...route,
+          via: (route.via || []).join(', '),
+          aliases: (route.aliases || []).join(', '),
+          transitHours: route.transitHours ?? ''
+        }
+      : { ...emptyForm, id: lane });
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const handleChange = (key, value) => {
+    setForm(current => ({ ...current, [key]: value }));
+  };
+
+  const handleSave = () => {
+    const splitList = (text) => text.split(',').map(entry => entry.trim()).filter(Boolean);
+    try {
+      onRoutesChange(saveRoute({
+        ...form,
+        via: splitList(form.via),
+        aliases: splitList(form.aliases),
+        distance: Number(form.distance),
+        transitHours: Number(form.transitHours)
+      }, editingId));
+      closeForm();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = (route) => {
+    const ordersOnLane = orders.filter(order => order.route === route.id).length;
+    const message = ordersOnLane > 0
+      ? `Delete route ${route.id}? ${ordersOnLane} order(s) use this lane and will need a route before planning.`
+      : `Delete route ${route.id}?`;
+    if (window.confirm(message)) {
+      onRoutesChange(deleteRoute(route.id));
+    }
+  };
+
+  const formFields = [
+    { key: 'id', label: 'Route Code', placeholder: 'e.g. DEL-JAI' },
+    { key: 'name', label: 'Display Name', placeholder: 'Defaults to Origin → Destination' },
+    { key: 'origin', label: 'Origin', placeholder: 'e.g. Delhi' },
+    { key: 'destination', label: 'Destination', placeholder: 'e.g. Jaipur' },
+    { key: 'via', label: 'Via Points', placeholder: 'Comma separated, e.g. Gurgaon, Neemrana' },
+    { key: 'distance', label: 'Distance (km)', type: 'number' },
+    { key: 'transitHours', label: 'Transit Time (hours)', type: 'number' },
+    { key: 'aliases', label: 'Lane Aliases', placeholder: 'Comma separated codes used in customer files' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Route Master</h2>
+          <p className="text-gray-600 mt-1">
+            Lanes used for import, planning, costing and route display. {routes.length} routes defined.
+          </p>
+        </div>
+        <button onClick={() => openForm()} className="btn-primary flex items-center">
+          <Plus className="h-4 w-4 mr-2" />
+          Add Route
+        </button>
+      </div>
+
+      {/* Lanes used by orders but missing from the master */}
+      {unknownLanes.length > 0 && (
+        <div className="card border-yellow-200 bg-yellow-50">
+          <div className="flex items-center mb-3">
+            <AlertTriangle className="h-5 w-5 text-yellow-600 mr-2" />
+            <h3 className="text-lg font-semibold text-yellow-800">Unknown Lanes</h3>
+          </div>
+          <div className="space-y-2">
+            {unknownLanes.map(({ lane, orderIds }) => (
+              <div key={lane} className="flex items-center justify-between text-sm text-yellow-800">
+                <span>
+                  <span className="font-medium">{lane || '(blank)'}</span>
+                  <span className="ml-2">used by {orderIds.join(', ')}</span>
+                </span>
+                <button onClick={() => openForm(null, lane)} className="btn-secondary text-xs">
+                  Add Route
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Route form */}
+      {form && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{editingId ? `Edit Route ${editingId}` : 'New Route'}</h3>
+            <button onClick={closeForm} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {formFields.map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                <input
+                  type={field.type || 'text'}
+                  value={form[field.key]}
+                  placeholder={field.placeholder}
+                  onChange={(e) => handleChange(field.key, e.target.value)}
+                  className="input-field"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-end space-x-3 mt-4">
+            <button onClick={closeForm} className="btn-secondary">Cancel</button>
+            <button onClick={handleSave} className="btn-primary flex items-center">
+              <Save className="h-4 w-4 mr-2" />
+              Save Route
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Route table */}
+      <div className="card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="table-header">
+              <tr>
+                <th className="px-6 py-3 text-left">Route</th>
+                <th className="px-6 py-3 text-left">Via</th>
+                <th className="px-6 py-3 text-left">Distance</th>
+                <th className="px-6 py-3 text-left">Transit Time</th>
+                <th className="px-6 py-3 text-left">Aliases</th>
+                <th className="px-6 py-3 text-left">Orders</th>
+                <th className="px-6 py-3 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {routes.map(route => (
+                <tr key={route.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="flex items-center">
+                      <MapPin className="h-4 w-4 text-gray-400 mr-2" />
+                      <div>
+                        <div className="text-sm font-medium text-gray-900">{route.name}</div>
+                        <div className="text-sm text-gray-500">{route.id}</div>
+                      </div>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{(route.via || []).join(', ') || '—'}</td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{route.distance} km</td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {route.transitHours ? `${route.transitHours} h` : '—'}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{(route.aliases || []).join(', ') || '—'}</td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {orders.filter(order => order.route === route.id).length}
+                  </td>
+                  <td className="px-6 py-4 text-right">
+                    <button
+                      onClick={() => openForm(route)}
+                      className="text-gray-400 hover:text-gray-600 mr-3"
+                      title="Edit route"
+                    >
+                      <Edit2 className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(route)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete route"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RouteMaster;
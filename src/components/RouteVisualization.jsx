@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { MapPin, Navigation, Clock, Truck, Route, AlertTriangle, Map } from 'lucide-react';
+import { resolveRoute } from '../utils/routeMaster.js';
 
-const RouteVisualization = ({ planData, googleMapsApiKey }) => {
+const RouteVisualization = ({ planData, routes = [], googleMapsApiKey }) => {
   const [mapLoaded, setMapLoaded] = useState(false);
   const [routeData, setRouteData] = useState(null);
   const [selectedVehicle, setSelectedVehicle] = useState(null);
@@ -34,7 +35,7 @@ const RouteVisualization = ({ planData, googleMapsApiKey }) => {
         calculateOptimalRoutes();
       }
     }
-  }, [planData, mapLoaded, useStaticMap]);
+  }, [planData, routes, mapLoaded, useStaticMap]);
 
   // Cleanup function to prevent DOM manipulation errors
   useEffect(() => {
@@ -85,13 +86,15 @@ const RouteVisualization = ({ planData, googleMapsApiKey }) => {
     if (!planData?.vehicles) return;
 
     const staticRoutes = planData.vehicles.map((vehicle, index) => {
-      // Calculate estimated distance and duration based on route
-      const routeInfo = getRouteInfo(vehicle.route);
-      const estimatedDistance = routeInfo?.distance || 1000; // Default 1000km
-      const estimatedDuration = estimatedDistance / 60; // Assume 60 km/h average speed
+      // Distance and transit time come from the route master; unknown lanes are flagged, not estimated
+      const routeInfo = resolveRoute(routes, vehicle.route);
+      const estimatedDistance = routeInfo?.distance || 0;
+      const estimatedDuration = routeInfo?.transitHours || estimatedDistance / 60; // Assume 60 km/h average speed
 
       return {
         vehicleId: vehicle.id,
+        lane: vehicle.route,
+        unknownLane: !routeInfo,
         route: null, // No actual Google Maps route
         orders: vehicle.orders || [],
         dropPoints: vehicle.dropPoints || [],
@@ -106,17 +109,6 @@ const RouteVisualization = ({ planData, googleMapsApiKey }) => {
     setRouteData(staticRoutes);
   };
 
-  // Helper function to get route information from mock data
-  const getRouteInfo = (routeId) => {
-    const routes = {
-      'DEL-MUM': { distance: 1400, duration: 18 },
-      'DEL-HYD': { distance: 1500, duration: 20 },
-      'DEL-CHE': { distance: 2200, duration: 28 },
-      'DEL-BAN': { distance: 2100, duration: 26 }
-    };
-    return routes[routeId];
-  };
-
   const initializeMap = () => {
     if (!mapRef.current || !window.google) return;
 
@@ -425,7 +417,14 @@ const RouteVisualization = ({ planData, googleMapsApiKey }) => {
                       {route.orders.length} orders • {route.dropPoints.length > 0 ? `${route.dropPoints.length} drop points` : route.orders.map(o => o.route).join(', ')}
                     </div>
 
-                    {route.isStatic && (
+                    {route.unknownLane && (
+                      <div className="mt-2 text-xs text-red-600 flex items-center">
+                        <AlertTriangle className="h-3 w-3 mr-1" />
+                        <span>Unknown lane {route.lane || '(blank)'} — add it in Route Master</span>
+                      </div>
+                    )}
+
+                    {route.isStatic && !route.unknownLane && (
                       <div className="mt-2 text-xs text-blue-600">
                         <span>📍 Estimated route data</span>
                       </div>
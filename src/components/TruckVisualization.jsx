@@ -1,61 +1,240 @@
-import React, { useRef, useState, useEffect } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
-import { OrbitControls, Box, Cylinder, Text } from '@react-three/drei';
-import { RotateCcw, Download, Eye, EyeOff, Move, BarChart3, AlertTriangle } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls, Box, Cylinder, Text, Edges } from '@react-three/drei';
+import { RotateCcw, Download, Eye, EyeOff, Move, BarChart3, AlertTriangle, FileSpreadsheet, Edit, Save, X, RotateCw, Play, Pause, ListOrdered, PackageOpen, ChevronLeft, ChevronRight, Layers, Rotate3d, Printer } from 'lucide-react';
 import ErrorBoundary from './ErrorBoundary';
+import LoadDiagram from './LoadDiagram';
+import { getPlacedDimensions } from '../utils/binPacking';
+import { exportPlanToExcel } from '../utils/excelParser';
+import { LoadOptimizer } from '../utils/loadOptimization.js';
+import { snapPlacement, rotateItem, validateManualPlacement, placeItem } from '../utils/manualPlacement.js';
+import { isPlanLocked } from '../utils/planLifecycle.js';
+import { getLoadingSteps, printLoadingInstructions } from '../utils/loadingInstructions.js';
+import { exportPlanToPdf } from '../utils/planPdfExport.js';
+import { printLoadDiagrams } from '../utils/loadDiagrams.js';
+
+const DEFAULT_BODY = { length: 6100, width: 2440, height: 2590 };
+const BED_HEIGHT = 0.05; // m, thickness of the drawn truck bed
+const INVALID_COLOR = '#EF4444';
+const SELECTED_COLOR = '#3B82F6';
+const REHANDLE_COLOR = '#F97316';
+const FLAGGED_EDGE_COLOR = '#DC2626';
+const WEDGE_COLOR = '#92400E';
+
+// Time each loading step stays on screen during playback
+const PLAYBACK_STEP_MS = 1200;
+
+const SEVERITY_TEXT = {
+  critical: 'text-red-700',
+  high: 'text-red-600',
+  medium: 'text-yellow-700',
+  low: 'text-gray-600'
+};
 
+const getItemColor = (materialType, priority) => {
+  if (materialType === 'cylindrical') {
+    return priority === 'high' ? '#EF4444' : priority === 'medium' ? '#F59E0B' : '#10B981';
+  }
+  return priority === 'high' ? '#DC2626' : priority === 'medium' ? '#D97706' : '#059669';
+};
 
+// Centre of a placed item in scene metres; the vehicle body is drawn centred on vehiclePosition
+const toScenePosition = (item, body, vehiclePosition) => {
+  const dims = getPlacedDimensions(item);
+  return [
+    vehiclePosition[0] + (item.position.x + dims.length / 2 - body.length / 2) / 1000,
+    vehiclePosition[1] + BED_HEIGHT + (item.position.y + dims.height / 2) / 1000,
+    vehiclePosition[2] + (item.position.z + dims.width / 2 - body.width / 2) / 1000
+  ];
+};
 
-// 3D Item Component
-const Item3D = ({ item, position, onClick, isSelected }) => {
-  const meshRef = useRef();
+// Floor tint for each compartment temperature class
+const temperatureColors = {
+  ambient: '#D1D5DB',
+  chilled: '#60A5FA',
+  frozen: '#A78BFA'
+};
 
-  useFrame((state) => {
-    if (isSelected && meshRef.current) {
-      meshRef.current.rotation.y = Math.sin(state.clock.elapsedTime * 2) * 0.1;
-    }
-  });
+// Compartment floors and the bulkheads between them, in container-centred metres
+const CompartmentPartitions = ({ compartments, dimensions }) => (
+  <>
+    {compartments.map((compartment, index) => {
+      const origin = compartment.origin || { x: 0, y: 0, z: 0 };
+      const length = compartment.dimensions.length / 1000;
+      const centerX = (origin.x / 1000) + length / 2 - dimensions.length / 2000;
+      const previous = compartments[index - 1];
+      const bulkheadStart = previous
+        ? ((previous.origin?.x || 0) + previous.dimensions.length) / 1000
+        : null;
+      const bulkheadThickness = previous ? Math.max(origin.x / 1000 - bulkheadStart, 0.05) : 0;
+
+      return (
+        <group key={compartment.id}>
+          <Box
+            args={[length, 0.01, compartment.dimensions.width / 1000]}
+            position={[centerX, 0.055, 0]}
+          >
+            <meshStandardMaterial color={temperatureColors[compartment.temperatureClass] || temperatureColors.ambient} opacity={0.5} transparent />
+          </Box>
 
-  const getItemColor = (materialType, priority) => {
-    if (materialType === 'cylindrical') {
-      return priority === 'high' ? '#EF4444' : priority === 'medium' ? '#F59E0B' : '#10B981';
-    }
-    return priority === 'high' ? '#DC2626' : priority === 'medium' ? '#D97706' : '#059669';
+          {previous && (
+            <Box
+              args={[bulkheadThickness, dimensions.height / 1000, dimensions.width / 1000]}
+              position={[bulkheadStart + bulkheadThickness / 2 - dimensions.length / 2000, dimensions.height / 2000, 0]}
+            >
+              <meshStandardMaterial color="#6B7280" opacity={0.35} transparent />
+            </Box>
+          )}
+
+          <Text
+            position={[centerX, dimensions.height / 1000 + 0.2, 0]}
+            fontSize={0.2}
+            color={temperatureColors[compartment.temperatureClass] || '#6B7280'}
+            anchorX="center"
+            anchorY="middle"
+            rotation={[-Math.PI/2, 0, 0]}
+          >
+            {compartment.name}
+          </Text>
+        </group>
+      );
+    })}
+  </>
+);
+
+// A load plan item drawn at its planned position and orientation
+const PlacedItem3D = ({ item, position, color, flagged, onClick, onPointerDown, onHover }) => {
+  const dims = getPlacedDimensions(item);
+  const handlers = {
+    onClick,
+    onPointerDown,
+    ...(onHover && {
+      onPointerOver: (e) => { e.stopPropagation(); onHover(item.id); },
+      onPointerOut: () => onHover(null)
+    })
   };
 
   if (item.materialType === 'cylindrical') {
+    const radius = item.dimensions.diameter / 2000;
     return (
       <Cylinder
-        ref={meshRef}
-        args={[item.dimensions.diameter/2000, item.dimensions.diameter/2000, item.dimensions.height/1000]}
+        args={[radius, radius, item.dimensions.height / 1000]}
         position={position}
-        onClick={onClick}
+        // Horizontal cylinders lie with their axis along the body length
+        rotation={item.orientation === 'horizontal' ? [0, 0, Math.PI / 2] : [0, 0, 0]}
+        {...handlers}
       >
-        <meshStandardMaterial
-          color={getItemColor(item.materialType, item.priority)}
-          opacity={isSelected ? 0.8 : 0.7}
-          transparent
-        />
+        <meshStandardMaterial color={color} opacity={0.8} transparent />
+        {flagged && <Edges color={FLAGGED_EDGE_COLOR} />}
       </Cylinder>
     );
   }
 
   return (
     <Box
-      ref={meshRef}
-      args={[item.dimensions.length/1000, item.dimensions.height/1000, item.dimensions.width/1000]}
+      args={[dims.length / 1000, dims.height / 1000, dims.width / 1000]}
       position={position}
-      onClick={onClick}
+      {...handlers}
     >
-      <meshStandardMaterial
-        color={getItemColor(item.materialType, item.priority)}
-        opacity={isSelected ? 0.8 : 0.7}
-        transparent
-      />
+      <meshStandardMaterial color={color} opacity={0.8} transparent />
+      {flagged && <Edges color={FLAGGED_EDGE_COLOR} />}
     </Box>
   );
 };
 
+// Wedges the cylinder packer set under a horizontal cylinder; each position marks a wedge's centre on the floor
+const SupportWedges = ({ wedges, body, vehiclePosition }) => (
+  <>
+    {wedges.map((wedge, index) => (
+      <Box
+        key={index}
+        args={[wedge.dimensions.length / 1000, wedge.dimensions.height / 1000, wedge.dimensions.width / 1000]}
+        position={[
+          vehiclePosition[0] + (wedge.position.x - body.length / 2) / 1000,
+          vehiclePosition[1] + BED_HEIGHT + (wedge.position.y + wedge.dimensions.height / 2) / 1000,
+          vehiclePosition[2] + (wedge.position.z - body.width / 2) / 1000
+        ]}
+      >
+        <meshStandardMaterial color={WEDGE_COLOR} />
+      </Box>
+    ))}
+  </>
+);
+
+// Items named by a load plan's warnings or blocking later stops
+const getWarnedItemIds = (loadPlan) => new Set([
+  ...(loadPlan?.warnings || []).map(warning => warning.itemId).filter(Boolean),
+  ...(loadPlan?.blockers || []).map(blocker => blocker.itemId)
+]);
+
+// A vehicle's load exactly as its load plan places it; nothing is re-packed here
+const VehicleLoad = ({ vehicle, items, vehiclePosition, getColor, flaggedIds, onItemClick, onItemPointerDown, onItemHover }) => {
+  const body = vehicle.vehicleType?.dimensions || DEFAULT_BODY;
+
+  return (
+    <group>
+      {items.filter(item => item.position).map(item => (
+        <React.Fragment key={item.id}>
+          <PlacedItem3D
+            item={item}
+            position={toScenePosition(item, body, vehiclePosition)}
+            color={getColor(item)}
+            flagged={flaggedIds.has(item.id)}
+            onClick={onItemClick && ((e) => { e.stopPropagation(); onItemClick(item); })}
+            onPointerDown={onItemPointerDown && ((e) => onItemPointerDown(e, item))}
+            onHover={onItemHover}
+          />
+          {item.supportStructure && (
+            <SupportWedges wedges={item.supportStructure} body={body} vehiclePosition={vehiclePosition} />
+          )}
+        </React.Fragment>
+      ))}
+    </group>
+  );
+};
+
+// A vehicle's load plan items, draggable across the floor of the body
+const EditableLoad = ({ vehicle, vehiclePosition, layoutEdit, invalidIds, onSelect, onHover, onDragStart, onDrag, onDragEnd }) => {
+  const body = vehicle.vehicleType?.dimensions || DEFAULT_BODY;
+
+  return (
+    <group>
+      <VehicleLoad
+        vehicle={vehicle}
+        items={layoutEdit.items}
+        vehiclePosition={vehiclePosition}
+        getColor={(item) => (invalidIds.has(item.id)
+          ? INVALID_COLOR
+          : item.id === layoutEdit.selectedId ? SELECTED_COLOR : getItemColor(item.materialType, item.priority))}
+        flaggedIds={invalidIds}
+        onItemPointerDown={(e, item) => {
+          e.stopPropagation();
+          onSelect(item.id);
+          onDragStart(item.id);
+        }}
+        onItemHover={onHover}
+      />
+
+      {/* Invisible floor that tracks the pointer while an item is dragged */}
+      <mesh
+        rotation={[-Math.PI / 2, 0, 0]}
+        position={[vehiclePosition[0], BED_HEIGHT, vehiclePosition[2]]}
+        onPointerMove={(e) => {
+          if (!layoutEdit.draggingId) return;
+          onDrag(
+            (e.point.x - vehiclePosition[0]) * 1000 + body.length / 2,
+            (e.point.z - vehiclePosition[2]) * 1000 + body.width / 2
+          );
+        }}
+        onPointerUp={onDragEnd}
+      >
+        <planeGeometry args={[body.length / 1000 + 4, body.width / 1000 + 4]} />
+        <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+      </mesh>
+    </group>
+  );
+};
+
 // Vehicle Container Component with ID label
 const VehicleContainer = ({ vehicle, position, vehicleIndex }) => {
   const dimensions = vehicle.vehicleType?.dimensions || {
@@ -88,6 +267,10 @@ const VehicleContainer = ({ vehicle, position, vehicleIndex }) => {
         <meshStandardMaterial color={getVehicleColor(vehicleIndex)} wireframe opacity={0.4} transparent />
       </Box>
 
+      {vehicle.vehicleType?.compartments?.length > 1 && (
+        <CompartmentPartitions compartments={vehicle.vehicleType.compartments} dimensions={dimensions} />
+      )}
+
       {/* Vehicle ID Label */}
       <Text
         position={[0, dimensions.height/1000 + 0.5, dimensions.width/2000 + 0.5]}
@@ -104,7 +287,7 @@ const VehicleContainer = ({ vehicle, position, vehicleIndex }) => {
 };
 
 // Main 3D Scene Component
-const Scene3D = ({ planData, selectedItem, onItemSelect, showLabels, selectedVehicleId }) => {
+const Scene3D = ({ planData, selectedItem, onItemSelect, showLabels, selectedVehicleId, layoutEditor, partialLoad }) => {
   // Filter vehicles based on selection
   const vehiclesToShow = selectedVehicleId === 'all'
     ? planData.vehicles || []
@@ -115,178 +298,20 @@ const Scene3D = ({ planData, selectedItem, onItemSelect, showLabels, selectedVeh
     if (vehiclesToShow.length <= 1) return 0;
 
     const maxLength = Math.max(...vehiclesToShow.map(v =>
-      v.vehicleType?.dimensions?.length || 6100
+      v.vehicleType?.dimensions?.length || DEFAULT_BODY.length
     ));
     return maxLength / 1000 + 2; // 2m spacing between vehicles
   };
 
   const vehicleSpacing = calculateVehicleSpacing();
 
-  // Arrange items for a specific vehicle with improved stacking
-  const arrangeItemsForVehicle = (vehicle, vehiclePosition) => {
-    const dimensions = vehicle.vehicleType?.dimensions || {
-      length: 6100,
-      width: 2440,
-      height: 2590
-    };
-
-    const positions = [];
-    const containerLength = dimensions.length / 1000; // Convert to meters
-    const containerWidth = dimensions.width / 1000;   // Convert to meters
-    const containerHeight = dimensions.height / 1000; // Convert to meters
-
-    // Create a 3D grid to track occupied space
-    const gridResolution = 0.1; // 10cm resolution
-    const gridX = Math.ceil(containerLength / gridResolution);
-    const gridZ = Math.ceil(containerWidth / gridResolution);
-    const gridY = Math.ceil(containerHeight / gridResolution);
-    const occupiedGrid = new Array(gridX).fill(null).map(() =>
-      new Array(gridZ).fill(null).map(() =>
-        new Array(gridY).fill(false)
-      )
-    );
-
-    const orders = vehicle.orders || [];
-
-    // Function to check if a position is available
-    const isPositionAvailable = (x, z, y, itemLength, itemWidth, itemHeight) => {
-      const startX = Math.floor((x + containerLength/2) / gridResolution);
-      const endX = Math.ceil((x + containerLength/2 + itemLength) / gridResolution);
-      const startZ = Math.floor((z + containerWidth/2) / gridResolution);
-      const endZ = Math.ceil((z + containerWidth/2 + itemWidth) / gridResolution);
-      const startY = Math.floor(y / gridResolution);
-      const endY = Math.ceil((y + itemHeight) / gridResolution);
-
-      // Check boundaries
-      if (startX < 0 || endX > gridX || startZ < 0 || endZ > gridZ || startY < 0 || endY > gridY) {
-        return false;
-      }
-
-      // Check if space is occupied
-      for (let gx = startX; gx < endX; gx++) {
-        for (let gz = startZ; gz < endZ; gz++) {
-          for (let gy = startY; gy < endY; gy++) {
-            if (occupiedGrid[gx][gz][gy]) {
-              return false;
-            }
-          }
-        }
-      }
-      return true;
-    };
-
-    // Function to mark position as occupied
-    const markPositionOccupied = (x, z, y, itemLength, itemWidth, itemHeight) => {
-      const startX = Math.floor((x + containerLength/2) / gridResolution);
-      const endX = Math.ceil((x + containerLength/2 + itemLength) / gridResolution);
-      const startZ = Math.floor((z + containerWidth/2) / gridResolution);
-      const endZ = Math.ceil((z + containerWidth/2 + itemWidth) / gridResolution);
-      const startY = Math.floor(y / gridResolution);
-      const endY = Math.ceil((y + itemHeight) / gridResolution);
-
-      for (let gx = startX; gx < endX; gx++) {
-        for (let gz = startZ; gz < endZ; gz++) {
-          for (let gy = startY; gy < endY; gy++) {
-            if (gx >= 0 && gx < gridX && gz >= 0 && gz < gridZ && gy >= 0 && gy < gridY) {
-              occupiedGrid[gx][gz][gy] = true;
-            }
-          }
-        }
-      }
-    };
-
-    // Function to find the lowest available position
-    const findLowestPosition = (itemLength, itemWidth, itemHeight) => {
-      for (let y = 0.025; y + itemHeight <= containerHeight; y += gridResolution) {
-        for (let z = -containerWidth/2; z + itemWidth <= containerWidth/2; z += gridResolution) {
-          for (let x = -containerLength/2; x + itemLength <= containerLength/2; x += gridResolution) {
-            if (isPositionAvailable(x, z, y, itemLength, itemWidth, itemHeight)) {
-              return { x, z, y };
-            }
-          }
-        }
-      }
-      return null; // No position found
-    };
-
-    // Create a list of all items with their properties
-    const allItems = [];
-    orders.forEach((order, orderIndex) => {
-      for (let i = 0; i < Math.min(order.quantity, 15); i++) { // Increased limit for better visualization
-        const itemWidth = order.materialType === 'cylindrical'
-          ? order.dimensions.diameter/1000
-          : order.dimensions.width/1000;
-        const itemLength = order.materialType === 'cylindrical'
-          ? order.dimensions.diameter/1000
-          : order.dimensions.length/1000;
-        const itemHeight = order.dimensions.height/1000;
-
-        allItems.push({
-          ...order,
-          itemIndex: i,
-          itemWidth,
-          itemLength,
-          itemHeight,
-          volume: itemLength * itemWidth * itemHeight,
-          id: `${vehicle.id}_${order.id}_${i}`
-        });
-      }
-    });
-
-    // Sort items by volume (largest first) for better packing
-    allItems.sort((a, b) => b.volume - a.volume);
-
-    // Place each item
-    allItems.forEach((item) => {
-      // Find the best position for this item
-      const position = findLowestPosition(item.itemLength, item.itemWidth, item.itemHeight);
-
-      if (position) {
-        positions.push({
-          ...item,
-          vehicleId: vehicle.id,
-          position: [
-            vehiclePosition[0] + position.x + item.itemLength/2,
-            vehiclePosition[1] + position.y + item.itemHeight/2,
-            vehiclePosition[2] + position.z + item.itemWidth/2
-          ]
-        });
-
-        // Mark this space as occupied
-        markPositionOccupied(position.x, position.z, position.y, item.itemLength, item.itemWidth, item.itemHeight);
-      }
-    });
-
-    return positions;
-  };
-
-  // Get all item positions for all vehicles
-  const getAllItemPositions = () => {
-    const allPositions = [];
-
-    vehiclesToShow.forEach((vehicle, index) => {
-      const vehiclePosition = [
-        index * vehicleSpacing - ((vehiclesToShow.length - 1) * vehicleSpacing) / 2,
-        0,
-        0
-      ];
-
-      const vehicleItems = arrangeItemsForVehicle(vehicle, vehiclePosition);
-      allPositions.push(...vehicleItems);
-    });
-
-    return allPositions;
-  };
-
-  const itemPositions = getAllItemPositions();
-
   return (
     <>
       <ambientLight intensity={0.6} />
       <pointLight position={[10, 10, 10]} intensity={0.8} />
       <pointLight position={[-10, -10, -10]} intensity={0.4} />
 
-      {/* Render all vehicle containers */}
+      {/* Each vehicle with its load as planned */}
       {vehiclesToShow.map((vehicle, index) => {
         const vehiclePosition = [
           index * vehicleSpacing - ((vehiclesToShow.length - 1) * vehicleSpacing) / 2,
@@ -295,47 +320,266 @@ const Scene3D = ({ planData, selectedItem, onItemSelect, showLabels, selectedVeh
         ];
 
         return (
-          <VehicleContainer
-            key={vehicle.id}
-            vehicle={vehicle}
-            position={vehiclePosition}
-            vehicleIndex={index}
-          />
+          <group key={vehicle.id}>
+            <VehicleContainer
+              vehicle={vehicle}
+              position={vehiclePosition}
+              vehicleIndex={index}
+            />
+
+            {layoutEditor?.layoutEdit.vehicleId === vehicle.id ? (
+              <EditableLoad vehicle={vehicle} vehiclePosition={vehiclePosition} {...layoutEditor} />
+            ) : partialLoad?.vehicleId === vehicle.id ? (
+              // Part of the load during loading playback or unloading, with some items picked out
+              <VehicleLoad
+                vehicle={vehicle}
+                items={partialLoad.items}
+                vehiclePosition={vehiclePosition}
+                getColor={(item) => partialLoad.colors[item.id] || getItemColor(item.materialType, item.priority)}
+                flaggedIds={new Set()}
+              />
+            ) : (
+              <VehicleLoad
+                vehicle={vehicle}
+                items={vehicle.loadPlan?.items || []}
+                vehiclePosition={vehiclePosition}
+                getColor={(item) => (selectedItem?.vehicleId === vehicle.id && selectedItem.id === item.id
+                  ? SELECTED_COLOR
+                  : getItemColor(item.materialType, item.priority))}
+                flaggedIds={getWarnedItemIds(vehicle.loadPlan)}
+                onItemClick={(item) => onItemSelect({ ...item, vehicleId: vehicle.id })}
+              />
+            )}
+          </group>
         );
       })}
 
-      {/* Render all items */}
-      {itemPositions.map((item) => (
-        <Item3D
-          key={item.id}
-          item={item}
-          position={item.position}
-          onClick={() => onItemSelect(item)}
-          isSelected={selectedItem?.id === item.id}
-        />
-      ))}
-
       {/* Render labels - completely removed */}
 
-      <OrbitControls enablePan={true} enableZoom={true} enableRotate={true} />
+      <OrbitControls
+        enablePan={true}
+        enableZoom={true}
+        // Grabbing an item moves the item, not the camera
+        enableRotate={!layoutEditor?.layoutEdit.draggingId && !layoutEditor?.layoutEdit.hoveredId}
+      />
     </>
   );
 };
 
-const TruckVisualization = ({ planData }) => {
+const TruckVisualization = ({ planData, onLoadPlanChange }) => {
   const [selectedItem, setSelectedItem] = useState(null);
   const [showLabels, setShowLabels] = useState(true);
   const [viewMode, setViewMode] = useState('3d');
   const [selectedVehicleId, setSelectedVehicleId] = useState('all');
   const [webglError, setWebglError] = useState(false);
+  // Hand edits to one vehicle's layout: { vehicleId, items, selectedId, hoveredId, draggingId, initiallyBlocked }
+  const [layoutEdit, setLayoutEdit] = useState(null);
+  // Step-by-step loading of one vehicle: { vehicleId, step, playing }; step 0 is the empty body
+  const [playback, setPlayback] = useState(null);
+  // Stop-by-stop unloading of one vehicle: { vehicleId, stop }; stop 0 is the full load
+  const [unloading, setUnloading] = useState(null);
+
+  // The 3D view needs WebGL; without it the 2D diagrams stand in
+  const show3D = viewMode === '3d' && !webglError;
+  const shownVehicles = selectedVehicleId === 'all'
+    ? planData.vehicles || []
+    : planData.vehicles?.filter(v => v.id === selectedVehicleId) || [];
+  const singleVehicle = selectedVehicleId === 'all'
+    ? (planData.vehicles?.length === 1 ? planData.vehicles[0] : null)
+    : planData.vehicles?.find(v => v.id === selectedVehicleId);
+  const canEditLayout = Boolean(onLoadPlanChange && singleVehicle?.loadPlan && !isPlanLocked(planData) && !playback && !unloading && show3D);
+  const canPlayLoading = Boolean(singleVehicle?.loadPlan?.items?.length) && !layoutEdit && !unloading && show3D;
+  const canSimulateUnloading = Boolean(singleVehicle?.loadPlan?.stops?.length && singleVehicle.vehicleType)
+    && !layoutEdit && !playback && show3D;
+  const editedVehicle = layoutEdit && planData.vehicles?.find(v => v.id === layoutEdit.vehicleId);
+
+  // Validates placements with the same rules the optimizer packed the vehicle with
+  const constraintsEngine = useMemo(() => editedVehicle
+    ? new LoadOptimizer(editedVehicle.vehicleType, planData.constraints).constraintsEngine
+    : null,
+  [editedVehicle, planData.constraints]);
+
+  // Strict validation of every item; an item shows red when it is blocked and either
+  // was moved by hand or only became blocked through the edits (e.g. lost its support)
+  const layoutItems = layoutEdit?.items;
+  const layoutValidation = useMemo(() => {
+    if (!layoutItems || !constraintsEngine) return {};
+    const validation = {};
+    layoutItems.filter(item => item.position).forEach(item => {
+      const others = layoutItems.filter(other => other !== item && other.position);
+      validation[item.id] = validateManualPlacement(item, item.position, others, constraintsEngine);
+    });
+    return validation;
+  }, [layoutItems, constraintsEngine]);
+
+  const invalidIds = new Set(Object.keys(layoutValidation).filter(itemId => {
+    const item = layoutEdit.items.find(candidate => candidate.id === itemId);
+    return layoutValidation[itemId].blocking && (item.manuallyPlaced || !layoutEdit.initiallyBlocked.includes(itemId));
+  }));
+
+  const playbackVehicle = playback && planData.vehicles?.find(v => v.id === playback.vehicleId);
+  const playbackSteps = useMemo(() => playbackVehicle
+    ? getLoadingSteps(playbackVehicle.loadPlan, playbackVehicle.vehicleType?.dimensions || DEFAULT_BODY)
+    : [],
+  [playbackVehicle]);
+
+  const unloadingVehicle = unloading && planData.vehicles?.find(v => v.id === unloading.vehicleId);
+  const unloadingSteps = useMemo(() => unloadingVehicle
+    ? new LoadOptimizer(unloadingVehicle.vehicleType, planData.constraints).simulateUnloading(unloadingVehicle.loadPlan)
+    : [],
+  [unloadingVehicle, planData.constraints]);
+
+  // A different plan, or a saved edit, starts from the stored layout again
+  useEffect(() => {
+    setLayoutEdit(null);
+    setPlayback(null);
+    setUnloading(null);
+  }, [planData.id, planData.updatedAt]);
+
+  // Playing adds one item per tick and stops once everything is loaded
+  useEffect(() => {
+    if (!playback?.playing) return;
+    const timer = setInterval(() => {
+      setPlayback(current => (current.step >= playbackSteps.length
+        ? { ...current, playing: false }
+        : { ...current, step: current.step + 1 }));
+    }, PLAYBACK_STEP_MS);
+    return () => clearInterval(timer);
+  }, [playback?.playing, playbackSteps.length]);
+
+  // A drag ends wherever the pointer is released, even outside the scene
+  useEffect(() => {
+    if (!layoutEdit?.draggingId) return;
+    const endDrag = () => setLayoutEdit(edit => edit && ({ ...edit, draggingId: null }));
+    window.addEventListener('pointerup', endDrag);
+    return () => window.removeEventListener('pointerup', endDrag);
+  }, [layoutEdit?.draggingId]);
+
+  const startLayoutEdit = () => {
+    const engine = new LoadOptimizer(singleVehicle.vehicleType, planData.constraints).constraintsEngine;
+    const items = singleVehicle.loadPlan.items;
+    const initiallyBlocked = items.filter(item => item.position && validateManualPlacement(
+      item, item.position, items.filter(other => other !== item && other.position), engine
+    ).blocking).map(item => item.id);
+
+    setSelectedItem(null);
+    setSelectedVehicleId(singleVehicle.id);
+    setLayoutEdit({ vehicleId: singleVehicle.id, items, selectedId: null, hoveredId: null, draggingId: null, initiallyBlocked });
+  };
+
+  const moveEditedItem = (itemId, transform) => {
+    setLayoutEdit(edit => {
+      const item = edit.items.find(candidate => candidate.id === itemId);
+      const others = edit.items.filter(other => other !== item);
+      const body = editedVehicle.vehicleType?.dimensions || DEFAULT_BODY;
+      const { changes, target } = transform(item);
+      const moved = { ...item, ...changes };
+      const position = snapPlacement(moved, target, others, body, constraintsEngine);
+      return { ...edit, items: placeItem(edit.items, itemId, { ...changes, position }) };
+    });
+  };
+
+  const handleLayoutDrag = (bodyX, bodyZ) => {
+    moveEditedItem(layoutEdit.draggingId, item => {
+      const dims = constraintsEngine.getItemDimensions(item);
+      // The pointer holds the item by its centre
+      return { changes: {}, target: { x: bodyX - dims.length / 2, z: bodyZ - dims.width / 2 } };
+    });
+  };
+
+  const handleRotateSelected = () => {
+    moveEditedItem(layoutEdit.selectedId, item => ({
+      changes: rotateItem(item),
+      target: { x: item.position.x, z: item.position.z }
+    }));
+  };
+
+  const handleSaveLayout = () => {
+    if (invalidIds.size > 0) {
+      alert(`Fix the ${invalidIds.size} item(s) shown in red before saving the layout.`);
+      return;
+    }
+    onLoadPlanChange(layoutEdit.vehicleId, layoutEdit.items);
+    setLayoutEdit(null);
+  };
+
+  const layoutEditor = layoutEdit && constraintsEngine && {
+    layoutEdit,
+    invalidIds,
+    constraintsEngine,
+    onSelect: (itemId) => setLayoutEdit(edit => ({ ...edit, selectedId: itemId })),
+    onHover: (itemId) => setLayoutEdit(edit => edit && ({ ...edit, hoveredId: itemId })),
+    onDragStart: (itemId) => setLayoutEdit(edit => ({ ...edit, draggingId: itemId })),
+    onDrag: handleLayoutDrag,
+    onDragEnd: () => setLayoutEdit(edit => edit && ({ ...edit, draggingId: null }))
+  };
+  const selectedEditItem = layoutEdit?.items.find(item => item.id === layoutEdit.selectedId);
+
+  const startPlayback = () => {
+    setSelectedItem(null);
+    setSelectedVehicleId(singleVehicle.id);
+    setPlayback({ vehicleId: singleVehicle.id, step: 0, playing: true });
+  };
+
+  const togglePlayback = () => {
+    setPlayback(current => ({
+      ...current,
+      // Playing again from the last step starts over
+      step: !current.playing && current.step >= playbackSteps.length ? 0 : current.step,
+      playing: !current.playing
+    }));
+  };
+
+  const currentStep = playback && playback.step > 0 ? playbackSteps[playback.step - 1] : null;
+
+  const startUnloading = () => {
+    setSelectedItem(null);
+    setSelectedVehicleId(singleVehicle.id);
+    setUnloading({ vehicleId: singleVehicle.id, stop: 0 });
+  };
+
+  const currentUnloadingStep = unloading && unloading.stop > 0 ? unloadingSteps[unloading.stop - 1] : null;
+  // The stop coming up next, whose items the highlighted ones are in the way of
+  const nextUnloadingStep = unloading ? unloadingSteps[unloading.stop] : null;
+
+  const getPartialLoad = () => {
+    if (playback) {
+      return {
+        vehicleId: playback.vehicleId,
+        items: playbackSteps.slice(0, playback.step).map(step => step.item),
+        colors: currentStep ? { [currentStep.itemId]: SELECTED_COLOR } : {}
+      };
+    }
+    if (unloading && unloadingVehicle) {
+      const remainingIds = currentUnloadingStep && new Set(currentUnloadingStep.remainingIds);
+      const colors = {};
+      nextUnloadingStep?.unloadedIds.forEach(itemId => { colors[itemId] = SELECTED_COLOR; });
+      nextUnloadingStep?.rehandleIds.forEach(itemId => { colors[itemId] = REHANDLE_COLOR; });
+      return {
+        vehicleId: unloading.vehicleId,
+        items: unloadingVehicle.loadPlan.items.filter(item => !remainingIds || remainingIds.has(item.id)),
+        colors
+      };
+    }
+    return null;
+  };
 
   const handleItemSelect = (item) => {
-    setSelectedItem(selectedItem?.id === item.id ? null : item);
+    const isSelected = selectedItem?.vehicleId === item.vehicleId && selectedItem.id === item.id;
+    setSelectedItem(isSelected ? null : item);
   };
 
   const handleExport = () => {
-    // Implement export functionality
-    alert('Export functionality will be implemented');
+    try {
+      exportPlanToPdf(planData, DEFAULT_BODY);
+    } catch (error) {
+      console.error('PDF export failed:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleExcelExport = () => {
+    exportPlanToExcel(planData);
   };
 
   const resetView = () => {
@@ -467,13 +711,87 @@ const TruckVisualization = ({ planData }) => {
             <EyeOff className="h-4 w-4 mr-2" />
             Labels (Disabled)
           </button>
+          <button
+            onClick={() => setViewMode(viewMode === '3d' ? '2d' : '3d')}
+            disabled={webglError || Boolean(layoutEdit || playback || unloading)}
+            className="btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {show3D ? <Layers className="h-4 w-4 mr-2" /> : <Rotate3d className="h-4 w-4 mr-2" />}
+            {show3D ? '2D Diagrams' : '3D View'}
+          </button>
           <button onClick={resetView} className="btn-secondary flex items-center">
             <RotateCcw className="h-4 w-4 mr-2" />
             Reset View
           </button>
+          {playback ? (
+            <button onClick={() => setPlayback(null)} className="btn-secondary flex items-center">
+              <X className="h-4 w-4 mr-2" />
+              Stop Playback
+            </button>
+          ) : (
+            <button
+              onClick={startPlayback}
+              disabled={!canPlayLoading}
+              className="btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+              title={canPlayLoading ? 'Play the loading sequence step by step' : 'Select a single vehicle with a load plan to play its loading'}
+            >
+              <Play className="h-4 w-4 mr-2" />
+              Play Loading
+            </button>
+          )}
+          {unloading ? (
+            <button onClick={() => setUnloading(null)} className="btn-secondary flex items-center">
+              <X className="h-4 w-4 mr-2" />
+              Stop Unloading
+            </button>
+          ) : (
+            <button
+              onClick={startUnloading}
+              disabled={!canSimulateUnloading}
+              className="btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+              title={canSimulateUnloading ? 'Unload the vehicle stop by stop' : 'Select a single vehicle with a load plan to simulate its unloading'}
+            >
+              <PackageOpen className="h-4 w-4 mr-2" />
+              Simulate Unloading
+            </button>
+          )}
+          <button
+            onClick={() => printLoadingInstructions(planData, shownVehicles, DEFAULT_BODY)}
+            className="btn-secondary flex items-center"
+            title="Print numbered loading instructions for the vehicles shown"
+          >
+            <ListOrdered className="h-4 w-4 mr-2" />
+            Print Steps
+          </button>
+          {layoutEdit ? (
+            <>
+              <button onClick={handleSaveLayout} className="btn-primary flex items-center">
+                <Save className="h-4 w-4 mr-2" />
+                Save Layout
+              </button>
+              <button onClick={() => setLayoutEdit(null)} className="btn-secondary flex items-center">
+                <X className="h-4 w-4 mr-2" />
+                Discard
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={startLayoutEdit}
+              disabled={!canEditLayout}
+              className="btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+              title={canEditLayout ? 'Move and rotate items by hand' : 'Select a single vehicle of a draft plan to edit its layout'}
+            >
+              <Edit className="h-4 w-4 mr-2" />
+              Edit Layout
+            </button>
+          )}
+          <button onClick={handleExcelExport} className="btn-secondary flex items-center">
+            <FileSpreadsheet className="h-4 w-4 mr-2" />
+            Export Excel
+          </button>
           <button onClick={handleExport} className="btn-primary flex items-center">
             <Download className="h-4 w-4 mr-2" />
-            Export
+            Export PDF
           </button>
         </div>
       </div>
@@ -482,37 +800,9 @@ const TruckVisualization = ({ planData }) => {
         {/* 3D Visualization */}
         <div className="lg:col-span-3">
           <div className="card p-0 overflow-hidden">
-            <div className="h-96 lg:h-[600px] relative">
-              {webglError ? (
-                // WebGL Error Fallback
-                <div className="flex items-center justify-center h-full bg-gradient-to-br from-gray-50 to-blue-50">
-                  <div className="text-center p-8">
-                    <AlertTriangle className="h-16 w-16 text-orange-500 mx-auto mb-4" />
-                    <h3 className="text-lg font-semibold text-gray-900 mb-2">3D Visualization Unavailable</h3>
-                    <p className="text-gray-600 mb-4">
-                      WebGL is not supported or enabled in your browser
-                    </p>
-                    <div className="bg-white rounded-lg p-4 shadow-sm">
-                      <p className="text-sm text-gray-500 mb-2">Load Summary:</p>
-                      <div className="space-y-2">
-                        <div className="flex justify-between text-sm">
-                          <span>Volume Utilization:</span>
-                          <span className="font-medium">{utilization.volume.toFixed(1)}%</span>
-                        </div>
-                        <div className="flex justify-between text-sm">
-                          <span>Weight Utilization:</span>
-                          <span className="font-medium">{utilization.weight.toFixed(1)}%</span>
-                        </div>
-                        <div className="flex justify-between text-sm">
-                          <span>Vehicles:</span>
-                          <span className="font-medium">{planData.vehicles?.length || 0}</span>
-                        </div>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              ) : (
-                // 3D Canvas with Error Boundary
+            {show3D ? (
+              <div className="h-96 lg:h-[600px] relative">
+                {/* 3D Canvas with Error Boundary */}
                 <ErrorBoundary
                   title="3D Visualization Error"
                   message="There was an issue rendering the 3D visualization."
@@ -533,7 +823,9 @@ const TruckVisualization = ({ planData }) => {
                       selectedItem={selectedItem}
                       onItemSelect={handleItemSelect}
                       showLabels={showLabels}
-                      selectedVehicleId={selectedVehicleId}
+                      selectedVehicleId={layoutEdit?.vehicleId || playback?.vehicleId || unloading?.vehicleId || selectedVehicleId}
+                      layoutEditor={layoutEditor}
+                      partialLoad={getPartialLoad()}
                     />
                   </Canvas>
 
@@ -544,10 +836,112 @@ const TruckVisualization = ({ planData }) => {
                       Left click + drag to rotate
                     </div>
                     <div>Right click + drag to pan • Scroll to zoom</div>
+                    {layoutEdit && (
+                      <div className="mt-1 text-primary-700">
+                        Drag an item to move it; it snaps to the floor, walls and neighbouring faces
+                      </div>
+                    )}
                   </div>
                 </ErrorBoundary>
-              )}
-            </div>
+              </div>
+            ) : (
+              // Flat diagrams, also the fallback where WebGL is unavailable
+              <div className="p-4 space-y-6 lg:max-h-[600px] overflow-y-auto">
+                {webglError && (
+                  <div className="flex items-start p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-800">
+                    <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>
+                      3D view unavailable: WebGL is not supported or enabled in this browser. Showing 2D diagrams
+                      ({utilization.volume.toFixed(1)}% volume, {utilization.weight.toFixed(1)}% weight utilisation).
+                    </span>
+                  </div>
+                )}
+                <div className="flex justify-end">
+                  <button
+                    onClick={() => printLoadDiagrams(planData, shownVehicles, DEFAULT_BODY)}
+                    className="btn-secondary flex items-center text-sm"
+                  >
+                    <Printer className="h-4 w-4 mr-2" />
+                    Print Diagrams
+                  </button>
+                </div>
+                {shownVehicles.map(vehicle => (
+                  <LoadDiagram
+                    key={vehicle.id}
+                    vehicle={vehicle}
+                    defaultBody={DEFAULT_BODY}
+                    selectedItemId={selectedItem?.vehicleId === vehicle.id ? selectedItem.id : null}
+                    onItemSelect={handleItemSelect}
+                  />
+                ))}
+              </div>
+            )}
+
+            {/* Unloading simulation */}
+            {unloading && (
+              <div className="border-t border-gray-200 p-4 flex items-center space-x-3">
+                <button
+                  onClick={() => setUnloading({ ...unloading, stop: unloading.stop - 1 })}
+                  disabled={unloading.stop === 0}
+                  className="btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Previous stop"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => setUnloading({ ...unloading, stop: unloading.stop + 1 })}
+                  disabled={unloading.stop >= unloadingSteps.length}
+                  className="btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Next stop"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+                <div className="text-sm text-gray-900">
+                  <span className="font-medium">
+                    {currentUnloadingStep
+                      ? `After stop ${currentUnloadingStep.stop} of ${unloadingSteps.length} (${currentUnloadingStep.location}): ${currentUnloadingStep.unloadedIds.length} item(s) unloaded`
+                      : `Leaving with the full load for ${unloadingSteps.length} stop(s)`}
+                  </span>
+                  {nextUnloadingStep && (
+                    <span className="text-gray-600">
+                      {' · '}next stop {nextUnloadingStep.stop} in blue
+                      {nextUnloadingStep.rehandleIds.length > 0 && (
+                        <span className="text-orange-600">
+                          , {nextUnloadingStep.rehandleIds.length} item(s) in orange must be moved aside to reach it
+                        </span>
+                      )}
+                    </span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Loading playback */}
+            {playback && (
+              <div className="border-t border-gray-200 p-4 space-y-2">
+                <div className="flex items-center space-x-3">
+                  <button onClick={togglePlayback} className="btn-secondary flex items-center">
+                    {playback.playing ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                  </button>
+                  <input
+                    type="range"
+                    min={0}
+                    max={playbackSteps.length}
+                    value={playback.step}
+                    onChange={(e) => setPlayback({ ...playback, step: Number(e.target.value), playing: false })}
+                    className="flex-1"
+                  />
+                  <span className="text-sm text-gray-600 whitespace-nowrap">
+                    {playback.step} / {playbackSteps.length}
+                  </span>
+                </div>
+                <div className="text-sm font-medium text-gray-900">
+                  {currentStep
+                    ? `Step ${currentStep.step}: ${currentStep.text}`
+                    : `${playback.vehicleId} is empty; press play to start loading`}
+                </div>
+              </div>
+            )}
           </div>
         </div>
 
@@ -642,6 +1036,14 @@ const TruckVisualization = ({ planData }) => {
                             <span className="text-gray-600">Route:</span>
                             <span className="font-medium text-xs">{selectedVehicle.route || 'Mixed'}</span>
                           </div>
+                          {selectedVehicle.loadPlan?.axleLoads?.map(axle => (
+                            <div key={axle.id} className="flex justify-between">
+                              <span className="text-gray-600">{axle.name} Axle:</span>
+                              <span className={`font-medium ${axle.maxLoad !== null && axle.totalLoad > axle.maxLoad ? 'text-red-600' : ''}`}>
+                                {Math.round(axle.totalLoad)}{axle.maxLoad !== null ? ` / ${axle.maxLoad}` : ''} kg
+                              </span>
+                            </div>
+                          ))}
                         </>
                       ) : null;
                     })()}
@@ -659,46 +1061,269 @@ const TruckVisualization = ({ planData }) => {
             </div>
           </div>
 
-          {/* Selected Item Details */}
-          {selectedItem && (
-            <div className="card">
-              <h3 className="text-lg font-semibold mb-4">Selected Item</h3>
-              <div className="space-y-3 text-sm">
-                <div>
-                  <span className="text-gray-600">Order ID:</span>
-                  <span className="font-medium ml-2">{selectedItem.id.split('_')[0]}</span>
-                </div>
-                <div>
-                  <span className="text-gray-600">Material Type:</span>
-                  <span className="font-medium ml-2 capitalize">{selectedItem.materialType}</span>
+          {/* Unplaced Cargo */}
+          {planData.unplaced?.length > 0 && (
+            <div className="card border-red-200 bg-red-50">
+              <h3 className="text-lg font-semibold mb-3 flex items-center text-red-800">
+                <AlertTriangle className="h-5 w-5 mr-2" />
+                Unplaced Cargo ({planData.unplaced.length})
+              </h3>
+              <div className="space-y-2 text-sm max-h-48 overflow-y-auto">
+                {planData.unplaced.map((item, index) => (
+                  <div key={`${item.id}_${index}`} className="text-red-700">
+                    <span className="font-medium">{item.orderId || item.id}</span>
+                    <span className="ml-1">× {item.unitCount ?? item.quantity}</span>
+                    <div className="text-xs text-red-600">{item.unplacedReason?.message}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Pallet Build Sheets */}
+          {(() => {
+            const sheets = (planData.palletBuildSheets || []).filter(sheet =>
+              selectedVehicleId === 'all' || sheet.vehicleId === selectedVehicleId
+            );
+            return sheets.length > 0 && (
+              <div className="card">
+                <h3 className="text-lg font-semibold mb-3">Pallet Build Sheets ({sheets.length})</h3>
+                <div className="space-y-3 text-sm max-h-64 overflow-y-auto">
+                  {sheets.map(sheet => (
+                    <div key={`${sheet.vehicleId}_${sheet.palletId}`} className="p-2 bg-gray-50 rounded">
+                      <div className="flex justify-between font-medium">
+                        <span>{sheet.vehicleId} · {sheet.palletId}</span>
+                        <span>Stop {(sheet.deliveryStop ?? 0) + 1}</span>
+                      </div>
+                      <div className="text-xs text-gray-600">
+                        {sheet.palletName} · {Math.round(sheet.grossWeight)} kg · {sheet.height} mm high
+                      </div>
+                      <div className="text-xs text-gray-700 mt-1">
+                        {sheet.contents.map(entry => `${entry.orderId} × ${entry.units}`).join(', ')}
+                      </div>
+                    </div>
+                  ))}
                 </div>
-                <div>
-                  <span className="text-gray-600">Weight:</span>
-                  <span className="font-medium ml-2">{selectedItem.weight} kg</span>
+              </div>
+            );
+          })()}
+
+          {/* Load after the current unloading stop */}
+          {unloading && (() => {
+            const step = currentUnloadingStep;
+            const centerOfGravity = step ? step.centerOfGravity : unloadingVehicle?.loadPlan.centerOfGravity;
+            const axleLoads = step ? step.axleLoads : unloadingVehicle?.loadPlan.axleLoads || [];
+            const remainingCount = step ? step.remainingIds.length : unloadingVehicle?.loadPlan.items.length;
+            return (
+              <div className="card">
+                <h3 className="text-lg font-semibold mb-2 flex items-center">
+                  <PackageOpen className="h-5 w-5 mr-2" />
+                  Unloading {unloading.vehicleId}
+                </h3>
+                <p className="text-xs text-gray-600 mb-3">
+                  {step ? `Remaining after stop ${step.stop}` : 'Full load before the first stop'}: {remainingCount} item(s)
+                  {step && `, ${Math.round(step.remainingWeight)} kg`}
+                </p>
+                <div className="space-y-2 text-sm">
+                  {remainingCount > 0 && centerOfGravity && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Centre of gravity:</span>
+                      <span className="font-medium text-xs">
+                        x {Math.round(centerOfGravity.x)} · y {Math.round(centerOfGravity.y)} · z {Math.round(centerOfGravity.z)} mm
+                      </span>
+                    </div>
+                  )}
+                  {axleLoads.map(axle => (
+                    <div key={axle.id} className="flex justify-between">
+                      <span className="text-gray-600">{axle.name} axle:</span>
+                      <span className={`font-medium ${axle.maxLoad !== null && axle.totalLoad > axle.maxLoad ? 'text-red-600' : ''}`}>
+                        {Math.round(axle.totalLoad)} kg{axle.maxLoad !== null && ` / ${axle.maxLoad} kg`}
+                      </span>
+                    </div>
+                  ))}
+                  {(step ? step.warnings : []).map((warning, index) => (
+                    <div key={index} className={`text-xs ${SEVERITY_TEXT[warning.severity] || 'text-gray-700'}`}>
+                      {warning.message}
+                    </div>
+                  ))}
+                  {nextUnloadingStep?.rehandleIds.length > 0 && (
+                    <div className="text-xs text-orange-600">
+                      Move aside for stop {nextUnloadingStep.stop}: {nextUnloadingStep.rehandleIds.join(', ')}
+                    </div>
+                  )}
                 </div>
-                <div>
-                  <span className="text-gray-600">Dimensions:</span>
-                  <div className="ml-2 font-medium">
-                    {selectedItem.materialType === 'cylindrical'
-                      ? `Ø${selectedItem.dimensions.diameter}mm × ${selectedItem.dimensions.height}mm`
-                      : `${selectedItem.dimensions.length} × ${selectedItem.dimensions.width} × ${selectedItem.dimensions.height}mm`
-                    }
+              </div>
+            );
+          })()}
+
+          {/* Layout Editor */}
+          {layoutEdit && (
+            <div className="card">
+              <h3 className="text-lg font-semibold mb-2 flex items-center">
+                <Edit className="h-5 w-5 mr-2" />
+                Editing {layoutEdit.vehicleId}
+              </h3>
+              <p className="text-xs text-gray-600 mb-3">
+                Items in red overlap, lack support or break another loading rule.
+              </p>
+              {selectedEditItem ? (
+                <div className="space-y-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Item:</span>
+                    <span className="font-medium">{selectedEditItem.id}</span>
                   </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Position:</span>
+                    <span className="font-medium text-xs">
+                      x {Math.round(selectedEditItem.position.x)} · y {Math.round(selectedEditItem.position.y)} · z {Math.round(selectedEditItem.position.z)} mm
+                    </span>
+                  </div>
+                  {selectedEditItem.materialType === 'cuboidal' && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Orientation:</span>
+                      <span className="font-medium">{selectedEditItem.rotation || 'LWH'}</span>
+                    </div>
+                  )}
+                  {(layoutValidation[selectedEditItem.id]?.violations || []).map(violation => (
+                    <div
+                      key={violation.type}
+                      className={`text-xs ${invalidIds.has(selectedEditItem.id) ? 'text-red-600' : 'text-yellow-700'}`}
+                    >
+                      {violation.message}
+                    </div>
+                  ))}
+                  <button
+                    onClick={handleRotateSelected}
+                    disabled={selectedEditItem.materialType !== 'cuboidal'}
+                    className="btn-secondary w-full flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <RotateCw className="h-4 w-4 mr-2" />
+                    Rotate 90°
+                  </button>
                 </div>
-                <div>
-                  <span className="text-gray-600">Priority:</span>
-                  <span className={`ml-2 px-2 py-1 text-xs rounded-full ${
-                    selectedItem.priority === 'high' ? 'bg-red-100 text-red-800' :
-                    selectedItem.priority === 'medium' ? 'bg-yellow-100 text-yellow-800' :
-                    'bg-green-100 text-green-800'
-                  }`}>
-                    {selectedItem.priority}
-                  </span>
+              ) : (
+                <p className="text-sm text-gray-500">Click an item to select it.</p>
+              )}
+              {invalidIds.size > 0 && (
+                <div className="mt-3 text-sm font-medium text-red-600">
+                  {invalidIds.size} item(s) need fixing before the layout can be saved
                 </div>
-              </div>
+              )}
             </div>
           )}
 
+          {/* Selected Item Details */}
+          {selectedItem && (() => {
+            const dims = getPlacedDimensions(selectedItem);
+            const itemWarnings = (planData.vehicles.find(v => v.id === selectedItem.vehicleId)?.loadPlan?.warnings || [])
+              .filter(warning => warning.itemId === selectedItem.id);
+            return (
+              <div className="card">
+                <h3 className="text-lg font-semibold mb-4">Selected Item</h3>
+                <div className="space-y-3 text-sm">
+                  <div>
+                    <span className="text-gray-600">{selectedItem.contents ? 'Pallet:' : 'Order ID:'}</span>
+                    <span className="font-medium ml-2">
+                      {selectedItem.contents
+                        ? selectedItem.contents.map(entry => `${entry.orderId} × ${entry.units}`).join(', ')
+                        : `${selectedItem.orderId || selectedItem.id}${selectedItem.unitCount > 1 ? ` × ${selectedItem.unitCount}` : ''}`}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Vehicle / Stop:</span>
+                    <span className="font-medium ml-2">
+                      {selectedItem.vehicleId} · Stop {(selectedItem.deliveryStop ?? 0) + 1}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Material Type:</span>
+                    <span className="font-medium ml-2 capitalize">{selectedItem.materialType}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Weight:</span>
+                    <span className="font-medium ml-2">{Math.round(selectedItem.weight)} kg</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Dimensions:</span>
+                    <div className="ml-2 font-medium">
+                      {selectedItem.materialType === 'cylindrical'
+                        ? `Ø${selectedItem.dimensions.diameter}mm × ${selectedItem.dimensions.height}mm, ${selectedItem.orientation || 'vertical'}`
+                        : `${dims.length} × ${dims.width} × ${dims.height}mm (L × W × H as loaded)`
+                      }
+                    </div>
+                  </div>
+                  {selectedItem.materialType === 'cuboidal' && (
+                    <div>
+                      <span className="text-gray-600">Orientation:</span>
+                      <span className="font-medium ml-2">
+                        {(selectedItem.rotation || 'LWH') === 'LWH' ? 'As shipped' : `Rotated (${selectedItem.rotation})`}
+                      </span>
+                    </div>
+                  )}
+                  <div>
+                    <span className="text-gray-600">Position:</span>
+                    <span className="font-medium ml-2 text-xs">
+                      x {Math.round(selectedItem.position.x)} · y {Math.round(selectedItem.position.y)} · z {Math.round(selectedItem.position.z)} mm
+                    </span>
+                  </div>
+                  {selectedItem.supportStructure?.length > 0 && (
+                    <div>
+                      <span className="text-gray-600">Support:</span>
+                      <span className="font-medium ml-2">{selectedItem.supportStructure.length} wedges</span>
+                    </div>
+                  )}
+                  {selectedItem.priority && (
+                    <div>
+                      <span className="text-gray-600">Priority:</span>
+                      <span className={`ml-2 px-2 py-1 text-xs rounded-full ${
+                        selectedItem.priority === 'high' ? 'bg-red-100 text-red-800' :
+                        selectedItem.priority === 'medium' ? 'bg-yellow-100 text-yellow-800' :
+                        'bg-green-100 text-green-800'
+                      }`}>
+                        {selectedItem.priority}
+                      </span>
+                    </div>
+                  )}
+                  {itemWarnings.map((warning, index) => (
+                    <div key={index} className={`text-xs ${SEVERITY_TEXT[warning.severity] || 'text-gray-700'}`}>
+                      {warning.message}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })()}
+
+          {/* Load Plan Warnings */}
+          {(() => {
+            const warnings = shownVehicles.flatMap(vehicle =>
+              (vehicle.loadPlan?.warnings || []).map(warning => ({ ...warning, vehicleId: vehicle.id })));
+            const withoutPlan = shownVehicles.filter(vehicle => !vehicle.loadPlan);
+            if (warnings.length === 0 && withoutPlan.length === 0) return null;
+
+            return (
+              <div className="card">
+                <h3 className="text-lg font-semibold mb-4 flex items-center">
+                  <AlertTriangle className="h-5 w-5 mr-2 text-yellow-600" />
+                  Load Warnings
+                </h3>
+                <div className="space-y-2 text-sm max-h-64 overflow-y-auto">
+                  {withoutPlan.map(vehicle => (
+                    <div key={vehicle.id} className="text-gray-600">
+                      {vehicle.id} has no load plan; regenerate the plan to see its layout.
+                    </div>
+                  ))}
+                  {warnings.map((warning, index) => (
+                    <div key={index} className={SEVERITY_TEXT[warning.severity] || 'text-gray-700'}>
+                      <span className="font-medium">{warning.vehicleId}:</span> {warning.message}
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-2">Items named in a warning are outlined in red.</p>
+              </div>
+            );
+          })()}
+
           {/* Legend */}
           <div className="card">
             <h3 className="text-lg font-semibold mb-4">Color Legend</h3>
@@ -725,6 +1350,16 @@ const TruckVisualization = ({ planData }) => {
                   <span>Cylindrical Items</span>
                 </div>
               </div>
+              <div className="pt-2 border-t border-gray-200">
+                <div className="flex items-center">
+                  <div className="w-4 h-4 bg-blue-400 opacity-60 rounded mr-2"></div>
+                  <span>Chilled Compartment</span>
+                </div>
+                <div className="flex items-center mt-1">
+                  <div className="w-4 h-4 bg-purple-400 opacity-60 rounded mr-2"></div>
+                  <span>Frozen Compartment</span>
+                </div>
+              </div>
             </div>
           </div>
         </div>
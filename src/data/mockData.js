@@ -1,41 +1,46 @@
 // Mock data for SmartDispatch Planner
 
+// Route master defaults (see utils/routeMaster.js); distance in km
 export const routes = [
   {
     id: 'DEL-MUM',
     name: 'Delhi → Mumbai',
     origin: 'Delhi',
     destination: 'Mumbai',
-    via: 'Jaipur',
+    via: ['Jaipur'],
     distance: 1400,
-    estimatedTime: '18 hours'
+    transitHours: 18,
+    aliases: ['DEL-MUMBAI']
   },
   {
     id: 'DEL-HYD',
     name: 'Delhi → Hyderabad',
     origin: 'Delhi',
     destination: 'Hyderabad',
-    via: 'Nagpur',
+    via: ['Nagpur'],
     distance: 1500,
-    estimatedTime: '20 hours'
+    transitHours: 20,
+    aliases: ['DEL-HYDERABAD']
   },
   {
     id: 'DEL-CHE',
     name: 'Delhi → Chennai',
     origin: 'Delhi',
     destination: 'Chennai',
-    via: 'Bangalore',
+    via: ['Bangalore'],
     distance: 2200,
-    estimatedTime: '28 hours'
+    transitHours: 28,
+    aliases: ['DEL-CHENNAI']
   },
   {
     id: 'DEL-BAN',
     name: 'Delhi → Bangalore',
     origin: 'Delhi',
     destination: 'Bangalore',
-    via: 'Hyderabad',
+    via: ['Hyderabad'],
     distance: 2100,
-    estimatedTime: '26 hours'
+    transitHours: 26,
+    aliases: ['DEL-BANGALORE', 'DEL-BLR']
   }
 ];
 
@@ -50,7 +55,16 @@ export const vehicleTypes = [
       height: 2590 // mm
     },
     volume: 38.5, // cubic meters (calculated: 6.1 × 2.44 × 2.59 ≈ 38.5m³)
-    costPerKm: 25
+    costPerKm: 25,
+    fixedCost: 2500, // per trip
+    doorPosition: 'rear',
+    // Axle positions in mm from the front of the cargo body (negative = under the cab),
+    // unladen (tare) load and legal limit per axle in kg
+    axles: [
+      { id: 'front', name: 'Front', position: -1300, tareLoad: 3600, maxLoad: 7500 },
+      { id: 'rear1', name: 'Rear 1', position: 3900, tareLoad: 2400, maxLoad: 10500 },
+      { id: 'rear2', name: 'Rear 2', position: 5250, tareLoad: 2400, maxLoad: 10500 }
+    ]
   },
   {
     id: 'TATA_ACE',
@@ -62,7 +76,13 @@ export const vehicleTypes = [
       height: 1500 // mm
     },
     volume: 4.6, // cubic meters (calculated: 2.05 × 1.5 × 1.5 ≈ 4.6m³)
-    costPerKm: 12
+    costPerKm: 12,
+    fixedCost: 500, // per trip
+    doorPosition: 'rear',
+    axles: [
+      { id: 'front', name: 'Front', position: -650, tareLoad: 420, maxLoad: 750 },
+      { id: 'rear', name: 'Rear', position: 1400, tareLoad: 430, maxLoad: 1100 }
+    ]
   },
   {
     id: 'EICHER_14FT',
@@ -74,10 +94,67 @@ export const vehicleTypes = [
       height: 2130 // mm
     },
     volume: 16.6, // cubic meters (calculated: 4.27 × 1.83 × 2.13 ≈ 16.6m³)
-    costPerKm: 18
+    costPerKm: 18,
+    fixedCost: 1200, // per trip
+    doorPosition: 'rear',
+    axles: [
+      { id: 'front', name: 'Front', position: -900, tareLoad: 1600, maxLoad: 3200 },
+      { id: 'rear', name: 'Rear', position: 3000, tareLoad: 1400, maxLoad: 5800 }
+    ]
+  },
+  {
+    id: 'REEFER_20FT',
+    name: 'Reefer 20ft (Chilled + Ambient)',
+    maxWeight: 9000, // kg - 9 tons
+    dimensions: {
+      length: 6000, // mm - overall body, including the 100mm bulkhead
+      width: 2300, // mm
+      height: 2300 // mm
+    },
+    volume: 31.3, // cubic meters (both compartments: (2.4 + 3.5) × 2.3 × 2.3 ≈ 31.3m³)
+    costPerKm: 32,
+    fixedCost: 3000, // per trip
+    doorPosition: 'rear',
+    // Compartments from the front; origin is the compartment corner in the body frame (mm)
+    compartments: [
+      {
+        id: 'chilled',
+        name: 'Chilled',
+        temperatureClass: 'chilled',
+        origin: { x: 0, y: 0, z: 0 },
+        dimensions: { length: 2400, width: 2300, height: 2300 },
+        maxWeight: 3500
+      },
+      {
+        id: 'ambient',
+        name: 'Ambient',
+        temperatureClass: 'ambient',
+        origin: { x: 2500, y: 0, z: 0 },
+        dimensions: { length: 3500, width: 2300, height: 2300 },
+        maxWeight: 5500
+      }
+    ],
+    axles: [
+      { id: 'front', name: 'Front', position: -1200, tareLoad: 3300, maxLoad: 6000 },
+      { id: 'rear', name: 'Rear', position: 4200, tareLoad: 3200, maxLoad: 10200 }
+    ]
   }
 ];
 
+// Vehicles available per origin (see utils/fleetMaster.js); 'default' applies to days without their own counts
+export const fleetAvailability = {
+  default: {
+    Delhi: { SXL: 4, TATA_ACE: 6, EICHER_14FT: 4, REEFER_20FT: 2 }
+  }
+};
+
+// Temperature classes for orders (temperatureRequirement) and vehicle compartments
+export const temperatureClasses = [
+  { id: 'ambient', label: 'Ambient', range: '15–30°C' },
+  { id: 'chilled', label: 'Chilled', range: '2–8°C' },
+  { id: 'frozen', label: 'Frozen', range: '-25 to -18°C' }
+];
+
 export const sampleOrders = [
   {
     id: 'SO001',
@@ -202,6 +279,7 @@ export const sampleOrders = [
     weight: 5, // kg per unit - Light pharmaceutical products
     stackable: true,
     maxStackHeight: 2000,
+    temperatureRequirement: 'chilled',
     priority: 'high',
     status: 'unplanned'
   },
@@ -241,6 +319,7 @@ export const sampleOrders = [
     weight: 12,
     stackable: true,
     maxStackHeight: 2000,
+    temperatureRequirement: 'chilled',
     priority: 'high',
     status: 'unplanned'
   },
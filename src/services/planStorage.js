@@ -0,0 +1,197 @@
+/**
+ * Plan Storage Service
+ * Keeps generated plans across sessions. Records go through a storage adapter
+ * (IndexedDB in the browser, in-memory elsewhere) so the backing store can be
+ * swapped without touching the planner.
+ *
+ * An adapter implements: getAll(), get(id), put(record), delete(id), all async.
+ */
+
+import { canTransition, getPlanStatus, isPlanLocked } from '../utils/planLifecycle.js';
+
+const DB_NAME = 'ftplanning';
+const DB_VERSION = 1;
+const STORE_NAME = 'plans';
+
+// Wrap an IndexedDB request in a promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export class IndexedDBPlanAdapter {
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(mode, operation) {
+    const db = await this.open();
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return promisifyRequest(operation(store));
+  }
+
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  async get(id) {
+    return (await this.run('readonly', store => store.get(id))) || null;
+  }
+
+  async put(record) {
+    await this.run('readwrite', store => store.put(record));
+    return record;
+  }
+
+  async delete(id) {
+    await this.run('readwrite', store => store.delete(id));
+  }
+}
+
+export class MemoryPlanAdapter {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async getAll() {
+    return [...this.records.values()].map(record => structuredClone(record));
+  }
+
+  async get(id) {
+    return this.records.has(id) ? structuredClone(this.records.get(id)) : null;
+  }
+
+  async put(record) {
+    this.records.set(record.id, structuredClone(record));
+    return record;
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+// IndexedDB where the browser has it, memory otherwise (tests, server-side)
+const createDefaultAdapter = () =>
+  (typeof indexedDB !== 'undefined' ? new IndexedDBPlanAdapter() : new MemoryPlanAdapter());
+
+class PlanStorage {
+  constructor(adapter = createDefaultAdapter()) {
+    this.adapter = adapter;
+  }
+
+  // All stored plans, newest first
+  async listPlans() {
+    const plans = await this.adapter.getAll();
+    return plans.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  getPlan(planId) {
+    return this.adapter.get(planId);
+  }
+
+  // Save a plan; new plans start as drafts. A stored plan past draft only changes
+  // through a status transition of that plan (see transitionPlan), so regenerating
+  // a plan under the same id cannot reopen a confirmed or cancelled one.
+  async savePlan(plan) {
+    const existing = await this.adapter.get(plan.id);
+    const now = new Date().toISOString();
+
+    if (existing && isPlanLocked(existing)) {
+      const isTransition = canTransition(getPlanStatus(existing), getPlanStatus(plan))
+        && (plan.statusHistory || []).length > (existing.statusHistory || []).length;
+      if (!isTransition) {
+        throw new Error(`Plan ${plan.id} is ${getPlanStatus(existing)} and cannot be overwritten`);
+      }
+    }
+
+    return this.adapter.put({
+      status: 'draft',
+      ...existing,
+      ...plan,
+      // Saving a plan again (e.g. regenerating it) brings it back out of the archive
+      archived: plan.archived ?? false,
+      savedAt: existing?.savedAt || now,
+      updatedAt: now
+    });
+  }
+
+  // Copy a plan under a new id so it can be reworked without touching the original
+  async duplicatePlan(planId) {
+    const source = await this.adapter.get(planId);
+    if (!source) {
+      throw new Error(`Plan ${planId} not found`);
+    }
+
+    const plans = await this.adapter.getAll();
+    let copyNumber = 1;
+    while (plans.some(plan => plan.id === `${source.id}_COPY${copyNumber}`)) {
+      copyNumber++;
+    }
+
+    const now = new Date().toISOString();
+    return this.adapter.put({
+      ...source,
+      id: `${source.id}_COPY${copyNumber}`,
+      duplicatedFrom: source.id,
+      status: 'draft',
+      archived: false,
+      createdAt: now,
+      savedAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Archived plans stay in history but no longer hold their orders, so confirmed and
+  // dispatched plans must be cancelled or delivered before they can be archived
+  async setArchived(planId, archived = true) {
+    const plan = await this.adapter.get(planId);
+    if (!plan) {
+      throw new Error(`Plan ${planId} not found`);
+    }
+    if (archived && ['confirmed', 'dispatched'].includes(getPlanStatus(plan))) {
+      throw new Error(`Plan ${planId} is ${getPlanStatus(plan)}. Cancel it or mark it delivered before archiving.`);
+    }
+    return this.adapter.put({ ...plan, archived, updatedAt: new Date().toISOString() });
+  }
+
+  archivePlan(planId) {
+    return this.setArchived(planId, true);
+  }
+
+  deletePlan(planId) {
+    return this.adapter.delete(planId);
+  }
+}
+
+/**
+ * Headline figures for the plan list
+ */
+export const summarizePlan = (plan) => ({
+  id: plan.id,
+  createdAt: plan.createdAt,
+  status: plan.status || 'draft',
+  archived: Boolean(plan.archived),
+  totalCost: plan.totalCost || 0,
+  vehicleCount: plan.vehicles?.length || 0,
+  orderCount: plan.orders?.length || 0
+});
+
+export default PlanStorage;
@@ -0,0 +1,44 @@
+/**
+ * Test file for plan storage
+ */
+
+import PlanStorage, { MemoryPlanAdapter } from './planStorage.js';
+import { transitionPlan, getOrderBookings, getGeneratedPlanId } from '../utils/planLifecycle.js';
+import { check, errorMessageOf } from '../utils/testHelpers.js';
+
+// Plans past draft are never overwritten by a regenerated plan
+console.log('Testing plan lifecycle storage...');
+const draftPlan = { id: 'PLAN_T', status: 'draft', orders: [{ id: 'SO001' }] };
+const lifecycleStorage = new PlanStorage(new MemoryPlanAdapter());
+await lifecycleStorage.savePlan(draftPlan);
+const confirmedPlan = await lifecycleStorage.savePlan(transitionPlan(draftPlan, 'confirmed'));
+await lifecycleStorage.savePlan(transitionPlan(confirmedPlan, 'cancelled'));
+const overwriteError = await errorMessageOf(() => lifecycleStorage.savePlan({ ...draftPlan, status: 'draft' }));
+check('regenerating a cancelled plan under its id to be refused and the plan to stay cancelled',
+  'Plan PLAN_T is cancelled and cannot be overwritten, cancelled',
+  `${overwriteError}, ${(await lifecycleStorage.getPlan('PLAN_T')).status}`);
+check('the regenerated plan to get the next revision id', 'PLAN_T_R2',
+  getGeneratedPlanId('PLAN_T', await lifecycleStorage.listPlans()));
+
+// Stored plans: newest first, duplicated as drafts, archived out of the order book
+console.log('\nTesting plan history...');
+const historyStorage = new PlanStorage(new MemoryPlanAdapter());
+await historyStorage.savePlan({ id: 'PLAN_OLD', createdAt: '2026-01-01T00:00:00Z', orders: [{ id: 'SO1500' }], vehicles: [] });
+await historyStorage.savePlan({ id: 'PLAN_NEW', createdAt: '2026-02-01T00:00:00Z', orders: [], vehicles: [] });
+check('plans listed newest first', 'PLAN_NEW, PLAN_OLD', (await historyStorage.listPlans()).map(plan => plan.id).join(', '));
+await historyStorage.savePlan(transitionPlan(await historyStorage.getPlan('PLAN_OLD'), 'confirmed'));
+const firstCopy = await historyStorage.duplicatePlan('PLAN_OLD');
+const secondCopy = await historyStorage.duplicatePlan('PLAN_OLD');
+check('copies of a confirmed plan as numbered drafts', 'PLAN_OLD_COPY1 draft, PLAN_OLD_COPY2 draft',
+  `${firstCopy.id} ${firstCopy.status}, ${secondCopy.id} ${secondCopy.status}`);
+check('archiving the confirmed plan to be refused', 'Plan PLAN_OLD is confirmed. Cancel it or mark it delivered before archiving.',
+  await errorMessageOf(() => historyStorage.archivePlan('PLAN_OLD')));
+check('the confirmed plan left unarchived', false, Boolean((await historyStorage.getPlan('PLAN_OLD')).archived));
+await historyStorage.archivePlan('PLAN_NEW');
+check('the archived plan kept in history', true, (await historyStorage.getPlan('PLAN_NEW')).archived);
+await historyStorage.savePlan({ id: 'PLAN_DRAFT', createdAt: '2026-03-01T00:00:00Z', orders: [{ id: 'SO1501' }], vehicles: [] });
+await historyStorage.archivePlan('PLAN_DRAFT');
+check('an archived draft no longer holding its orders', false,
+  getOrderBookings(await historyStorage.listPlans()).has('SO1501'));
+
+console.log('\nAll tests completed!');
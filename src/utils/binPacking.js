@@ -2,35 +2,174 @@
  * Advanced 3D Bin Packing Algorithm
  * Supports both cuboidal and cylindrical objects
  * Implements Bottom-Left-Fill with collision detection
+ *
+ * Positions are in millimetres, measured from the container corner
+ * (x along length, y up, z across width). x = 0 is the front bulkhead and
+ * the rear door is at x = container length.
  */
 
+// Cuboid orientations: which of the item's own dimensions lies along the
+// container length (x), width (z) and height (y). LWH is the item as given.
+export const ORIENTATIONS = {
+  LWH: ['length', 'width', 'height'],
+  WLH: ['width', 'length', 'height'],
+  LHW: ['length', 'height', 'width'],
+  HLW: ['height', 'length', 'width'],
+  WHL: ['width', 'height', 'length'],
+  HWL: ['height', 'width', 'length']
+};
+
+// Orientations that keep the item's top facing up
+export const UPRIGHT_ORIENTATIONS = ['LWH', 'WLH'];
+
+// Dimensions of a cuboid after applying an orientation code
+export const orientDimensions = (dimensions, rotation = 'LWH') => {
+  const [length, width, height] = ORIENTATIONS[rotation] || ORIENTATIONS.LWH;
+  return {
+    length: dimensions[length],
+    width: dimensions[width],
+    height: dimensions[height]
+  };
+};
+
+// Bounding box of a packed item as placed (length along x, width along z, height up).
+// Cuboid dimensions are already oriented; horizontal cylinders lie along the length.
+export const getPlacedDimensions = (item) => {
+  if (item.materialType === 'cuboidal') {
+    return {
+      length: item.dimensions.length,
+      width: item.dimensions.width,
+      height: item.dimensions.height
+    };
+  } else if (item.materialType === 'cylindrical') {
+    if (item.orientation === 'horizontal') {
+      return {
+        length: item.dimensions.height,
+        width: item.dimensions.diameter,
+        height: item.dimensions.diameter
+      };
+    } else {
+      return {
+        length: item.dimensions.diameter,
+        width: item.dimensions.diameter,
+        height: item.dimensions.height
+      };
+    }
+  }
+  return { length: 0, width: 0, height: 0 };
+};
+
 export class BinPacker {
-  constructor(containerDimensions) {
+  constructor(containerDimensions, constraintsEngine = null, options = {}) {
     this.container = containerDimensions;
+    this.constraintsEngine = constraintsEngine;
+    this.allowRotation = options.allowRotation ?? false;
+    // 'floor' fills bottom-up (Bottom-Left-Fill); 'wall' fills front-to-back in
+    // cross-section walls so multi-drop cargo stays grouped by stop
+    this.fillOrder = options.fillOrder || 'floor';
     this.placedItems = [];
+    this.unplacedItems = [];
     this.freeSpaces = [{ x: 0, y: 0, z: 0, ...containerDimensions }];
   }
 
   // Main packing algorithm
+  // Orders are expanded into their physical units before packing, see expandOrderUnits
   packItems(items) {
-    const sortedItems = this.sortItemsForPacking(items);
+    const units = items.flatMap(item => this.expandOrderUnits(item));
+    const sortedItems = this.sortItemsForPacking(units);
     const packedItems = [];
 
     for (const item of sortedItems) {
-      const position = this.findBestPosition(item);
-      if (position) {
-        const packedItem = this.placeItem(item, position);
+      const placement = this.findBestPosition(item);
+      if (placement) {
+        const packedItem = this.placeItem(placement.item, placement.position, placement.validation);
         packedItems.push(packedItem);
         this.updateFreeSpaces(packedItem);
+      } else {
+        this.unplacedItems.push({ ...item, unplacedReason: this.explainUnplaced(item) });
       }
     }
 
     return packedItems;
   }
 
-  // Sort items by volume (largest first) and weight
+  // Work out why findBestPosition found nothing for an item
+  explainUnplaced(item) {
+    const itemDims = this.getItemDimensions(item);
+    if (!this.canFitInSpace(item, this.container)) {
+      return {
+        type: 'exceeds_vehicle_dimensions',
+        message: `Item ${item.id} (${itemDims.length}×${itemDims.width}×${itemDims.height}mm) is larger than the cargo area`
+      };
+    }
+
+    const fittingSpace = this.freeSpaces.find(space => this.canFitInSpace(item, space));
+    if (!fittingSpace) {
+      return {
+        type: 'no_space',
+        message: `No free space left for item ${item.id}`
+      };
+    }
+
+    // Space exists, so a constraint rejected every candidate position
+    const orientedItem = this.getOrientedItems(item).find(candidate => this.fitsInSpace(candidate, fittingSpace));
+    const validation = this.validateCandidate(orientedItem, this.calculateOptimalPosition(orientedItem, fittingSpace));
+    const blockingViolation = validation.violations.find(v => v.severity === 'high' || v.severity === 'critical');
+    return {
+      type: blockingViolation?.type || 'constraint_violation',
+      message: blockingViolation?.message || `Item ${item.id} violates loading constraints in every free space`
+    };
+  }
+
+  // Split an order into separately placed units. Stackable cartons are grouped into
+  // vertical blocks (up to the order's stack height) so large orders stay packable;
+  // order.unitsPerBlock overrides the block size, e.g. for pre-palletised goods.
+  expandOrderUnits(order) {
+    if (order.materialType !== 'cuboidal' || order.unitCount !== undefined) {
+      return [order];
+    }
+
+    const unitDimensions = order.dimensions;
+    const maxBlockHeight = Math.min(order.maxStackHeight || this.container.height, this.container.height);
+    const unitsPerBlock = order.stackable
+      ? Math.max(1, order.unitsPerBlock || Math.floor(maxBlockHeight / unitDimensions.height))
+      : 1;
+
+    const units = [];
+    for (let unitIndex = 0; unitIndex < order.quantity; unitIndex += unitsPerBlock) {
+      const unitCount = Math.min(unitsPerBlock, order.quantity - unitIndex);
+      units.push({
+        ...order,
+        id: `${order.id}_U${units.length + 1}`,
+        orderId: order.id,
+        doId: order.doId,
+        unitIndex,
+        unitCount,
+        unitWeight: order.weight,
+        unitDimensions,
+        // A block is packed as a single item: weight and dimensions cover all its units
+        quantity: 1,
+        weight: order.weight * unitCount,
+        dimensions: {
+          ...unitDimensions,
+          height: unitDimensions.height * unitCount
+        }
+      });
+    }
+
+    return units;
+  }
+
+  // Sort items by delivery stop (last stop first, so it ends up deepest),
+  // then by volume (largest first) and weight; ties keep the input order
   sortItemsForPacking(items) {
-    return items.sort((a, b) => {
+    return [...items].sort((a, b) => {
+      const stopA = a.deliveryStop ?? 0;
+      const stopB = b.deliveryStop ?? 0;
+      if (stopA !== stopB) {
+        return stopB - stopA;
+      }
+
       const volumeA = this.calculateVolume(a);
       const volumeB = this.calculateVolume(b);
       if (Math.abs(volumeA - volumeB) < 0.001) {
@@ -41,37 +180,141 @@ export class BinPacker {
   }
 
   // Find optimal position using Bottom-Left-Fill
+  // Returns { item, position, validation } or null when no free space accepts the item;
+  // the returned item carries the orientation chosen for that position
   findBestPosition(item) {
-    for (const space of this.freeSpaces) {
-      if (this.canFitInSpace(item, space)) {
-        return this.calculateOptimalPosition(item, space);
+    const candidateSpaces = [...this.freeSpaces].sort((a, b) =>
+      this.fillOrder === 'wall'
+        ? (a.x - b.x) || (a.y - b.y) || (a.z - b.z)
+        : (a.y - b.y) || (a.x - b.x) || (a.z - b.z)
+    );
+    const orientedItems = this.getOrientedItems(item);
+    const frontier = this.getStopFrontier(item);
+
+    let bestScored = null;
+
+    for (const space of candidateSpaces) {
+      let bestInSpace = null;
+
+      for (const orientedItem of orientedItems) {
+        if (!this.fitsInSpace(orientedItem, space)) continue;
+
+        const position = this.calculateOptimalPosition(orientedItem, space);
+
+        // Stay door-side of cargo for later stops, shifting within the space if needed
+        if (position.x < frontier) {
+          if (space.x + space.length < frontier + this.getItemDimensions(orientedItem).length) continue;
+          position.x = frontier;
+        }
+
+        const validation = this.validateCandidate(orientedItem, position);
+
+        if (validation.blocking) continue;
+
+        const candidate = { item: orientedItem, position, validation, fit: this.calculateSpaceFit(orientedItem, space) };
+
+        // Clean positions compete on how well the orientation fills this space
+        if (validation.violations.length === 0) {
+          if (!bestInSpace || candidate.fit > bestInSpace.fit) {
+            bestInSpace = candidate;
+          }
+          continue;
+        }
+
+        // Otherwise keep the best scoring position with only minor violations
+        if (!bestScored || validation.score > bestScored.validation.score) {
+          bestScored = candidate;
+        }
+      }
+
+      // First space in Bottom-Left-Fill order with a clean orientation wins outright
+      if (bestInSpace) {
+        return bestInSpace;
       }
     }
-    return null;
+
+    return bestScored;
   }
 
-  // Check if item fits in space with collision detection
-  canFitInSpace(item, space) {
-    const itemDims = this.getItemDimensions(item);
-    
-    // Basic dimension check
-    if (itemDims.length > space.length || 
-        itemDims.width > space.width || 
-        itemDims.height > space.height) {
-      return false;
+  // In wall fill, the x an item may start at: the door-side face of cargo already
+  // placed for later stops, so earlier drops never end up behind them
+  getStopFrontier(item) {
+    if (this.fillOrder !== 'wall') return 0;
+
+    const stop = item.deliveryStop ?? 0;
+    return this.placedItems
+      .filter(placed => (placed.deliveryStop ?? 0) > stop)
+      .reduce((frontier, placed) => Math.max(frontier, placed.position.x + this.getItemDimensions(placed).length), 0);
+  }
+
+  // Orientation codes an item may be packed in. Rotation needs the
+  // orientationFlexibility rule; thisSideUp and allowedOrientations narrow it per order.
+  getAllowedOrientations(item) {
+    if (item.materialType !== 'cuboidal' || !this.allowRotation) {
+      return ['LWH'];
     }
 
-    // Weight distribution check
-    if (!this.checkWeightDistribution(item, space)) {
-      return false;
+    let codes = item.thisSideUp ? UPRIGHT_ORIENTATIONS : Object.keys(ORIENTATIONS);
+    if (Array.isArray(item.allowedOrientations) && item.allowedOrientations.length > 0) {
+      codes = codes.filter(code => item.allowedOrientations.includes(code));
     }
 
-    // Stacking rules check
-    if (!this.checkStackingRules(item, space)) {
-      return false;
+    return codes.length > 0 ? codes : ['LWH'];
+  }
+
+  // Candidate copies of an item, one per allowed orientation with distinct dimensions.
+  // Unit blocks rotate each unit and keep stacking them vertically.
+  getOrientedItems(item) {
+    if (item.materialType !== 'cuboidal') {
+      return [item];
     }
 
-    return true;
+    const baseDimensions = item.unitDimensions || item.dimensions;
+    const unitCount = item.unitDimensions ? item.unitCount : 1;
+    const seen = new Set();
+
+    return this.getAllowedOrientations(item).reduce((candidates, rotation) => {
+      const unit = orientDimensions(baseDimensions, rotation);
+      const dimensions = { ...item.dimensions, ...unit, height: unit.height * unitCount };
+      const key = `${dimensions.length}x${dimensions.width}x${dimensions.height}`;
+
+      if (!seen.has(key)) {
+        seen.add(key);
+        candidates.push({ ...item, rotation, dimensions });
+      }
+      return candidates;
+    }, []);
+  }
+
+  // Best-short-side-fit: least leftover along the space's tighter side, lower items on ties
+  calculateSpaceFit(item, space) {
+    const itemDims = this.getItemDimensions(item);
+    const shortSideLeftover = Math.min(space.length - itemDims.length, space.width - itemDims.width);
+    return -shortSideLeftover - itemDims.height / space.height;
+  }
+
+  // Run a candidate position through the constraints engine, or the built-in stacking rules
+  validateCandidate(item, position) {
+    if (this.constraintsEngine) {
+      return this.constraintsEngine.validatePlacement(item, position, this.placedItems);
+    }
+
+    const valid = this.checkStackingRules(item, position);
+    return { valid, blocking: !valid, violations: [], score: 0 };
+  }
+
+  // Check if item fits in space in any allowed orientation
+  canFitInSpace(item, space) {
+    return this.getOrientedItems(item).some(orientedItem => this.fitsInSpace(orientedItem, space));
+  }
+
+  // Check if item fits in space as currently oriented
+  fitsInSpace(item, space) {
+    const itemDims = this.getItemDimensions(item);
+
+    return itemDims.length <= space.length &&
+           itemDims.width <= space.width &&
+           itemDims.height <= space.height;
   }
 
   // Calculate volume for different object types
@@ -88,28 +331,7 @@ export class BinPacker {
 
   // Get item dimensions based on type
   getItemDimensions(item) {
-    if (item.materialType === 'cuboidal') {
-      return {
-        length: item.dimensions.length,
-        width: item.dimensions.width,
-        height: item.dimensions.height
-      };
-    } else if (item.materialType === 'cylindrical') {
-      if (item.orientation === 'horizontal') {
-        return {
-          length: item.dimensions.height,
-          width: item.dimensions.diameter,
-          height: item.dimensions.diameter
-        };
-      } else {
-        return {
-          length: item.dimensions.diameter,
-          width: item.dimensions.diameter,
-          height: item.dimensions.height
-        };
-      }
-    }
-    return { length: 0, width: 0, height: 0 };
+    return getPlacedDimensions(item);
   }
 
   // Advanced stacking rules implementation
@@ -161,41 +383,6 @@ export class BinPacker {
     return true;
   }
 
-  // Weight distribution and center of gravity
-  checkWeightDistribution(item, space) {
-    const newCenterOfGravity = this.calculateNewCenterOfGravity(item, space);
-    const maxOffset = this.container.length * 0.1; // 10% tolerance
-    
-    return Math.abs(newCenterOfGravity.x - this.container.length / 2) < maxOffset;
-  }
-
-  calculateNewCenterOfGravity(newItem, position) {
-    const totalWeight = this.placedItems.reduce((sum, item) => 
-      sum + (item.weight * item.quantity), 0) + (newItem.weight * newItem.quantity);
-    
-    let weightedX = 0, weightedY = 0, weightedZ = 0;
-    
-    // Calculate for existing items
-    for (const item of this.placedItems) {
-      const itemWeight = item.weight * item.quantity;
-      weightedX += item.position.x * itemWeight;
-      weightedY += item.position.y * itemWeight;
-      weightedZ += item.position.z * itemWeight;
-    }
-    
-    // Add new item
-    const newItemWeight = newItem.weight * newItem.quantity;
-    weightedX += position.x * newItemWeight;
-    weightedY += position.y * newItemWeight;
-    weightedZ += position.z * newItemWeight;
-    
-    return {
-      x: weightedX / totalWeight,
-      y: weightedY / totalWeight,
-      z: weightedZ / totalWeight
-    };
-  }
-
   // Calculate optimal position within space
   calculateOptimalPosition(item, space) {
     return {
@@ -206,11 +393,12 @@ export class BinPacker {
   }
 
   // Place item and return packed item object
-  placeItem(item, position) {
+  placeItem(item, position, validation = null) {
     const packedItem = {
       ...item,
       position,
-      packedAt: new Date().toISOString()
+      violations: validation?.violations || [],
+      placementScore: validation?.score ?? null
     };
     
     this.placedItems.push(packedItem);
@@ -0,0 +1,43 @@
+/**
+ * Test file for the bin packer
+ */
+
+import { getPlacedDimensions, BinPacker } from './binPacking.js';
+import { ConstraintsEngine } from './constraintsEngine.js';
+import { check } from './testHelpers.js';
+
+// The 3D view draws items with the bounding box they were packed with
+console.log('Testing placed dimensions...');
+const drum = { materialType: 'cylindrical', orientation: 'horizontal', dimensions: { diameter: 600, height: 900 } };
+check('horizontal drum to lie along the length', '{"length":900,"width":600,"height":600}', JSON.stringify(getPlacedDimensions(drum)));
+
+// Every packer placement goes through the constraints engine
+console.log('\nTesting packer placement validation...');
+const shaft = { length: 1000, width: 800, height: 2000 };
+const looseCrates = { id: 'SO960', materialType: 'cuboidal', weight: 20, quantity: 2, stackable: false, dimensions: { length: 1000, width: 800, height: 600 } };
+const validatingPacker = new BinPacker(shaft, new ConstraintsEngine({ dimensions: shaft, maxWeight: 1000 }));
+check('the second non-stackable crate refused rather than stacked', '1 placed, non_stackable_violation',
+  `${validatingPacker.packItems([looseCrates]).length} placed, ${validatingPacker.unplacedItems.map(item => item.unplacedReason.type).join(',')}`);
+const payloadPacker = new BinPacker(shaft, new ConstraintsEngine({ dimensions: shaft, maxWeight: 30 }));
+payloadPacker.packItems([looseCrates]);
+check('a crate over the remaining payload refused', 'weight_limit_exceeded',
+  payloadPacker.unplacedItems.map(item => item.unplacedReason.type).join(','));
+
+// Cuboids try every allowed orientation when rotation is on
+console.log('\nTesting orientation search...');
+const bay = { length: 1000, width: 2000, height: 1000 };
+const beam = { id: 'SO980', materialType: 'cuboidal', weight: 10, quantity: 1, stackable: false, dimensions: { length: 1500, width: 800, height: 500 } };
+const fixedPacker = new BinPacker(bay);
+fixedPacker.packItems([beam]);
+check('a 1500 mm beam refused by a 1000 mm bay without rotation', 'exceeds_vehicle_dimensions',
+  fixedPacker.unplacedItems.map(item => item.unplacedReason.type).join(','));
+const beamPlacement = new BinPacker(bay, null, { allowRotation: true }).packItems([beam])[0];
+check('the beam turned across the bay', 'WLH, 800x1500x500',
+  `${beamPlacement?.rotation}, ${beamPlacement?.dimensions.length}x${beamPlacement?.dimensions.width}x${beamPlacement?.dimensions.height}`);
+const tallCrate = { ...beam, id: 'SO981', dimensions: { length: 800, width: 500, height: 1200 } };
+check('a crate taller than the bay laid on its side', 'LHW',
+  new BinPacker(bay, null, { allowRotation: true }).packItems([tallCrate])[0]?.rotation);
+check('the same crate refused when marked this side up', 0,
+  new BinPacker(bay, null, { allowRotation: true }).packItems([{ ...tallCrate, thisSideUp: true }]).length);
+
+console.log('\nAll tests completed!');
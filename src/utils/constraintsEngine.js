@@ -26,15 +26,33 @@ export class ConstraintsEngine {
       mixed: {
         separateTypes: false, // allow mixing of types
         bufferZone: 50 // mm buffer between different types
-      },
-      ...materialRules
+      }
     };
+
+    // Merge per category so partial overrides (e.g. UI toggles) keep the defaults
+    Object.entries(materialRules).forEach(([category, rules]) => {
+      this.materialRules[category] = { ...this.materialRules[category], ...rules };
+    });
   }
 
-  // Validate item placement against all constraints
-  validatePlacement(item, position, existingItems = []) {
+  // Validate item placement against all constraints.
+  // options.strict also checks collisions and the real support under the item: packers only
+  // offer free space, but hand-placed items (see manualPlacement.js) need both checked.
+  validatePlacement(item, position, existingItems = [], options = {}) {
     const violations = [];
 
+    if (options.strict) {
+      const collisionCheck = this.checkCollisionConstraints(item, position, existingItems);
+      if (!collisionCheck.valid) {
+        violations.push(collisionCheck);
+      }
+
+      const supportCheck = this.checkSupportConstraints(item, position, existingItems);
+      if (!supportCheck.valid) {
+        violations.push(supportCheck);
+      }
+    }
+
     // Basic boundary constraints
     const boundaryCheck = this.checkBoundaryConstraints(item, position);
     if (!boundaryCheck.valid) {
@@ -67,8 +85,10 @@ export class ConstraintsEngine {
 
     return {
       valid: violations.length === 0,
+      // High and critical violations make a position unusable; lower ones only reduce its score
+      blocking: violations.some(v => v.severity === 'high' || v.severity === 'critical'),
       violations,
-      score: this.calculatePlacementScore(item, position, existingItems)
+      score: this.calculatePlacementScore(item, position, existingItems, violations)
     };
   }
 
@@ -93,6 +113,59 @@ export class ConstraintsEngine {
     return { valid: true };
   }
 
+  // Check that the item does not intersect any placed item; faces may touch
+  checkCollisionConstraints(item, position, existingItems) {
+    const bounds = this.getBounds(item, position);
+    const collidingItem = existingItems.find(existing => {
+      if (!existing.position) return false;
+      const other = this.getBounds(existing, existing.position);
+      return bounds.minX < other.maxX - 1 && bounds.maxX > other.minX + 1 &&
+             bounds.minY < other.maxY - 1 && bounds.maxY > other.minY + 1 &&
+             bounds.minZ < other.maxZ - 1 && bounds.maxZ > other.minZ + 1;
+    });
+
+    if (collidingItem) {
+      return {
+        valid: false,
+        type: 'item_overlap',
+        severity: 'critical',
+        message: `Item ${item.id} overlaps ${collidingItem.id}`
+      };
+    }
+
+    return { valid: true };
+  }
+
+  // Check the share of the item's base resting on the floor or on the tops of items directly below
+  checkSupportConstraints(item, position, existingItems) {
+    if (position.y <= 1) return { valid: true };
+
+    const bounds = this.getBounds(item, position);
+    const baseArea = (bounds.maxX - bounds.minX) * (bounds.maxZ - bounds.minZ);
+    const supportedArea = existingItems
+      .filter(existing => existing.position)
+      .map(existing => this.getBounds(existing, existing.position))
+      .filter(other => Math.abs(other.maxY - position.y) <= 5)
+      .reduce((area, other) => {
+        const overlapX = Math.min(bounds.maxX, other.maxX) - Math.max(bounds.minX, other.minX);
+        const overlapZ = Math.min(bounds.maxZ, other.maxZ) - Math.max(bounds.minZ, other.minZ);
+        return area + (overlapX > 0 && overlapZ > 0 ? overlapX * overlapZ : 0);
+      }, 0);
+
+    // Same 80% base support the cuboidal stacking rule asks for
+    const supportRatio = baseArea > 0 ? Math.min(supportedArea / baseArea, 1) : 0;
+    if (supportRatio < 0.8) {
+      return {
+        valid: false,
+        type: 'insufficient_support',
+        severity: 'high',
+        message: `Item ${item.id} has only ${(supportRatio * 100).toFixed(1)}% of its base supported (minimum 80% required)`
+      };
+    }
+
+    return { valid: true };
+  }
+
   // Check weight-related constraints
   checkWeightConstraints(item, position, existingItems) {
     const itemWeight = item.weight * item.quantity;
@@ -109,11 +182,8 @@ export class ConstraintsEngine {
       };
     }
 
-    // Check center of gravity
-    const cogCheck = this.checkCenterOfGravity(item, position, existingItems);
-    if (!cogCheck.valid) {
-      return cogCheck;
-    }
+    // Center of gravity is not checked here: a partial load is always off-centre while
+    // packing, so it is validated once on the complete plan (see LoadOptimizer.validateCenterOfGravity)
 
     return { valid: true };
   }
@@ -297,56 +367,27 @@ export class ConstraintsEngine {
     return { valid: true };
   }
 
-  // Check center of gravity constraints
-  checkCenterOfGravity(newItem, position, existingItems) {
-    const allItems = [...existingItems, { ...newItem, position }];
-    const cog = this.calculateCenterOfGravity(allItems);
-    
-    const vehicleCenter = {
-      x: this.vehicle.dimensions.length / 2,
-      z: this.vehicle.dimensions.width / 2
-    };
-
-    const maxOffsetX = this.vehicle.dimensions.length * 0.1; // 10% tolerance
-    const maxOffsetZ = this.vehicle.dimensions.width * 0.1;
-
-    const offsetX = Math.abs(cog.x - vehicleCenter.x);
-    const offsetZ = Math.abs(cog.z - vehicleCenter.z);
-
-    if (offsetX > maxOffsetX || offsetZ > maxOffsetZ) {
-      return {
-        valid: false,
-        type: 'center_of_gravity_violation',
-        severity: 'high',
-        message: `Center of gravity offset exceeds safe limits`
-      };
-    }
-
-    return { valid: true };
-  }
-
   // Calculate placement score (higher is better)
-  calculatePlacementScore(item, position, existingItems) {
+  calculatePlacementScore(item, position, existingItems, violations = []) {
     let score = 100;
 
     // Prefer lower positions (more stable)
     score -= position.y / 100;
 
-    // Prefer positions closer to vehicle center
+    // Prefer positions closer to vehicle center (1 point per 100mm)
     const centerDistance = this.calculateDistanceFromCenter(position);
-    score -= centerDistance / 10;
+    score -= centerDistance / 100;
 
-    // Bonus for good support
+    // Bonus for good support (the truck bed fully supports anything on it)
     if (item.materialType === 'cuboidal') {
       const supportArea = this.calculateSupportArea(item, position, existingItems);
       const itemArea = (item.dimensions.length * item.dimensions.width) / 1000000;
-      const supportRatio = supportArea / itemArea;
+      const supportRatio = position.y > 0.1 ? supportArea / itemArea : 1;
       score += supportRatio * 20;
     }
 
     // Penalty for constraint violations
-    const validation = this.validatePlacement(item, position, existingItems);
-    score -= validation.violations.length * 10;
+    score -= violations.length * 10;
 
     return Math.max(0, score);
   }
@@ -377,6 +418,19 @@ export class ConstraintsEngine {
     return { length: 0, width: 0, height: 0 };
   }
 
+  // Axis-aligned bounds of an item at a corner position, in millimetres
+  getBounds(item, position) {
+    const dims = this.getItemDimensions(item);
+    return {
+      minX: position.x,
+      maxX: position.x + dims.length,
+      minY: position.y,
+      maxY: position.y + dims.height,
+      minZ: position.z,
+      maxZ: position.z + dims.width
+    };
+  }
+
   getItemsBelow(position, existingItems) {
     return existingItems.filter(item => 
       item.position && 
@@ -453,30 +507,12 @@ export class ConstraintsEngine {
     );
   }
 
-  calculateCenterOfGravity(items) {
-    let totalWeight = 0;
-    let weightedX = 0, weightedZ = 0;
-
-    items.forEach(item => {
-      if (item.position) {
-        const itemWeight = item.weight * item.quantity;
-        totalWeight += itemWeight;
-        weightedX += item.position.x * itemWeight;
-        weightedZ += item.position.z * itemWeight;
-      }
-    });
-
-    return totalWeight > 0 ? {
-      x: weightedX / totalWeight,
-      z: weightedZ / totalWeight
-    } : { x: 0, z: 0 };
-  }
-
   isPositionInside(position, containerPos, containerDims) {
-    const radius = containerDims.diameter / 2000;
+    // Positions are bounding-box corners in mm, so measure from the container's axis
+    const radius = containerDims.diameter / 2;
     const distance = Math.sqrt(
-      Math.pow(position.x - containerPos.x, 2) +
-      Math.pow(position.z - containerPos.z, 2)
+      Math.pow(position.x - (containerPos.x + radius), 2) +
+      Math.pow(position.z - (containerPos.z + radius), 2)
     );
     return distance < radius && position.y >= containerPos.y;
   }
@@ -1,25 +1,38 @@
 /**
  * Specialized Cylindrical Object Packing Algorithm
  * Handles nesting, interlocking, and stability
+ *
+ * Positions use the same frame as BinPacker: millimetres from the container
+ * corner to the corner of the item's bounding box, rear door at x = length.
  */
 
+import { createSeededRandom } from './planFingerprint.js';
+
 export class CylindricalPacker {
-  constructor(containerDimensions, existingPlan = null) {
+  constructor(containerDimensions, existingPlan = null, constraintsEngine = null, options = {}) {
     this.container = containerDimensions;
     this.existingItems = existingPlan?.items || [];
+    this.constraintsEngine = constraintsEngine;
+    // 'wall' places cylinders front-to-back in rows instead of rings around the centre
+    this.fillOrder = options.fillOrder || 'floor';
+    // Seeded so nesting offsets are reproducible between runs
+    this.random = options.random || createSeededRandom();
     this.packedItems = [];
+    this.unplacedItems = [];
   }
 
+  // Orders are expanded into one item per cylinder before packing, see expandOrderUnits
   packItems(cylindricalOrders) {
     const packedItems = [];
+    const units = cylindricalOrders.flatMap(order => this.expandOrderUnits(order));
 
     // Group by orientation and size for optimal packing
-    const verticalItems = cylindricalOrders.filter(item => 
+    const verticalItems = units.filter(item => 
       item.orientation === 'vertical' || !item.orientation
     );
-    const horizontalItems = cylindricalOrders.filter(item => 
+    const horizontalItems = this.sortByDeliveryStop(units.filter(item => 
       item.orientation === 'horizontal'
-    );
+    ));
 
     // Pack vertical cylinders first (more stable)
     packedItems.push(...this.packVerticalCylinders(verticalItems));
@@ -30,23 +43,52 @@ export class CylindricalPacker {
     return packedItems;
   }
 
+  // Rows from the front when loading by stop. Otherwise rings around the centre suit
+  // mixed diameters but strand the floor edges, so a rows-only layout is tried from the
+  // same start and whichever layout places more cylinders is kept.
   packVerticalCylinders(items) {
-    const packedItems = [];
     const sortedItems = this.sortByDiameter(items);
+    if (this.fillOrder === 'wall') {
+      return this.placeVerticalCylinders(sortedItems, item => this.findRowPackingPosition(item));
+    }
+
+    const start = { packed: this.packedItems.length, unplaced: this.unplacedItems.length };
+    const ringItems = this.placeVerticalCylinders(sortedItems, item =>
+      this.findCircularPackingPosition(item) || this.findRowPackingPosition(item));
+    const ringLayout = {
+      packed: this.packedItems.splice(start.packed),
+      unplaced: this.unplacedItems.splice(start.unplaced)
+    };
+
+    const rowItems = this.placeVerticalCylinders(sortedItems, item => this.findRowPackingPosition(item));
+    if (rowItems.length > ringItems.length) {
+      return rowItems;
+    }
 
-    for (const item of sortedItems) {
+    this.packedItems.splice(start.packed, Infinity, ...ringLayout.packed);
+    this.unplacedItems.splice(start.unplaced, Infinity, ...ringLayout.unplaced);
+    return ringItems;
+  }
+
+  // Place vertical cylinders one by one, nesting where possible and otherwise at the
+  // first position findPosition returns
+  placeVerticalCylinders(items, findPosition) {
+    const packedItems = [];
+
+    for (const item of items) {
       if (item.nesting) {
-        const position = this.findNestingPosition(item);
-        if (position) {
-          packedItems.push(this.createPackedItem(item, position));
+        const placement = this.findNestingPosition(item);
+        if (placement) {
+          packedItems.push(this.createPackedItem(item, placement.position, placement.validation));
           continue;
         }
       }
 
-      // Regular circular packing
-      const position = this.findCircularPackingPosition(item);
-      if (position) {
-        packedItems.push(this.createPackedItem(item, position));
+      const placement = findPosition(item);
+      if (placement) {
+        packedItems.push(this.createPackedItem(item, placement.position, placement.validation));
+      } else {
+        this.markUnplaced(item);
       }
     }
 
@@ -58,30 +100,89 @@ export class CylindricalPacker {
 
     for (const item of items) {
       // Horizontal cylinders need special support structure
-      const position = this.findHorizontalPosition(item);
-      if (position) {
-        const packedItem = this.createPackedItem(item, position);
+      const placement = this.findHorizontalPosition(item);
+      if (placement) {
+        const packedItem = this.createPackedItem(item, placement.position, placement.validation);
         
         // Add support wedges if needed
         if (!item.fragile) {
-          packedItem.supportStructure = this.calculateSupportWedges(item, position);
+          packedItem.supportStructure = this.calculateSupportWedges(item, placement.position);
         }
         
         packedItems.push(packedItem);
+      } else {
+        this.markUnplaced(item);
       }
     }
 
     return packedItems;
   }
 
+  // Split an order into its physical cylinders, each packed as its own item.
+  // Items that are already units (unitCount set) are packed as they are.
+  expandOrderUnits(order) {
+    if (order.unitCount !== undefined) {
+      return [order];
+    }
+
+    return Array.from({ length: order.quantity }, (_, unitIndex) => ({
+      ...order,
+      id: `${order.id}_U${unitIndex + 1}`,
+      orderId: order.id,
+      doId: order.doId,
+      unitIndex,
+      unitCount: 1,
+      unitWeight: order.weight,
+      quantity: 1
+    }));
+  }
+
+  // Record an item no position could be found for, with the reason
+  markUnplaced(item) {
+    this.unplacedItems.push({ ...item, unplacedReason: this.explainUnplaced(item) });
+  }
+
+  explainUnplaced(item) {
+    const itemDims = this.getItemDimensions(item);
+    if (itemDims.length > this.container.length ||
+        itemDims.width > this.container.width ||
+        itemDims.height > this.container.height) {
+      return {
+        type: 'exceeds_vehicle_dimensions',
+        message: `Item ${item.id} (${itemDims.length}×${itemDims.width}×${itemDims.height}mm) is larger than the cargo area`
+      };
+    }
+
+    // A constraint that fails regardless of position (e.g. fragile horizontal) explains it
+    if (this.constraintsEngine) {
+      const validation = this.constraintsEngine.validatePlacement(
+        item,
+        { x: 0, y: 0, z: 0 },
+        [...this.existingItems, ...this.packedItems]
+      );
+      const blockingViolation = validation.violations.find(v =>
+        (v.severity === 'high' || v.severity === 'critical') && v.type !== 'boundary_violation'
+      );
+      if (blockingViolation) {
+        return { type: blockingViolation.type, message: blockingViolation.message };
+      }
+    }
+
+    return {
+      type: 'no_space',
+      message: `No free floor position left for cylindrical item ${item.id}`
+    };
+  }
+
   // Find optimal position for nesting cylinders
   findNestingPosition(item) {
     const compatibleItems = this.findNestingCompatibleItems(item);
     
     for (const baseItem of compatibleItems) {
       const nestingPosition = this.calculateNestingPosition(item, baseItem);
-      if (this.validateNestingPosition(item, nestingPosition)) {
-        return nestingPosition;
+      const validation = this.validateNestingPosition(item, nestingPosition);
+      if (validation) {
+        return { position: nestingPosition, validation };
       }
     }
 
@@ -107,16 +208,16 @@ export class CylindricalPacker {
     const maxOffset = radiusDiff * 0.8; // 80% of available space
     
     return {
-      x: baseItem.position.x + (Math.random() - 0.5) * maxOffset,
+      x: baseItem.position.x + radiusDiff + (this.random() - 0.5) * maxOffset,
       y: baseItem.position.y + baseItem.dimensions.height,
-      z: baseItem.position.z + (Math.random() - 0.5) * maxOffset
+      z: baseItem.position.z + radiusDiff + (this.random() - 0.5) * maxOffset
     };
   }
 
   // Circular packing algorithm for cylinders
   findCircularPackingPosition(item) {
-    const radius = item.dimensions.diameter / 2000; // Convert to meters
-    const containerRadius = Math.min(this.container.length, this.container.width) / 2000;
+    const radius = item.dimensions.diameter / 2;
+    const containerRadius = Math.min(this.container.length, this.container.width) / 2;
 
     // Try concentric circles from center outward
     for (let ring = 0; ring < 10; ring++) {
@@ -125,18 +226,37 @@ export class CylindricalPacker {
       if (ringRadius + radius > containerRadius) break;
 
       const circumference = 2 * Math.PI * ringRadius;
-      const itemsInRing = Math.floor(circumference / (radius * 2.2));
+      const itemsInRing = Math.max(1, Math.floor(circumference / (radius * 2.2)));
 
       for (let i = 0; i < itemsInRing; i++) {
         const angle = (2 * Math.PI * i) / itemsInRing;
         const position = {
-          x: this.container.length / 2000 + ringRadius * Math.cos(angle),
-          y: 0.1, // Slight elevation from truck bed
-          z: this.container.width / 2000 + ringRadius * Math.sin(angle)
+          x: this.container.length / 2 + ringRadius * Math.cos(angle) - radius,
+          y: 0, // Standing on truck bed
+          z: this.container.width / 2 + ringRadius * Math.sin(angle) - radius
         };
 
-        if (this.validatePosition(item, position)) {
-          return position;
+        const validation = this.validatePosition(item, position);
+        if (validation) {
+          return { position, validation };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Row packing for vertical cylinders, filling from the front bulkhead towards the door
+  findRowPackingPosition(item) {
+    const diameter = item.dimensions.diameter;
+
+    for (let x = this.getStopFrontier(item); x + diameter <= this.container.length; x += diameter) {
+      for (let z = 0; z + diameter <= this.container.width; z += diameter) {
+        const position = { x, y: 0, z };
+
+        const validation = this.validatePosition(item, position);
+        if (validation) {
+          return { position, validation };
         }
       }
     }
@@ -146,20 +266,21 @@ export class CylindricalPacker {
 
   // Find position for horizontal cylinders
   findHorizontalPosition(item) {
-    const length = item.dimensions.height / 1000; // Length when horizontal
-    const diameter = item.dimensions.diameter / 1000;
+    const length = item.dimensions.height; // Length when horizontal
+    const diameter = item.dimensions.diameter;
 
     // Try to place along the length of the truck
-    for (let x = diameter / 2; x < this.container.length / 1000 - length / 2; x += diameter * 1.1) {
-      for (let z = diameter / 2; z < this.container.width / 1000 - diameter / 2; z += diameter * 1.1) {
+    for (let x = this.getStopFrontier(item); x + length <= this.container.length; x += diameter * 1.1) {
+      for (let z = 0; z + diameter <= this.container.width; z += diameter * 1.1) {
         const position = {
           x: x,
-          y: diameter / 2, // Resting on truck bed
+          y: 0, // Resting on truck bed
           z: z
         };
 
-        if (this.validatePosition(item, position)) {
-          return position;
+        const validation = this.validatePosition(item, position);
+        if (validation) {
+          return { position, validation };
         }
       }
     }
@@ -167,35 +288,46 @@ export class CylindricalPacker {
     return null;
   }
 
+  // When loading by stop, the x an item may start at: the door-side face of
+  // cargo already placed for later stops
+  getStopFrontier(item) {
+    if (this.fillOrder !== 'wall') return 0;
+
+    const stop = item.deliveryStop ?? 0;
+    return [...this.existingItems, ...this.packedItems]
+      .filter(placed => (placed.deliveryStop ?? 0) > stop)
+      .reduce((frontier, placed) => Math.max(frontier, placed.position.x + this.getItemDimensions(placed).length), 0);
+  }
+
   // Calculate support wedges for horizontal cylinders
   calculateSupportWedges(item, position) {
-    const diameter = item.dimensions.diameter / 1000;
-    const wedgeHeight = diameter * 0.3; // 30% of diameter
+    const wedgeHeight = item.dimensions.diameter * 0.3; // 30% of diameter
+    const centerZ = position.z + item.dimensions.diameter / 2;
     
     return [
       {
         type: 'wedge',
         position: {
-          x: position.x - item.dimensions.height / 2000,
+          x: position.x,
           y: 0,
-          z: position.z
+          z: centerZ
         },
         dimensions: {
           width: 100, // 100mm wedge
-          height: wedgeHeight * 1000,
+          height: wedgeHeight,
           length: 200
         }
       },
       {
         type: 'wedge',
         position: {
-          x: position.x + item.dimensions.height / 2000,
+          x: position.x + item.dimensions.height,
           y: 0,
-          z: position.z
+          z: centerZ
         },
         dimensions: {
           width: 100,
-          height: wedgeHeight * 1000,
+          height: wedgeHeight,
           length: 200
         }
       }
@@ -203,60 +335,73 @@ export class CylindricalPacker {
   }
 
   // Validate position doesn't conflict with existing items
+  // Returns the constraints engine validation, or null when the position is unusable
   validatePosition(item, position) {
     const itemBounds = this.calculateItemBounds(item, position);
 
     // Check container bounds
     if (!this.isWithinContainer(itemBounds)) {
-      return false;
+      return null;
     }
 
     // Check collision with existing items
-    for (const existingItem of [...this.packedItems, ...this.existingItems]) {
+    const placedItems = [...this.existingItems, ...this.packedItems];
+    for (const existingItem of placedItems) {
       const existingBounds = this.calculateItemBounds(existingItem, existingItem.position);
       if (this.checkCollision(itemBounds, existingBounds)) {
-        return false;
+        return null;
       }
     }
 
-    return true;
+    if (!this.constraintsEngine) {
+      return { valid: true, blocking: false, violations: [], score: 0 };
+    }
+
+    const validation = this.constraintsEngine.validatePlacement(item, position, placedItems);
+    return validation.blocking ? null : validation;
   }
 
-  // Calculate 3D bounds for cylindrical items
-  calculateItemBounds(item, position) {
-    if (item.orientation === 'horizontal') {
-      return {
-        minX: position.x - item.dimensions.height / 2000,
-        maxX: position.x + item.dimensions.height / 2000,
-        minY: position.y - item.dimensions.diameter / 2000,
-        maxY: position.y + item.dimensions.diameter / 2000,
-        minZ: position.z - item.dimensions.diameter / 2000,
-        maxZ: position.z + item.dimensions.diameter / 2000
-      };
-    } else {
-      return {
-        minX: position.x - item.dimensions.diameter / 2000,
-        maxX: position.x + item.dimensions.diameter / 2000,
-        minY: position.y,
-        maxY: position.y + item.dimensions.height / 1000,
-        minZ: position.z - item.dimensions.diameter / 2000,
-        maxZ: position.z + item.dimensions.diameter / 2000
-      };
+  // Bounding box dimensions (length along x, width along z) for any packed item
+  getItemDimensions(item) {
+    if (item.materialType === 'cylindrical') {
+      return item.orientation === 'horizontal'
+        ? { length: item.dimensions.height, width: item.dimensions.diameter, height: item.dimensions.diameter }
+        : { length: item.dimensions.diameter, width: item.dimensions.diameter, height: item.dimensions.height };
     }
+
+    return {
+      length: item.dimensions.length,
+      width: item.dimensions.width,
+      height: item.dimensions.height
+    };
+  }
+
+  // Calculate 3D bounds for an item (cylindrical or cuboidal) at a corner position
+  calculateItemBounds(item, position) {
+    const dims = this.getItemDimensions(item);
+
+    return {
+      minX: position.x,
+      maxX: position.x + dims.length,
+      minY: position.y,
+      maxY: position.y + dims.height,
+      minZ: position.z,
+      maxZ: position.z + dims.width
+    };
   }
 
   // Check if bounds are within container
   isWithinContainer(bounds) {
-    return bounds.minX >= 0 && bounds.maxX <= this.container.length / 1000 &&
-           bounds.minY >= 0 && bounds.maxY <= this.container.height / 1000 &&
-           bounds.minZ >= 0 && bounds.maxZ <= this.container.width / 1000;
+    return bounds.minX >= 0 && bounds.maxX <= this.container.length &&
+           bounds.minY >= 0 && bounds.maxY <= this.container.height &&
+           bounds.minZ >= 0 && bounds.maxZ <= this.container.width;
   }
 
-  // Check 3D collision between two items
+  // Check 3D collision between two items (touching faces do not collide)
   checkCollision(bounds1, bounds2) {
-    return !(bounds1.maxX < bounds2.minX || bounds1.minX > bounds2.maxX ||
-             bounds1.maxY < bounds2.minY || bounds1.minY > bounds2.maxY ||
-             bounds1.maxZ < bounds2.minZ || bounds1.minZ > bounds2.maxZ);
+    return !(bounds1.maxX <= bounds2.minX || bounds1.minX >= bounds2.maxX ||
+             bounds1.maxY <= bounds2.minY || bounds1.minY >= bounds2.maxY ||
+             bounds1.maxZ <= bounds2.minZ || bounds1.minZ >= bounds2.maxZ);
   }
 
   // Validate nesting position
@@ -265,16 +410,24 @@ export class CylindricalPacker {
     return this.validatePosition(item, position);
   }
 
-  // Sort items by diameter for optimal packing
+  // Sort items by diameter for optimal packing, later delivery stops first
   sortByDiameter(items) {
-    return items.sort((a, b) => b.dimensions.diameter - a.dimensions.diameter);
+    return [...items].sort((a, b) =>
+      ((b.deliveryStop ?? 0) - (a.deliveryStop ?? 0)) || (b.dimensions.diameter - a.dimensions.diameter)
+    );
+  }
+
+  // Later delivery stops are packed first so they end up deepest in the body
+  sortByDeliveryStop(items) {
+    return [...items].sort((a, b) => (b.deliveryStop ?? 0) - (a.deliveryStop ?? 0));
   }
 
-  createPackedItem(item, position) {
+  createPackedItem(item, position, validation = null) {
     const packedItem = {
       ...item,
       position,
-      packedAt: new Date().toISOString(),
+      violations: validation?.violations || [],
+      placementScore: validation?.score ?? null,
       stability: this.calculateStability(item, position)
     };
     
@@ -286,7 +439,7 @@ export class CylindricalPacker {
     let stabilityScore = 100;
 
     // Reduce score for horizontal cylinders without support
-    if (item.orientation === 'horizontal' && position.y > 0.1) {
+    if (item.orientation === 'horizontal' && position.y > 0) {
       stabilityScore -= 30;
     }
 
@@ -313,11 +466,13 @@ export class CylindricalPacker {
   }
 
   isPositionWithin(position, containerPos, containerDims) {
+    // Positions are bounding-box corners, so compare against the container's axis
+    const containerRadius = containerDims.diameter / 2;
     const distance = Math.sqrt(
-      Math.pow(position.x - containerPos.x, 2) + 
-      Math.pow(position.z - containerPos.z, 2)
+      Math.pow(position.x - (containerPos.x + containerRadius), 2) + 
+      Math.pow(position.z - (containerPos.z + containerRadius), 2)
     );
-    return distance < (containerDims.diameter / 2000) && 
+    return distance < containerRadius && 
            position.y >= containerPos.y;
   }
 }
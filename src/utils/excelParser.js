@@ -1,11 +1,204 @@
 import * as XLSX from 'xlsx';
+import { ORIENTATIONS } from './binPacking.js';
+import { resolveRoute } from './routeMaster.js';
 
 /**
- * Parse Excel file and convert to order data format
- * @param {File} file - Excel file to parse
- * @returns {Promise<Array>} - Array of parsed orders
+ * Order fields a spreadsheet column can be mapped to.
+ * Aliases are known header spellings used to suggest a mapping.
  */
-export const parseExcelFile = async (file) => {
+export const ORDER_FIELDS = [
+  { field: 'id', label: 'SO ID', required: true, aliases: ['so id', 'sales order', 'order id', 'order no', 'so number', 'so no'] },
+  { field: 'doId', label: 'DO ID', aliases: ['do id', 'delivery order', 'do number', 'do no'] },
+  { field: 'route', label: 'Route', aliases: ['route', 'route code', 'lane'] },
+  { field: 'quantity', label: 'Quantity', required: true, aliases: ['quantity', 'qty', 'units', 'pieces', 'no of packages'] },
+  { field: 'seller', label: 'Seller', aliases: ['seller', 'vendor', 'consignor', 'shipper'] },
+  { field: 'pickup', label: 'Pickup Location', aliases: ['pickup', 'pickup location', 'origin', 'source'] },
+  { field: 'delivery', label: 'Delivery Location', aliases: ['delivery', 'delivery location', 'destination', 'consignee', 'ship to'] },
+  { field: 'weight', label: 'Weight per Unit', aliases: ['weight', 'unit weight', 'gross wt', 'gross weight', 'wt'] },
+  { field: 'materialType', label: 'Material Type', aliases: ['material type', 'type', 'package type', 'packaging'] },
+  { field: 'length', label: 'Length', aliases: ['length', 'len'] },
+  { field: 'width', label: 'Width', aliases: ['width', 'breadth'] },
+  { field: 'height', label: 'Height', aliases: ['height', 'ht'] },
+  { field: 'diameter', label: 'Diameter', aliases: ['diameter', 'dia'] },
+  { field: 'priority', label: 'Priority', aliases: ['priority'] },
+  { field: 'status', label: 'Status', aliases: ['status'] },
+  { field: 'thisSideUp', label: 'This Side Up', aliases: ['this side up', 'upright'] },
+  { field: 'allowedOrientations', label: 'Allowed Orientations', aliases: ['allowed orientations', 'orientations'] },
+  { field: 'temperatureRequirement', label: 'Temperature', aliases: ['temperature', 'temperature class', 'temp'] },
+  { field: 'maxStackHeight', label: 'Max Stack Height', aliases: ['max stack height', 'stack height'] },
+  { field: 'orientation', label: 'Cylinder Orientation', aliases: ['orientation'] },
+  { field: 'nesting', label: 'Nesting', aliases: ['nesting', 'nestable'] },
+  { field: 'fragile', label: 'Fragile', aliases: ['fragile'] }
+];
+
+// Minimum score for a fuzzy header match to be suggested
+const SUGGESTION_THRESHOLD = 0.6;
+
+/**
+ * Normalise a header for matching: lower case, units in brackets and punctuation removed
+ */
+export const normalizeHeader = (header) => (header ?? '')
+  .toString()
+  .toLowerCase()
+  .replace(/[([{].*?[)\]}]/g, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Dice coefficient over character bigrams, 0..1
+ */
+const bigramSimilarity = (a, b) => {
+  const bigrams = (text) => {
+    const compact = text.replace(/ /g, '');
+    const grams = [];
+    for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+    return grams;
+  };
+
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (gramsA.length === 0 || gramsB.length === 0) return 0;
+
+  const remaining = [...gramsB];
+  let overlap = 0;
+  gramsA.forEach(gram => {
+    const index = remaining.indexOf(gram);
+    if (index !== -1) {
+      overlap++;
+      remaining.splice(index, 1);
+    }
+  });
+
+  return (2 * overlap) / (gramsA.length + gramsB.length);
+};
+
+/**
+ * Score how well a normalised header matches a field alias, 0..1
+ */
+const scoreHeaderMatch = (header, alias) => {
+  if (header === alias) return 1;
+
+  // "Consignee Name" contains the alias "consignee"; short aliases only match exactly
+  const headerTokens = header.split(' ');
+  const aliasTokens = alias.split(' ');
+  if (alias.length >= 3 && aliasTokens.every(token => headerTokens.includes(token))) {
+    return 0.85;
+  }
+
+  // Misspelt words inside longer headers, e.g. "Cosignee Name"
+  const tokenScore = alias.length >= 4
+    ? Math.max(...headerTokens.map(token => bigramSimilarity(token, alias))) * 0.9
+    : 0;
+
+  return Math.max(bigramSimilarity(header, alias), tokenScore);
+};
+
+/**
+ * Suggest an order field for each spreadsheet column.
+ * @param {Array} headers - Header row as read from the sheet
+ * @returns {Array} - One { field, score } per column; field is null when nothing matched
+ */
+export const suggestColumnMapping = (headers) => {
+  const candidates = [];
+  headers.forEach((header, columnIndex) => {
+    const normalized = normalizeHeader(header);
+    if (!normalized) return;
+
+    ORDER_FIELDS.forEach(({ field, aliases }) => {
+      const score = Math.max(...aliases.map(alias => scoreHeaderMatch(normalized, alias)));
+      if (score >= SUGGESTION_THRESHOLD) {
+        candidates.push({ columnIndex, field, score });
+      }
+    });
+  });
+
+  // Best matches claim their column and field first, so each field maps to one column
+  const suggestions = headers.map(() => ({ field: null, score: 0 }));
+  const usedFields = new Set();
+  candidates
+    .sort((a, b) => (b.score - a.score) || (a.columnIndex - b.columnIndex))
+    .forEach(({ columnIndex, field, score }) => {
+      if (usedFields.has(field) || suggestions[columnIndex].field) return;
+      suggestions[columnIndex] = { field, score };
+      usedFields.add(field);
+    });
+
+  return suggestions;
+};
+
+// Conversion factors into the planner's base units: millimetres and kilograms
+const LENGTH_UNITS = {
+  mm: 1, millimeter: 1, millimeters: 1, millimetre: 1, millimetres: 1,
+  cm: 10, centimeter: 10, centimeters: 10, centimetre: 10, centimetres: 10,
+  m: 1000, meter: 1000, meters: 1000, metre: 1000, metres: 1000,
+  in: 25.4, inch: 25.4, inches: 25.4, '"': 25.4,
+  ft: 304.8, foot: 304.8, feet: 304.8, "'": 304.8
+};
+
+const WEIGHT_UNITS = {
+  g: 0.001, gm: 0.001, gms: 0.001, gram: 0.001, grams: 0.001,
+  kg: 1, kgs: 1, kilogram: 1, kilograms: 1,
+  t: 1000, mt: 1000, ton: 1000, tons: 1000, tonne: 1000, tonnes: 1000,
+  lb: 0.45359237, lbs: 0.45359237, pound: 0.45359237, pounds: 0.45359237
+};
+
+// Order fields holding physical measurements, by kind of unit
+export const MEASUREMENT_FIELDS = {
+  length: 'length',
+  width: 'length',
+  height: 'length',
+  diameter: 'length',
+  maxStackHeight: 'length',
+  weight: 'weight'
+};
+
+const getUnitTable = (kind) => (kind === 'weight' ? WEIGHT_UNITS : LENGTH_UNITS);
+
+/**
+ * Detect the unit a header declares, e.g. "Length (cm)" or "Gross Wt lbs"
+ * @returns {string|null} - Unit key, or null when the header names none
+ */
+export const detectHeaderUnit = (header, kind) => {
+  const units = getUnitTable(kind);
+  const text = (header ?? '').toString().toLowerCase().trim();
+
+  const bracketed = text.match(/[([{]\s*([a-z"']+)\.?\s*[)\]}]/);
+  if (bracketed && units[bracketed[1]]) return bracketed[1];
+
+  const trailing = text.match(/[\s_-]([a-z"']+)\.?$/);
+  if (trailing && units[trailing[1]]) return trailing[1];
+
+  return null;
+};
+
+/**
+ * Parse a measurement cell into millimetres or kilograms.
+ * A unit written in the cell ("60 cm", "12 lbs") wins over the column unit;
+ * without either, values are taken as millimetres / kilograms.
+ * @returns {number|null} - Converted value, null for an empty cell, NaN when unreadable
+ */
+export const parseMeasurement = (value, kind, columnUnit = null) => {
+  if (value === undefined || value === null || value.toString().trim() === '') return null;
+
+  const units = getUnitTable(kind);
+  const baseUnit = kind === 'weight' ? 'kg' : 'mm';
+  const match = value.toString().trim().toLowerCase().replace(/,/g, '')
+    .match(/^(\d*\.?\d+)\s*([a-z"']*)\.?$/);
+  if (!match) return NaN;
+
+  const unit = match[2] || columnUnit || baseUnit;
+  if (!units[unit]) return NaN;
+
+  return Math.round(parseFloat(match[1]) * units[unit] * 1000) / 1000;
+};
+
+/**
+ * Read every worksheet of an Excel or CSV file
+ * @param {File} file - Excel or CSV file to read
+ * @returns {Promise<Object>} - { sheets, headers, rawData }: sheets lists { name, headers, rawData }
+ *   for each non-empty worksheet; headers and rawData are those of the first one
+ */
+export const readSpreadsheet = async (file) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
 
@@ -14,16 +207,19 @@ export const parseExcelFile = async (file) => {
         const data = new Uint8Array(e.target.result);
         const workbook = XLSX.read(data, { type: 'array' });
 
-        // Get the first worksheet
-        const firstSheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[firstSheetName];
+        // Convert each worksheet to rows of cells
+        const sheets = workbook.SheetNames
+          .map(name => {
+            const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 });
+            return { name, headers: rawData[0] || [], rawData };
+          })
+          .filter(sheet => sheet.rawData.length > 0);
 
-        // Convert to JSON
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+        if (sheets.length === 0) {
+          throw new Error('The workbook has no data');
+        }
 
-        // Parse the data based on expected format
-        const orders = parseOrderData(jsonData);
-        resolve(orders);
+        resolve({ sheets, headers: sheets[0].headers, rawData: sheets[0].rawData });
       } catch (error) {
         reject(new Error(`Failed to parse Excel file: ${error.message}`));
       }
@@ -37,84 +233,133 @@ export const parseExcelFile = async (file) => {
   });
 };
 
+/**
+ * Combine the rows of several worksheets under one header row.
+ * Columns are matched by normalised header, so sheets may order their columns differently.
+ * @param {Array} sheets - Sheets from readSpreadsheet
+ * @returns {Object} - { headers, rawData, rowSources } where rowSources[i] names the sheet
+ *   and spreadsheet row of rawData[i]
+ */
+export const combineSheets = (sheets) => {
+  const headers = [];
+  const columnByHeader = {};
+  sheets.forEach(sheet => {
+    sheet.headers.forEach(header => {
+      const key = normalizeHeader(header);
+      if (key && columnByHeader[key] === undefined) {
+        columnByHeader[key] = headers.length;
+        headers.push(header);
+      }
+    });
+  });
+
+  const rawData = [headers];
+  const rowSources = [null];
+  sheets.forEach(sheet => {
+    const columnMap = sheet.headers.map(header => columnByHeader[normalizeHeader(header)]);
+    sheet.rawData.slice(1).forEach((row, index) => {
+      const combinedRow = [];
+      (row || []).forEach((cell, column) => {
+        if (columnMap[column] !== undefined) combinedRow[columnMap[column]] = cell;
+      });
+      rawData.push(combinedRow);
+      rowSources.push({ sheet: sheet.name, rowNumber: index + 2 });
+    });
+  });
+
+  return { headers, rawData, rowSources };
+};
+
+/**
+ * Parse Excel file and convert to order data format
+ * @param {File} file - Excel or CSV file to parse
+ * @param {Array} routes - Route master used to resolve each order's lane
+ * @param {Array} columnFields - Optional order field per column; suggested from the headers when omitted
+ * @param {Array} sheetNames - Optional worksheets to combine; only the first sheet is read when omitted
+ * @returns {Promise<Object>} - { orders, rows, unknownLanes }, see parseOrderData
+ */
+export const parseExcelFile = async (file, routes, columnFields = null, sheetNames = null) => {
+  const { sheets, rawData } = await readSpreadsheet(file);
+  if (!sheetNames) {
+    return parseOrderData(rawData, routes, columnFields);
+  }
+
+  const combined = combineSheets(sheets.filter(sheet => sheetNames.includes(sheet.name)));
+  return parseOrderData(combined.rawData, routes, columnFields, combined.rowSources);
+};
+
 /**
  * Parse raw Excel data into order format
  * @param {Array} rawData - Raw data from Excel sheet
- * @returns {Array} - Formatted order data
+ * @param {Array} routes - Route master used to resolve each order's lane
+ * @param {Array} columnFields - Optional order field per column (null/'' to ignore a column)
+ * @param {Array} rowSources - Optional { sheet, rowNumber } per row, see combineSheets
+ * @returns {Object} - { orders, rows, unknownLanes }; each row is { rowNumber, sheet, order, error }
+ *   with rowNumber as shown in the spreadsheet and order null when the row failed to parse;
+ *   unknownLanes lists lanes the route master could not resolve
  */
-const parseOrderData = (rawData) => {
+export const parseOrderData = (rawData, routes, columnFields = null, rowSources = null) => {
   if (rawData.length < 2) {
     throw new Error('Excel file must contain at least a header row and one data row');
   }
 
-  const headers = rawData[0].map(header => header?.toString().toLowerCase().trim());
+  const fields = columnFields || suggestColumnMapping(rawData[0]).map(suggestion => suggestion.field);
   const orders = [];
 
-  // Define column mappings (flexible to handle different Excel formats)
-  const columnMappings = {
-    'so id': 'id',
-    'sales order': 'id',
-    'order id': 'id',
-    'do id': 'doId',
-    'delivery order': 'doId',
-    'route': 'route',
-    'route code': 'route',
-    'quantity': 'quantity',
-    'qty': 'quantity',
-    'seller': 'seller',
-    'vendor': 'seller',
-    'pickup': 'pickup',
-    'pickup location': 'pickup',
-    'delivery': 'delivery',
-    'delivery location': 'delivery',
-    'destination': 'delivery',
-    'weight': 'weight',
-    'weight (kg)': 'weight',
-    'material type': 'materialType',
-    'type': 'materialType',
-    'length': 'length',
-    'width': 'width',
-    'height': 'height',
-    'diameter': 'diameter',
-    'priority': 'priority',
-    'status': 'status'
-  };
-
   // Create mapping from Excel columns to our data structure
   const fieldMapping = {};
-  headers.forEach((header, index) => {
-    const mappedField = columnMappings[header];
-    if (mappedField) {
-      fieldMapping[mappedField] = index;
+  fields.forEach((field, index) => {
+    if (field && fieldMapping[field] === undefined) {
+      fieldMapping[field] = index;
+    }
+  });
+
+  // Units declared in the headers of measurement columns
+  const columnUnits = {};
+  Object.entries(MEASUREMENT_FIELDS).forEach(([field, kind]) => {
+    if (fieldMapping[field] !== undefined) {
+      columnUnits[field] = detectHeaderUnit(rawData[0][fieldMapping[field]], kind);
     }
   });
 
   // Process each data row
+  const unknownLanes = new Set();
+  const rows = [];
+  const seenIds = new Set();
   for (let i = 1; i < rawData.length; i++) {
     const row = rawData[i];
-    if (!row || row.length === 0) continue;
+    if (!row || row.every(cell => cell === undefined || cell === null || cell === '')) continue;
 
+    const source = rowSources?.[i] || { sheet: null, rowNumber: i + 1 };
     try {
-      const order = parseOrderRow(row, fieldMapping, i);
-      if (order) {
-        orders.push(order);
+      const lane = row[fieldMapping.route];
+      if (lane && !resolveRoute(routes, lane)) unknownLanes.add(lane.toString().trim());
+
+      const order = parseOrderRow(row, fieldMapping, columnUnits, routes);
+      if (seenIds.has(order.id)) {
+        throw new Error(`Duplicate order ID ${order.id} in file`);
       }
+      seenIds.add(order.id);
+      orders.push(order);
+      rows.push({ ...source, order, error: null });
     } catch (error) {
-      console.warn(`Skipping row ${i + 1}: ${error.message}`);
+      rows.push({ ...source, order: null, error: error.message });
     }
   }
 
-  return orders;
+  return { orders, rows, unknownLanes: [...unknownLanes] };
 };
 
 /**
  * Parse a single order row
  * @param {Array} row - Row data from Excel
  * @param {Object} fieldMapping - Mapping of fields to column indices
- * @param {number} rowIndex - Row index for error reporting
+ * @param {Object} columnUnits - Unit declared by each measurement column's header
+ * @param {Array} routes - Route master used to resolve the lane
  * @returns {Object} - Parsed order object
+ * @throws {Error} - When required fields or physical attributes are missing or unreadable
  */
-const parseOrderRow = (row, fieldMapping, rowIndex) => {
+const parseOrderRow = (row, fieldMapping, columnUnits, routes) => {
   const getValue = (field, defaultValue = '') => {
     const index = fieldMapping[field];
     return index !== undefined ? (row[index] || defaultValue) : defaultValue;
@@ -126,6 +371,11 @@ const parseOrderRow = (row, fieldMapping, rowIndex) => {
     return isNaN(parsed) ? defaultValue : parsed;
   };
 
+  const getMeasurement = (field) => {
+    const index = fieldMapping[field];
+    return parseMeasurement(index !== undefined ? row[index] : null, MEASUREMENT_FIELDS[field], columnUnits[field]);
+  };
+
   // Required fields
   const id = getValue('id');
   const quantity = getNumericValue('quantity');
@@ -134,40 +384,81 @@ const parseOrderRow = (row, fieldMapping, rowIndex) => {
     throw new Error(`Missing required fields (ID: ${id}, Quantity: ${quantity})`);
   }
 
-  // Determine material type and dimensions
+  // Determine material type and dimensions; physical attributes are never defaulted
   const materialType = determineMaterialType(row, fieldMapping);
-  const dimensions = parseDimensions(row, fieldMapping, materialType);
+  const { dimensions, errors } = parseDimensions(getMeasurement, materialType);
+
+  // Lanes resolve through the route master; unknown lanes are errors, never defaulted
+  const lane = getValue('route').toString().trim();
+  const route = resolveRoute(routes, lane);
+  if (!lane) {
+    errors.push('missing route');
+  } else if (!route) {
+    errors.push(`unknown lane "${lane}"`);
+  }
+
+  const weight = getMeasurement('weight');
+  if (weight === null) {
+    errors.push('missing weight');
+  } else if (!(weight > 0)) {
+    errors.push(`invalid weight "${row[fieldMapping.weight]}"`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Order ${id}: ${errors.join(', ')}`);
+  }
 
   // Build order object
   const order = {
     id: id.toString(),
-    doId: getValue('doId', `DO${id}`),
-    route: parseRoute(getValue('route')),
-    routeName: getRouteName(parseRoute(getValue('route'))),
+    doId: getValue('doId', `DO${id}`).toString(),
+    route: route.id,
+    routeName: route.name,
     quantity: quantity,
-    seller: getValue('seller', 'Unknown Seller'),
-    pickup: getValue('pickup', 'Unknown Pickup'),
-    delivery: getValue('delivery', 'Unknown Delivery'),
+    seller: getValue('seller', 'Unknown Seller').toString(),
+    pickup: getValue('pickup', 'Unknown Pickup').toString(),
+    delivery: getValue('delivery', 'Unknown Delivery').toString(),
     materialType: materialType,
     dimensions: dimensions,
-    weight: getNumericValue('weight', 25),
+    weight,
     priority: parsePriority(getValue('priority')),
-    status: getValue('status', 'unplanned').toLowerCase()
+    temperatureRequirement: parseTemperature(getValue('temperatureRequirement')),
+    status: getValue('status', 'unplanned').toString().toLowerCase()
   };
 
   // Add material-specific properties
   if (materialType === 'cuboidal') {
     order.stackable = true;
-    order.maxStackHeight = getNumericValue('maxStackHeight', 2000);
+    order.maxStackHeight = getMeasurement('maxStackHeight') || 2000;
+    order.thisSideUp = ['true', 'yes', 'y'].includes(getValue('thisSideUp', 'false').toString().toLowerCase());
+
+    // Comma separated orientation codes, e.g. "LWH, WLH"
+    const allowedOrientations = getValue('allowedOrientations').toString()
+      .split(',')
+      .map(code => code.trim().toUpperCase())
+      .filter(code => ORIENTATIONS[code]);
+    if (allowedOrientations.length > 0) {
+      order.allowedOrientations = allowedOrientations;
+    }
   } else if (materialType === 'cylindrical') {
-    order.orientation = getValue('orientation', 'vertical').toLowerCase();
-    order.nesting = getValue('nesting', 'false').toLowerCase() === 'true';
-    order.fragile = getValue('fragile', 'false').toLowerCase() === 'true';
+    order.orientation = getValue('orientation', 'vertical').toString().toLowerCase();
+    order.nesting = getValue('nesting', 'false').toString().toLowerCase() === 'true';
+    order.fragile = getValue('fragile', 'false').toString().toLowerCase() === 'true';
   }
 
   return order;
 };
 
+/**
+ * Parse a temperature requirement, defaulting to ambient
+ */
+const parseTemperature = (value) => {
+  const text = value.toString().toLowerCase();
+  if (text.includes('frozen') || text.includes('freez')) return 'frozen';
+  if (text.includes('chill') || text.includes('cold') || text.includes('reefer')) return 'chilled';
+  return 'ambient';
+};
+
 /**
  * Determine material type from row data
  */
@@ -202,64 +493,26 @@ const determineMaterialType = (row, fieldMapping) => {
 
 /**
  * Parse dimensions based on material type
+ * @returns {Object} - { dimensions, errors } with dimensions in millimetres and
+ *   one error per missing or unreadable dimension
  */
-const parseDimensions = (row, fieldMapping, materialType) => {
-  const getValue = (field, defaultValue = 0) => {
-    const index = fieldMapping[field];
-    const value = index !== undefined ? row[index] : null;
-    const parsed = parseFloat(value);
-    return isNaN(parsed) ? defaultValue : parsed;
-  };
-
-  if (materialType === 'cylindrical') {
-    return {
-      diameter: getValue('diameter', 500),
-      height: getValue('height', 800)
-    };
-  } else {
-    return {
-      length: getValue('length', 600),
-      width: getValue('width', 400),
-      height: getValue('height', 300)
-    };
-  }
-};
-
-/**
- * Parse and normalize route code
- */
-const parseRoute = (routeValue) => {
-  if (!routeValue) return 'DEL-MUM';
-
-  const route = routeValue.toString().toUpperCase().trim();
-
-  // Common route mappings
-  const routeMappings = {
-    'DELHI-MUMBAI': 'DEL-MUM',
-    'DELHI-HYDERABAD': 'DEL-HYD',
-    'DELHI-CHENNAI': 'DEL-CHE',
-    'DELHI-BANGALORE': 'DEL-BAN',
-    'DEL-MUMBAI': 'DEL-MUM',
-    'DEL-HYDERABAD': 'DEL-HYD',
-    'DEL-CHENNAI': 'DEL-CHE',
-    'DEL-BANGALORE': 'DEL-BAN'
-  };
-
-  return routeMappings[route] || route;
-};
-
-/**
- * Get route display name
- */
-const getRouteName = (routeCode) => {
-  const routeNames = {
-    'DEL-MUM': 'Delhi → Mumbai',
-    'DEL-HYD': 'Delhi → Hyderabad',
-    'DEL-CHE': 'Delhi → Chennai',
-    'DEL-BAN': 'Delhi → Bangalore'
-  };
+const parseDimensions = (getMeasurement, materialType) => {
+  const fields = materialType === 'cylindrical' ? ['diameter', 'height'] : ['length', 'width', 'height'];
+  const dimensions = {};
+  const errors = [];
+
+  fields.forEach(field => {
+    const value = getMeasurement(field);
+    if (value === null) {
+      errors.push(`missing ${field}`);
+    } else if (!(value > 0)) {
+      errors.push(`invalid ${field}`);
+    } else {
+      dimensions[field] = value;
+    }
+  });
 
-  return routeNames[routeCode] || routeCode;
+  return { dimensions, errors };
 };
 
 /**
@@ -280,6 +533,40 @@ const parsePriority = (priorityValue) => {
   return 'medium';
 };
 
+/**
+ * Merge imported orders into the order book
+ * @param {Array} existingOrders - Current order book
+ * @param {Array} importedOrders - Valid orders from parseExcelFile
+ * @param {string} mode - 'keep' leaves existing orders with the same ID untouched,
+ *   'replace' overwrites them with the imported rows
+ * @returns {Object} - { orders, added, replaced, skipped }
+ */
+export const mergeImportedOrders = (existingOrders, importedOrders, mode = 'keep') => {
+  const importedById = new Map(importedOrders.map(order => [order.id, order]));
+  let replaced = 0;
+  let skipped = 0;
+
+  const orders = existingOrders.map(order => {
+    if (!importedById.has(order.id)) return order;
+    if (mode === 'replace') {
+      replaced++;
+      return importedById.get(order.id);
+    }
+    skipped++;
+    return order;
+  });
+
+  const existingIds = new Set(existingOrders.map(order => order.id));
+  const newOrders = importedOrders.filter(order => !existingIds.has(order.id));
+
+  return {
+    orders: [...orders, ...newOrders],
+    added: newOrders.length,
+    replaced,
+    skipped
+  };
+};
+
 /**
  * Export orders to Excel format
  * @param {Array} orders - Orders to export
@@ -297,12 +584,14 @@ export const exportToExcel = (orders, filename = 'dispatch_plan.xlsx') => {
     'Material Type': order.materialType,
     'Weight (kg)': order.weight,
     'Priority': order.priority,
+    'Temperature': order.temperatureRequirement || 'ambient',
     'Status': order.status,
     ...(order.materialType === 'cuboidal' ? {
       'Length (mm)': order.dimensions.length,
       'Width (mm)': order.dimensions.width,
       'Height (mm)': order.dimensions.height,
-      'Stackable': order.stackable ? 'Yes' : 'No'
+      'Stackable': order.stackable ? 'Yes' : 'No',
+      'This Side Up': order.thisSideUp ? 'Yes' : 'No'
     } : {
       'Diameter (mm)': order.dimensions.diameter,
       'Height (mm)': order.dimensions.height,
@@ -316,3 +605,107 @@ export const exportToExcel = (orders, filename = 'dispatch_plan.xlsx') => {
 
   XLSX.writeFile(workbook, filename);
 };
+
+// Excel limits sheet names to 31 characters without : \ / ? * [ ]
+const toSheetName = (name) => name.toString().replace(/[:\\/?*[\]]/g, '-').slice(0, 31);
+
+const formatItemDimensions = (dimensions = {}) => (dimensions.diameter
+  ? `Ø${dimensions.diameter} × ${dimensions.height}`
+  : `${dimensions.length} × ${dimensions.width} × ${dimensions.height}`);
+
+/**
+ * Export a generated plan (see App.handleGeneratePlan) as a workbook:
+ * a summary sheet, one sheet per vehicle with its drop points and loading
+ * sequence, and a sheet of unplaced items.
+ * @param {Object} plan - Plan object
+ * @param {string} filename - Output filename, defaults to the plan id
+ */
+export const exportPlanToExcel = (plan, filename = `${plan.id}.xlsx`) => {
+  const workbook = XLSX.utils.book_new();
+  const vehicles = plan.vehicles || [];
+  const unplaced = plan.unplaced || [];
+
+  // Summary: plan facts followed by one row per vehicle
+  const summaryRows = [
+    ['Plan ID', plan.id],
+    ['Input Fingerprint', plan.inputFingerprint || ''],
+    ['Engine Version', plan.engineVersion || ''],
+    ['Created At', plan.createdAt || ''],
+    ['Orders', plan.orders?.length || 0],
+    ['Vehicles', vehicles.length],
+    ['Total Weight (kg)', Math.round(plan.totalWeight || 0)],
+    ['Total Volume (m³)', Number((plan.totalVolume || 0).toFixed(2))],
+    ['Total Cost (₹)', Math.round(plan.totalCost || 0)],
+    ['Unplaced Items', unplaced.length],
+    [],
+    ['Vehicle', 'Type', 'Route', 'Orders', 'Drop Points', 'Load Weight (kg)', 'Weight Utilization (%)', 'Volume Utilization (%)', 'Warnings']
+  ];
+  vehicles.forEach(vehicle => {
+    summaryRows.push([
+      vehicle.id,
+      vehicle.vehicleType?.name || vehicle.type,
+      vehicle.route,
+      vehicle.orders?.length || 0,
+      vehicle.loadPlan?.stops?.length ?? vehicle.dropPoints?.length ?? 0,
+      Math.round(vehicle.loadPlan?.totalWeight || 0),
+      Number((vehicle.utilization?.weight || 0).toFixed(1)),
+      Number((vehicle.utilization?.volume || 0).toFixed(1)),
+      vehicle.loadPlan?.warnings?.length || 0
+    ]);
+  });
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryRows), 'Summary');
+
+  // One sheet per vehicle: drop points, then the loading sequence in loading order
+  vehicles.forEach(vehicle => {
+    const loadPlan = vehicle.loadPlan || {};
+    const stops = loadPlan.stops || [];
+    const rows = [
+      [`${vehicle.id} — ${vehicle.vehicleType?.name || vehicle.type}`, `Route ${vehicle.route}`],
+      [],
+      ['Drop Points'],
+      ['Stop', 'Drop Point', 'Location', 'Orders']
+    ];
+    stops.forEach((stop, index) => {
+      rows.push([index + 1, stop.dropPointId, stop.location, stop.orderIds.join(', ')]);
+    });
+
+    rows.push([], ['Loading Sequence']);
+    rows.push(['Step', 'Item', 'SO ID', 'Stop', 'Units', 'Weight (kg)', 'Dimensions (mm)', 'Rotation', 'X (mm)', 'Y (mm)', 'Z (mm)', 'Compartment']);
+    (loadPlan.items || []).forEach((item, index) => {
+      rows.push([
+        index + 1,
+        item.id,
+        item.isPallet ? item.contents.map(entry => entry.orderId).join(', ') : (item.orderId || item.id),
+        (item.deliveryStop ?? 0) + 1,
+        item.unitCount ?? item.quantity,
+        Math.round(item.weight * (item.quantity || 1) * 10) / 10,
+        formatItemDimensions(item.dimensions),
+        item.rotation || item.orientation || '',
+        Math.round(item.position?.x ?? 0),
+        Math.round(item.position?.y ?? 0),
+        Math.round(item.position?.z ?? 0),
+        item.compartmentId || ''
+      ]);
+    });
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), toSheetName(vehicle.id));
+  });
+
+  // Unplaced items with the vehicle they were planned on and the reason
+  const unplacedRows = [['Item', 'SO ID', 'Vehicle', 'Units', 'Weight (kg)', 'Reason', 'Details']];
+  unplaced.forEach(item => {
+    const vehicle = vehicles.find(candidate => candidate.loadPlan?.unplaced?.includes(item));
+    unplacedRows.push([
+      item.id,
+      item.orderId || item.id,
+      vehicle?.id || '',
+      item.unitCount ?? item.quantity,
+      Math.round(item.weight * (item.quantity || 1) * 10) / 10,
+      item.unplacedReason?.type || '',
+      item.unplacedReason?.message || ''
+    ]);
+  });
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(unplacedRows), 'Unplaced');
+
+  XLSX.writeFile(workbook, filename);
+};
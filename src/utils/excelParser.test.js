@@ -0,0 +1,78 @@
+/**
+ * Test file for spreadsheet import and export
+ */
+
+import { readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import * as XLSX from 'xlsx';
+import {
+  parseOrderData,
+  mergeImportedOrders,
+  suggestColumnMapping,
+  parseMeasurement,
+  combineSheets,
+  exportPlanToExcel
+} from './excelParser.js';
+import { check } from './testHelpers.js';
+import { routes } from '../data/mockData.js';
+
+// Imported rows are previewed one by one: good rows become orders, bad rows keep their error
+console.log('Testing order import preview...');
+const importPreview = parseOrderData([
+  ['SO ID', 'Route', 'Qty', 'Delivery', 'Weight (kg)', 'Length (mm)', 'Width (mm)', 'Height (mm)'],
+  ['SO1100', 'DEL-MUM', 10, 'Mumbai', 12, 600, 400, 300],
+  [],
+  ['SO1101', 'DEL-MUM', 0, 'Mumbai', 12, 600, 400, 300],
+  ['SO1100', 'DEL-MUM', 5, 'Mumbai', 12, 600, 400, 300]
+], routes);
+check('spreadsheet rows 2 ok, 4 missing quantity, 5 duplicate; blank row 3 skipped',
+  '2 ok; 4 Missing required fields (ID: SO1101, Quantity: 0); 5 Duplicate order ID SO1100 in file',
+  importPreview.rows.map(row => `${row.rowNumber} ${row.error || 'ok'}`).join('; '));
+const keptImport = mergeImportedOrders([{ ...importPreview.orders[0], quantity: 1 }], importPreview.orders);
+const replacedImport = mergeImportedOrders([{ ...importPreview.orders[0], quantity: 1 }], importPreview.orders, 'replace');
+check('an existing SO kept by default and overwritten in replace mode', 'qty 1 (skipped 1), qty 10 (replaced 1)',
+  `qty ${keptImport.orders[0].quantity} (skipped ${keptImport.skipped}), qty ${replacedImport.orders[0].quantity} (replaced ${replacedImport.replaced})`);
+
+// Column mapping is suggested from the headers, tolerating abbreviations and typos
+console.log('\nTesting column suggestions...');
+check('suggestions for Sales Order No, Cosignee Name, Qty, Gross Wt (kg), Remarks', 'id, delivery, quantity, weight, none',
+  suggestColumnMapping(['Sales Order No', 'Cosignee Name', 'Qty', 'Gross Wt (kg)', 'Remarks'])
+    .map(suggestion => suggestion.field || 'none').join(', '));
+
+// Measurements convert from the header or cell unit; missing physical attributes reject the row
+console.log('\nTesting unit-aware import...');
+const unitImport = parseOrderData([
+  ['SO ID', 'Route', 'Qty', 'Gross Wt (lbs)', 'Length (cm)', 'Width (cm)', 'Height (cm)'],
+  ['SO1200', 'DEL-MUM', 4, '22', '60', '40 cm', '300 mm'],
+  ['SO1201', 'DEL-MUM', 4, '', '60', '40', '30'],
+  ['SO1202', 'DEL-MUM', 4, '10', 'sixty', '40', '']
+], routes);
+const convertedOrder = unitImport.orders[0];
+check('22 lbs in kg and cm or mm cells in mm', '9.979 kg, 600x400x300',
+  `${convertedOrder.weight} kg, ${convertedOrder.dimensions.length}x${convertedOrder.dimensions.width}x${convertedOrder.dimensions.height}`);
+check('lanes resolved against the routes passed in', 0, unitImport.unknownLanes.length);
+check('a lane missing from the routes passed in reported as unknown', 'DEL-MUM',
+  parseOrderData([['SO ID', 'Route', 'Qty'], ['SO1203', 'DEL-MUM', 1]], []).unknownLanes.join(', '));
+check('rows without weight or readable dimensions rejected, never defaulted', 'missing weight; invalid length, missing height',
+  unitImport.rows.filter(row => row.error).map(row => row.error.replace(/^Order \S+: /, '')).join('; '));
+check('a unit in the cell to win over the column unit', 609.6, parseMeasurement('2 ft', 'length', 'cm'));
+
+// Sheets are combined by header, and a plan exports one sheet per vehicle
+console.log('\nTesting multi-sheet import and plan export...');
+const northHeaders = ['SO ID', 'Route', 'Qty', 'Weight', 'Length', 'Width', 'Height'];
+const southHeaders = ['Qty', 'SO ID', 'Route', 'Height', 'Width', 'Length', 'Weight'];
+const combinedSheets = combineSheets([
+  { name: 'North', headers: northHeaders, rawData: [northHeaders, ['SO1300', 'DEL-MUM', 2, 10, 600, 400, 300]] },
+  { name: 'South', headers: southHeaders, rawData: [southHeaders, [], [3, 'SO1301', 'DEL-HYD', 300, 400, 600, 12]] }
+]);
+const sheetImport = parseOrderData(combinedSheets.rawData, routes, null, combinedSheets.rowSources);
+check('rows traced to their sheet and row, columns matched by header', 'North 2 qty 2, South 3 qty 3 weight 12',
+  `${sheetImport.rows.map(row => `${row.sheet} ${row.rowNumber} qty ${row.order?.quantity}`).join(', ')} weight ${sheetImport.orders[1]?.weight}`);
+const exportPath = join(tmpdir(), 'ftplanning-export-test.xlsx');
+const exportVehicle = (id) => ({ id, route: 'DEL-MUM', loadPlan: { stops: [], items: [] } });
+exportPlanToExcel({ id: 'PLAN_EXPORT', vehicles: [exportVehicle('V001'), exportVehicle('V002')], unplaced: [] }, exportPath);
+check('sheets', 'Summary, V001, V002, Unplaced', XLSX.read(readFileSync(exportPath)).SheetNames.join(', '));
+rmSync(exportPath);
+
+console.log('\nAll tests completed!');
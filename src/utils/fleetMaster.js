@@ -0,0 +1,188 @@
+/**
+ * Fleet Master
+ * Vehicle types the planner can allocate and how many of each are available
+ * per day at each origin. Planning never allocates more vehicles than the
+ * availability for the plan's date and origin.
+ *
+ * Availability shape: { default: { [origin]: { [vehicleTypeId]: count } },
+ * [YYYY-MM-DD]: { [origin]: { [vehicleTypeId]: count } } }. A date without an
+ * entry for an origin uses that origin's default counts.
+ */
+
+import { vehicleTypes as defaultVehicleTypes, fleetAvailability as defaultAvailability } from '../data/mockData.js';
+
+const STORAGE_KEY = 'ftplanning.fleetMaster';
+
+export const DOOR_POSITIONS = [
+  { id: 'rear', label: 'Rear' },
+  { id: 'side', label: 'Side' },
+  { id: 'rear-side', label: 'Rear + Side' }
+];
+
+/**
+ * Load the fleet master; falls back to the built-in vehicle types when nothing is stored
+ * @returns {Object} - { vehicleTypes, availability }
+ */
+export const loadFleet = () => {
+  const defaults = { vehicleTypes: defaultVehicleTypes, availability: defaultAvailability };
+  if (typeof localStorage === 'undefined') return defaults;
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || defaults;
+  } catch (error) {
+    console.warn('Ignoring unreadable fleet master:', error.message);
+    return defaults;
+  }
+};
+
+const storeFleet = (fleet) => {
+  if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(fleet));
+  }
+  return fleet;
+};
+
+/**
+ * Create or update a vehicle type. originalId identifies the type being edited.
+ * Volume is derived from the body dimensions when not given.
+ * @returns {Object} - Updated fleet
+ * @throws {Error} - When the type is incomplete or its id is already taken
+ */
+export const saveVehicleType = (vehicleType, originalId = null) => {
+  const fleet = loadFleet();
+  const id = vehicleType.id?.trim().toUpperCase().replace(/\s+/g, '_');
+  const { length, width, height } = vehicleType.dimensions || {};
+
+  if (!id || !vehicleType.name?.trim()) {
+    throw new Error('Vehicle type code and name are required');
+  }
+  if (![length, width, height].every(value => value > 0)) {
+    throw new Error('Body length, width and height must be greater than zero');
+  }
+  if (!(vehicleType.maxWeight > 0)) {
+    throw new Error('Payload must be greater than zero');
+  }
+  if (fleet.vehicleTypes.some(existing => existing.id === id && existing.id !== originalId)) {
+    throw new Error(`Vehicle type ${id} already exists`);
+  }
+
+  const axles = (vehicleType.axles || []).map((axle, index) => ({
+    id: axle.id || `axle${index + 1}`,
+    name: axle.name || `Axle ${index + 1}`,
+    position: axle.position === '' ? NaN : Number(axle.position),
+    tareLoad: Number(axle.tareLoad) || 0,
+    maxLoad: Number(axle.maxLoad)
+  }));
+  if (axles.some(axle => !Number.isFinite(axle.position) || !(axle.maxLoad > 0))) {
+    throw new Error('Every axle needs a position and a maximum load');
+  }
+
+  const existing = fleet.vehicleTypes.find(type => type.id === originalId);
+  const saved = {
+    // Keep fields this form does not edit, such as compartments
+    ...existing,
+    id,
+    name: vehicleType.name.trim(),
+    maxWeight: Number(vehicleType.maxWeight),
+    dimensions: { length: Number(length), width: Number(width), height: Number(height) },
+    volume: Number(vehicleType.volume) || Math.round(length * width * height / 100000000) / 10,
+    costPerKm: Number(vehicleType.costPerKm) || 0,
+    fixedCost: Number(vehicleType.fixedCost) || 0,
+    doorPosition: vehicleType.doorPosition || 'rear',
+    axles
+  };
+
+  // Availability is keyed by type id, so a renamed type keeps its counts
+  const availability = originalId && originalId !== id
+    ? renameAvailabilityType(fleet.availability, originalId, id)
+    : fleet.availability;
+
+  return storeFleet({
+    vehicleTypes: originalId
+      ? fleet.vehicleTypes.map(type => (type.id === originalId ? saved : type))
+      : [...fleet.vehicleTypes, saved],
+    availability
+  });
+};
+
+const renameAvailabilityType = (availability, fromId, toId) => {
+  const renamed = {};
+  Object.entries(availability).forEach(([day, origins]) => {
+    renamed[day] = {};
+    Object.entries(origins).forEach(([origin, counts]) => {
+      const { [fromId]: count, ...rest } = counts;
+      renamed[day][origin] = count === undefined ? rest : { ...rest, [toId]: count };
+    });
+  });
+  return renamed;
+};
+
+const removeAvailabilityType = (availability, vehicleTypeId) => {
+  const removed = {};
+  Object.entries(availability).forEach(([day, origins]) => {
+    removed[day] = {};
+    Object.entries(origins).forEach(([origin, counts]) => {
+      removed[day][origin] = { ...counts };
+      delete removed[day][origin][vehicleTypeId];
+    });
+  });
+  return removed;
+};
+
+/**
+ * Delete a vehicle type by id
+ * @returns {Object} - Updated fleet
+ */
+export const deleteVehicleType = (vehicleTypeId) => {
+  const fleet = loadFleet();
+  return storeFleet({
+    vehicleTypes: fleet.vehicleTypes.filter(type => type.id !== vehicleTypeId),
+    availability: removeAvailabilityType(fleet.availability, vehicleTypeId)
+  });
+};
+
+/**
+ * Set how many vehicles of a type are available at an origin on a day ('default' for every day)
+ * @returns {Object} - Updated fleet
+ */
+export const setVehicleAvailability = ({ day, origin, vehicleTypeId, count }) => {
+  if (!day || !origin?.trim()) {
+    throw new Error('Day and origin are required');
+  }
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error('Available vehicles must be a whole number of zero or more');
+  }
+
+  const fleet = loadFleet();
+  const counts = fleet.availability[day]?.[origin] || fleet.availability.default?.[origin] || {};
+  return storeFleet({
+    ...fleet,
+    availability: {
+      ...fleet.availability,
+      [day]: {
+        ...fleet.availability[day],
+        [origin]: { ...counts, [vehicleTypeId]: count }
+      }
+    }
+  });
+};
+
+/**
+ * Drop a day's availability at an origin so the default counts apply again
+ * @returns {Object} - Updated fleet
+ */
+export const clearDayAvailability = (day, origin) => {
+  const fleet = loadFleet();
+  const origins = { ...fleet.availability[day] };
+  delete origins[origin];
+  return storeFleet({
+    ...fleet,
+    availability: { ...fleet.availability, [day]: origins }
+  });
+};
+
+/**
+ * Vehicles available per type at an origin on a day; types without a count have none
+ * @returns {Object} - { [vehicleTypeId]: count }
+ */
+export const getAvailableVehicleCounts = (availability, day, origin) =>
+  availability[day]?.[origin] || availability.default?.[origin] || {};
@@ -0,0 +1,15 @@
+/**
+ * Test file for the fleet master
+ */
+
+import { deleteVehicleType, getAvailableVehicleCounts } from './fleetMaster.js';
+import { check } from './testHelpers.js';
+
+// Deleting a vehicle type removes its availability with it
+console.log('Testing vehicle type deletion...');
+const fleetWithoutReefer = deleteVehicleType('REEFER_20FT');
+check('REEFER_20FT gone from the types', false, fleetWithoutReefer.vehicleTypes.some(type => type.id === 'REEFER_20FT'));
+check('REEFER_20FT gone from the availability, other counts kept', 'SXL, TATA_ACE, EICHER_14FT',
+  Object.keys(getAvailableVehicleCounts(fleetWithoutReefer.availability, '2026-01-05', 'Delhi')).join(', '));
+
+console.log('\nAll tests completed!');
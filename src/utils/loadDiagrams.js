@@ -0,0 +1,147 @@
+/**
+ * Load Diagrams
+ * Flat top, side and rear elevations of a vehicle's load, worked out from the
+ * load plan positions. A diagram is a list of shapes in millimetres, so it can be
+ * drawn as SVG on screen or as vector graphics in a PDF without WebGL.
+ *
+ * Every view puts the bulkhead on the left except the rear view, which is seen
+ * from the door looking in (the z = 0 side on the right). Items are coloured by
+ * delivery stop and labelled by SO id.
+ */
+
+import { getPlacedDimensions } from './binPacking.js';
+import { getStopColor } from './loadSnapshots.js';
+import { escapeHtml, openPrintWindow } from './printWindow.js';
+
+export const DIAGRAM_VIEWS = [
+  { id: 'top', label: 'Top' },
+  { id: 'side', label: 'Side' },
+  { id: 'rear', label: 'Rear' }
+];
+
+// Labels smaller than this (mm of diagram) would not be readable and are left out
+const MIN_LABEL_SIZE = 60;
+const MAX_LABEL_SIZE = 160;
+
+// SO ids an item carries; pallets list every order on them
+export const getItemLabel = (item) => (item.contents
+  ? [...new Set(item.contents.map(entry => entry.orderId))].join(', ')
+  : item.orderId || item.id);
+
+// Axis-aligned bounds of a placed item in millimetres
+const getBounds = (item) => {
+  const dims = getPlacedDimensions(item);
+  return {
+    minX: item.position.x,
+    maxX: item.position.x + dims.length,
+    minY: item.position.y,
+    maxY: item.position.y + dims.height,
+    minZ: item.position.z,
+    maxZ: item.position.z + dims.width
+  };
+};
+
+// Per view: the diagram size, an item's outline in diagram coordinates (y grows downwards),
+// whether it shows as a circle, and the depth used to draw nearer items over farther ones
+const PROJECTIONS = {
+  top: {
+    size: body => ({ width: body.length, height: body.width }),
+    project: (bounds) => ({ x: bounds.minX, y: bounds.minZ, width: bounds.maxX - bounds.minX, height: bounds.maxZ - bounds.minZ }),
+    isCircle: item => item.materialType === 'cylindrical' && item.orientation !== 'horizontal',
+    depth: bounds => bounds.maxY
+  },
+  side: {
+    size: body => ({ width: body.length, height: body.height }),
+    project: (bounds, body) => ({ x: bounds.minX, y: body.height - bounds.maxY, width: bounds.maxX - bounds.minX, height: bounds.maxY - bounds.minY }),
+    isCircle: () => false,
+    depth: bounds => bounds.maxZ
+  },
+  rear: {
+    size: body => ({ width: body.width, height: body.height }),
+    project: (bounds, body) => ({ x: body.width - bounds.maxZ, y: body.height - bounds.maxY, width: bounds.maxZ - bounds.minZ, height: bounds.maxY - bounds.minY }),
+    isCircle: item => item.materialType === 'cylindrical' && item.orientation === 'horizontal',
+    depth: bounds => bounds.maxX
+  }
+};
+
+/**
+ * One elevation of a load plan
+ * @returns {Object} - { view, width, height, shapes: [{ itemId, shape, x, y, width, height, color, stop, label, labelSize }] }
+ */
+export const getLoadDiagram = (loadPlan, body, view) => {
+  const projection = PROJECTIONS[view];
+  const placed = (loadPlan?.items || [])
+    .filter(item => item.position)
+    .map(item => ({ item, bounds: getBounds(item) }))
+    // Farther items first so nearer ones are drawn over them
+    .sort((a, b) => projection.depth(a.bounds) - projection.depth(b.bounds));
+
+  const shapes = placed.map(({ item, bounds }) => {
+    const outline = projection.project(bounds, body);
+    const label = getItemLabel(item);
+    const labelSize = Math.min(MAX_LABEL_SIZE, outline.height * 0.5, outline.width / (label.length * 0.6));
+
+    return {
+      itemId: item.id,
+      shape: projection.isCircle(item) ? 'circle' : 'rect',
+      ...outline,
+      color: getStopColor(item.deliveryStop),
+      stop: (item.deliveryStop ?? 0) + 1,
+      label,
+      labelSize: labelSize >= MIN_LABEL_SIZE ? labelSize : null
+    };
+  });
+
+  return { view, ...projection.size(body), shapes };
+};
+
+/**
+ * Standalone SVG markup of a diagram, for printing or embedding in other documents
+ */
+export const renderLoadDiagramSvg = (diagram) => {
+  const margin = Math.max(diagram.width, diagram.height) * 0.02;
+  const shapes = diagram.shapes.map(shape => {
+    const outline = shape.shape === 'circle'
+      ? `<ellipse cx="${shape.x + shape.width / 2}" cy="${shape.y + shape.height / 2}" rx="${shape.width / 2}" ry="${shape.height / 2}"`
+      : `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}"`;
+    const label = shape.labelSize
+      ? `<text x="${shape.x + shape.width / 2}" y="${shape.y + shape.height / 2}" font-size="${shape.labelSize}" text-anchor="middle" dominant-baseline="central" fill="#FFFFFF" font-family="sans-serif">${escapeHtml(shape.label)}</text>`
+      : '';
+    return `${outline} fill="${shape.color}" fill-opacity="0.85" stroke="#111827" stroke-width="${margin / 8}"/>${label}`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${-margin} ${-margin} ${diagram.width + margin * 2} ${diagram.height + margin * 2}">`
+    + `<rect x="0" y="0" width="${diagram.width}" height="${diagram.height}" fill="#F9FAFB" stroke="#374151" stroke-width="${margin / 4}"/>`
+    + `${shapes}</svg>`;
+};
+
+/**
+ * Print top, side and rear diagrams for the given vehicles of a plan
+ */
+export const printLoadDiagrams = (planData, vehicles, defaultBody) => {
+  const sections = vehicles.map(vehicle => {
+    const body = vehicle.vehicleType?.dimensions || defaultBody;
+    const views = DIAGRAM_VIEWS.map(view => `
+      <figure class="${view.id}">
+        ${renderLoadDiagramSvg(getLoadDiagram(vehicle.loadPlan, body, view.id))}
+        <figcaption>${view.label}</figcaption>
+      </figure>`).join('');
+    return `
+      <section>
+        <h2>${escapeHtml(vehicle.id)} · ${escapeHtml(vehicle.vehicleType?.name || vehicle.name || '')}</h2>
+        ${vehicle.loadPlan ? views : '<p>No load plan for this vehicle.</p>'}
+      </section>`;
+  }).join('');
+
+  openPrintWindow(
+    `Load diagrams · ${planData.id}`,
+    `<p>Colours mark the delivery stop. Top and side views have the bulkhead on the left; the rear view is seen from the door.</p>
+    ${sections}`,
+    `
+      section { page-break-inside: avoid; }
+      figure { margin: 8px 0; }
+      figure.top svg, figure.side svg { width: 100%; }
+      figure.rear svg { width: 40%; }
+      figcaption { color: #6b7280; }`
+  );
+};
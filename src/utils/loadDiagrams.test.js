@@ -0,0 +1,15 @@
+/**
+ * Test file for 2D load diagrams
+ */
+
+import { getLoadDiagram } from './loadDiagrams.js';
+import { check, body, crate } from './testHelpers.js';
+
+// 2D diagrams project plan positions; the rear view is seen from the door
+console.log('Testing load diagrams...');
+const diagramPlan = { items: [{ ...crate('SO7_U1', { x: 0, y: 600, z: 0 }), orderId: 'SO7', deliveryStop: 1 }] };
+const rearShape = getLoadDiagram(diagramPlan, body, 'rear').shapes[0];
+check('rear view of a crate on the z = 0 side, 600 mm up', 'x 1600, y 1300, 800 x 600, stop 2, SO7',
+  `x ${rearShape.x}, y ${rearShape.y}, ${rearShape.width} x ${rearShape.height}, stop ${rearShape.stop}, ${rearShape.label}`);
+
+console.log('\nAll tests completed!');
@@ -1,10 +1,30 @@
 /**
  * Advanced Load Optimization Engine
  * Combines bin packing with real-world constraints
+ *
+ * Item positions follow the packers' frame: x = 0 is the front bulkhead and
+ * the rear door is at x = body length, so the first stop's cargo belongs
+ * nearest x = length.
  */
 
 import { BinPacker } from './binPacking.js';
 import { CylindricalPacker } from './cylindricalPacking.js';
+import { ConstraintsEngine } from './constraintsEngine.js';
+import { PalletBuilder, resolvePalletSpec } from './palletBuilder.js';
+import { getVehicleCompartments, getTemperatureRequirement } from './vehicleOptimization.js';
+import { createSeededRandom } from './planFingerprint.js';
+
+// Warnings that depend on where items sit; recomputed whenever items move
+const POSITION_WARNING_TYPES = [
+  'weight_distribution',
+  'axle_overload',
+  'axle_load',
+  'stacking_violation',
+  'loading_sequence',
+  'heavy_item_high',
+  'fragile_horizontal',
+  'manual_placement'
+];
 
 export class LoadOptimizer {
   constructor(vehicleSpecs, constraints = {}) {
@@ -14,15 +34,45 @@ export class LoadOptimizer {
       weightDistributionTolerance: constraints.weightDistributionTolerance || 0.1,
       stackingRules: constraints.stackingRules || {},
       loadingSequence: constraints.loadingSequence || 'lifo',
-      ...constraints
+      ...constraints,
+      // Same default the constraints panel shows
+      maxAxleLoad: constraints.maxAxleLoad || 12000
     };
+
+    // Every packer placement is validated and scored by the same rules
+    this.constraintsEngine = this.createConstraintsEngine(this.vehicle);
+  }
+
+  // Constraints engine for the whole body or a single compartment
+  createConstraintsEngine(vehicleSpecs) {
+    const stackingRules = this.constraints.stackingRules;
+    return new ConstraintsEngine(vehicleSpecs, {
+      ...stackingRules,
+      cuboidal: {
+        ...stackingRules.cuboidal,
+        maxStackHeight: this.constraints.maxStackHeight
+      }
+    });
   }
 
   // Main optimization function
-  optimizeLoad(orders) {
-    // Separate orders by material type
-    const cuboidalOrders = orders.filter(o => o.materialType === 'cuboidal');
-    const cylindricalOrders = orders.filter(o => o.materialType === 'cylindrical');
+  // options.dropPoints lists the vehicle's stops in visiting order (see generateDropPoints);
+  // options.seed makes any randomised packing step reproducible
+  optimizeLoad(orders, options = {}) {
+    this.random = createSeededRandom(options.seed ?? 1);
+    this.useStops(this.buildStopSequence(orders, options.dropPoints));
+
+    // Tag orders with their stop so the packers can load the last stop deepest
+    const sequencedOrders = orders.map(order => ({ ...order, deliveryStop: this.getDeliveryOrder(order) }));
+
+    // With palletisation on, cartons are built onto pallets first and the pallets are loaded
+    const palletization = this.constraints.palletization;
+    const palletBuilder = palletization?.enabled
+      ? new PalletBuilder(resolvePalletSpec(palletization), this.constraints.stackingRules)
+      : null;
+    const { pallets, looseItems } = palletBuilder
+      ? palletBuilder.buildPallets(sequencedOrders)
+      : { pallets: [], looseItems: sequencedOrders };
 
     // Create optimized load plan
     const loadPlan = {
@@ -33,51 +83,299 @@ export class LoadOptimizer {
       layers: [],
       warnings: [],
       utilization: { weight: 0, volume: 0 },
-      items: []
+      items: [],
+      unplaced: [],
+      unitSummary: [],
+      stops: this.stops,
+      blockers: [],
+      axleLoads: [],
+      compartments: [],
+      palletBuildSheets: []
     };
 
-    // Pack cuboidal items first (usually more structured)
-    if (cuboidalOrders.length > 0) {
-      const cuboidalPlan = this.packCuboidalItems(cuboidalOrders);
-      this.mergePlan(loadPlan, cuboidalPlan);
+    // Each compartment is packed on its own and only takes orders of its temperature class.
+    // Cargo one compartment cannot hold moves on to the next compartment of the same class.
+    let pendingOrders = [...pallets, ...looseItems];
+    getVehicleCompartments(this.vehicle).forEach(compartment => {
+      const acceptedOrders = pendingOrders.filter(order =>
+        getTemperatureRequirement(order) === compartment.temperatureClass
+      );
+      if (acceptedOrders.length === 0) return;
+
+      const compartmentPlan = this.packCompartment(
+        compartment,
+        acceptedOrders.map(order => {
+          const retried = { ...order };
+          delete retried.unplacedReason;
+          return retried;
+        })
+      );
+      this.mergePlan(loadPlan, { items: compartmentPlan.items, warnings: compartmentPlan.warnings });
+      loadPlan.compartments.push(compartmentPlan.summary);
+
+      pendingOrders = [
+        ...pendingOrders.filter(order => !acceptedOrders.includes(order)),
+        ...compartmentPlan.unplaced
+      ];
+    });
+
+    loadPlan.unplaced.push(...pendingOrders.map(order => order.unplacedReason ? order : {
+      ...order,
+      unplacedReason: {
+        type: 'temperature_mismatch',
+        message: `${this.vehicle.name || this.vehicle.id} has no ${getTemperatureRequirement(order)} compartment for ${order.id}`
+      }
+    }));
+
+    if (loadPlan.unplaced.length > 0) {
+      loadPlan.warnings.push({
+        type: 'unplaced_items',
+        severity: 'high',
+        message: `${loadPlan.unplaced.length} item(s) could not be placed in ${this.vehicle.name || this.vehicle.id}`
+      });
     }
 
-    // Pack cylindrical items in remaining space
-    if (cylindricalOrders.length > 0) {
-      const cylindricalPlan = this.packCylindricalItems(cylindricalOrders, loadPlan);
-      this.mergePlan(loadPlan, cylindricalPlan);
+    // Build sheets only for the pallets that made it onto this vehicle
+    if (palletBuilder) {
+      loadPlan.palletBuildSheets = loadPlan.items
+        .filter(item => item.isPallet)
+        .map(pallet => palletBuilder.createBuildSheet(pallet));
     }
 
     // Validate and optimize final arrangement
     this.validateLoadPlan(loadPlan);
     this.optimizeLoadSequence(loadPlan);
+    loadPlan.unitSummary = this.summarizeUnits(orders, loadPlan.items);
 
     return loadPlan;
   }
 
+  // Re-check a load plan after items were moved by hand. Everything that depends on
+  // positions is recomputed; hand-placed items are validated in strict mode.
+  revalidateLoadPlan(loadPlan) {
+    this.useStops(loadPlan.stops);
+
+    const items = loadPlan.items;
+    const placementWarnings = items.filter(item => item.manuallyPlaced).flatMap(item => {
+      const others = items.filter(other => other !== item);
+      const validation = this.constraintsEngine.validatePlacement(item, item.position, others, { strict: true });
+      return validation.violations
+        .filter(violation => violation.severity === 'high' || violation.severity === 'critical')
+        .map(violation => ({
+          type: 'manual_placement',
+          severity: violation.severity,
+          itemId: item.id,
+          message: violation.message
+        }));
+    });
+
+    const revalidated = {
+      ...loadPlan,
+      items,
+      centerOfGravity: this.calculateCenterOfGravity(items),
+      // Position-dependent warnings are rebuilt below; the rest (e.g. unplaced items) stand
+      warnings: [
+        ...loadPlan.warnings.filter(warning => !POSITION_WARNING_TYPES.includes(warning.type)),
+        ...this.validateCuboidalPacking(items.filter(item => item.materialType === 'cuboidal')),
+        ...this.validateCylindricalPacking(items.filter(item => item.materialType === 'cylindrical')),
+        ...placementWarnings
+      ]
+    };
+
+    this.validateLoadPlan(revalidated);
+    this.optimizeLoadSequence(revalidated);
+    return revalidated;
+  }
+
+  // Unload a plan stop by stop. After each stop: the items taken off, the later-stop items
+  // that must be moved aside to reach them, and how the remaining load sits on the axles.
+  // Items with no known stop stay on board throughout.
+  simulateUnloading(loadPlan) {
+    this.useStops(loadPlan.stops);
+
+    const placedItems = loadPlan.items.filter(item => item.position);
+    const { blockers } = this.validateLoadingSequence({ items: placedItems });
+    let remaining = placedItems;
+
+    return this.stops.map((stop, stopIndex) => {
+      const unloaded = remaining.filter(item => this.getDeliveryOrder(item) === stopIndex);
+      remaining = remaining.filter(item => !unloaded.includes(item));
+
+      const centerOfGravity = this.calculateCenterOfGravity(remaining);
+      const axleCheck = this.validateAxleLoads({ items: remaining });
+      const cogCheck = remaining.length > 0 ? this.validateCenterOfGravity({ centerOfGravity }) : { valid: true };
+
+      return {
+        stop: stopIndex + 1,
+        dropPointId: stop.dropPointId,
+        location: stop.location,
+        unloadedIds: unloaded.map(item => item.id),
+        rehandleIds: blockers
+          .filter(blocker => blocker.blocks.some(blocked => blocked.stop === stopIndex + 1))
+          .map(blocker => blocker.itemId),
+        remainingIds: remaining.map(item => item.id),
+        remainingWeight: this.calculateTotals(remaining).weight,
+        centerOfGravity,
+        axleLoads: axleCheck.axleLoads,
+        warnings: [
+          ...(cogCheck.valid ? [] : [{ type: 'weight_distribution', severity: 'high', message: cogCheck.message }]),
+          ...axleCheck.warnings
+        ]
+      };
+    });
+  }
+
+  // Set the stop sequence that getDeliveryOrder looks items up in
+  useStops(stops) {
+    this.stops = stops || [];
+    this.stopIndexByOrderId = {};
+    this.stops.forEach((stop, index) => {
+      stop.orderIds.forEach(orderId => { this.stopIndexByOrderId[orderId] = index; });
+    });
+  }
+
+  // Count placed and unplaced units per order (SO), across all packed items.
+  // Pallets count the units listed in their contents.
+  summarizeUnits(orders, packedItems) {
+    const packedUnits = packedItems.flatMap(item => item.contents
+      ? item.contents.map(content => ({ orderId: content.orderId, units: content.units }))
+      : [{ orderId: item.orderId || item.id, units: item.unitCount ?? item.quantity }]
+    );
+
+    return orders.map(order => {
+      const placed = packedUnits
+        .filter(unit => unit.orderId === order.id)
+        .reduce((sum, unit) => sum + unit.units, 0);
+
+      return {
+        orderId: order.id,
+        doId: order.doId,
+        ordered: order.quantity,
+        placed,
+        unplaced: Math.max(0, order.quantity - placed)
+      };
+    });
+  }
+
+  // Stops in visiting order, each listing the order ids it delivers. Drop points are
+  // visited by their sequence (a route plan may renumber it), otherwise in list order.
+  // Orders not on any drop point get one stop per delivery location, in order of appearance.
+  buildStopSequence(orders, dropPoints = []) {
+    const orderIds = new Set(orders.map(order => order.id));
+    const stops = [...(dropPoints || [])]
+      .sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0))
+      .map(dropPoint => ({
+        dropPointId: dropPoint.id,
+        location: dropPoint.location,
+        orderIds: dropPoint.orders.map(order => order.id).filter(id => orderIds.has(id))
+      }))
+      .filter(stop => stop.orderIds.length > 0);
+
+    const assigned = new Set(stops.flatMap(stop => stop.orderIds));
+    orders.filter(order => !assigned.has(order.id)).forEach(order => {
+      const location = order.delivery || 'Unknown';
+      let stop = stops.find(s => !s.dropPointId && s.location === location);
+      if (!stop) {
+        stop = { dropPointId: null, location, orderIds: [] };
+        stops.push(stop);
+      }
+      stop.orderIds.push(order.id);
+    });
+
+    return stops.map((stop, index) => ({ ...stop, sequence: index + 1 }));
+  }
+
+  // Multi-drop loads are packed in walls from the front so each stop's cargo stays together
+  getFillOrder() {
+    return this.stops.length > 1 ? 'wall' : 'floor';
+  }
+
+  // Pack one compartment: cuboidal items first (usually more structured), then
+  // cylinders in the remaining space. Items come back in the body frame.
+  packCompartment(compartment, orders) {
+    const engine = this.createConstraintsEngine({
+      ...this.vehicle,
+      dimensions: compartment.dimensions,
+      maxWeight: compartment.maxWeight
+    });
+    const cuboidalOrders = orders.filter(o => o.materialType === 'cuboidal');
+    const cylindricalOrders = orders.filter(o => o.materialType === 'cylindrical');
+
+    const emptyPlan = { items: [], unplaced: [], warnings: [] };
+    const cuboidalPlan = cuboidalOrders.length > 0
+      ? this.packCuboidalItems(cuboidalOrders, compartment.dimensions, engine)
+      : emptyPlan;
+    const cylindricalPlan = cylindricalOrders.length > 0
+      ? this.packCylindricalItems(cylindricalOrders, cuboidalPlan, compartment.dimensions, engine)
+      : emptyPlan;
+
+    const origin = compartment.origin || { x: 0, y: 0, z: 0 };
+    const toBodyFrame = position => ({
+      x: position.x + origin.x,
+      y: position.y + origin.y,
+      z: position.z + origin.z
+    });
+    const items = [...cuboidalPlan.items, ...cylindricalPlan.items].map(item => ({
+      ...item,
+      compartmentId: compartment.id,
+      position: toBodyFrame(item.position),
+      ...(item.supportStructure && {
+        supportStructure: item.supportStructure.map(support => ({ ...support, position: toBodyFrame(support.position) }))
+      })
+    }));
+
+    const totals = this.calculateTotals(items);
+    const { length, width, height } = compartment.dimensions;
+    const compartmentVolume = (length * width * height) / 1000000000;
+
+    return {
+      items,
+      unplaced: [...cuboidalPlan.unplaced, ...cylindricalPlan.unplaced],
+      warnings: [...cuboidalPlan.warnings, ...cylindricalPlan.warnings],
+      summary: {
+        id: compartment.id,
+        name: compartment.name,
+        temperatureClass: compartment.temperatureClass,
+        weight: totals.weight,
+        volume: totals.volume,
+        utilization: {
+          weight: compartment.maxWeight ? (totals.weight / compartment.maxWeight) * 100 : 0,
+          volume: compartmentVolume > 0 ? (totals.volume / compartmentVolume) * 100 : 0
+        }
+      }
+    };
+  }
+
   // Pack cuboidal items using 3D bin packing
-  packCuboidalItems(orders) {
-    const packer = new BinPacker(this.vehicle.dimensions);
+  packCuboidalItems(orders, dimensions = this.vehicle.dimensions, constraintsEngine = this.constraintsEngine) {
+    const packer = new BinPacker(dimensions, constraintsEngine, {
+      allowRotation: Boolean(this.constraints.stackingRules.cuboidal?.orientationFlexibility),
+      fillOrder: this.getFillOrder()
+    });
     const packedItems = packer.packItems(orders);
 
     return {
       items: packedItems,
+      unplaced: packer.unplacedItems,
       utilization: this.calculateUtilization(packedItems),
       warnings: this.validateCuboidalPacking(packedItems)
     };
   }
 
   // Pack cylindrical items with specialized algorithm
-  packCylindricalItems(orders, existingPlan = null) {
+  packCylindricalItems(orders, existingPlan = null, dimensions = this.vehicle.dimensions, constraintsEngine = this.constraintsEngine) {
     const cylindricalPacker = new CylindricalPacker(
-      this.vehicle.dimensions,
-      existingPlan
+      dimensions,
+      existingPlan,
+      constraintsEngine,
+      { fillOrder: this.getFillOrder(), random: this.random }
     );
     
     const packedItems = cylindricalPacker.packItems(orders);
 
     return {
       items: packedItems,
+      unplaced: cylindricalPacker.unplacedItems,
       utilization: this.calculateUtilization(packedItems),
       warnings: this.validateCylindricalPacking(packedItems)
     };
@@ -86,6 +384,7 @@ export class LoadOptimizer {
   // Merge packing plans
   mergePlan(mainPlan, subPlan) {
     mainPlan.items.push(...subPlan.items);
+    mainPlan.unplaced.push(...(subPlan.unplaced || []));
     mainPlan.warnings.push(...subPlan.warnings);
     
     // Recalculate totals
@@ -127,13 +426,8 @@ export class LoadOptimizer {
 
     // Check axle load distribution
     const axleCheck = this.validateAxleLoads(loadPlan);
-    if (!axleCheck.valid) {
-      loadPlan.warnings.push({
-        type: 'axle_load',
-        severity: 'medium',
-        message: axleCheck.message
-      });
-    }
+    loadPlan.axleLoads = axleCheck.axleLoads;
+    loadPlan.warnings.push(...axleCheck.warnings);
 
     // Check stacking compliance
     const stackingCheck = this.validateStackingRules(loadPlan);
@@ -147,13 +441,8 @@ export class LoadOptimizer {
 
     // Check loading sequence feasibility
     const sequenceCheck = this.validateLoadingSequence(loadPlan);
-    if (!sequenceCheck.valid) {
-      loadPlan.warnings.push({
-        type: 'loading_sequence',
-        severity: 'medium',
-        message: sequenceCheck.message
-      });
-    }
+    loadPlan.blockers = sequenceCheck.blockers;
+    loadPlan.warnings.push(...sequenceCheck.warnings);
   }
 
   // Optimize loading sequence based on delivery order
@@ -182,27 +471,32 @@ export class LoadOptimizer {
 
   // LIFO arrangement
   arrangeLIFO(items) {
-    return items.sort((a, b) => {
-      // Items to be delivered first should be loaded last (higher Y position)
+    return [...items].sort((a, b) => {
+      // Items to be delivered first should be loaded last (nearest the door)
       const deliveryOrderA = this.getDeliveryOrder(a);
       const deliveryOrderB = this.getDeliveryOrder(b);
-      return deliveryOrderA - deliveryOrderB;
+      return (deliveryOrderB - deliveryOrderA) || this.compareLoadingPosition(a, b);
     });
   }
 
   // FIFO arrangement
   arrangeFIFO(items) {
-    return items.sort((a, b) => {
-      // Items to be delivered first should be loaded first (lower Y position)
+    return [...items].sort((a, b) => {
+      // Items to be delivered first should be loaded first
       const deliveryOrderA = this.getDeliveryOrder(a);
       const deliveryOrderB = this.getDeliveryOrder(b);
-      return deliveryOrderB - deliveryOrderA;
+      return (deliveryOrderA - deliveryOrderB) || this.compareLoadingPosition(a, b);
     });
   }
 
+  // Physical loading order within a stop: deepest first, then bottom-up
+  compareLoadingPosition(a, b) {
+    return ((a.position?.x ?? 0) - (b.position?.x ?? 0)) || ((a.position?.y ?? 0) - (b.position?.y ?? 0));
+  }
+
   // Route-based arrangement
   arrangeByRoute(items) {
-    return items.sort((a, b) => {
+    return [...items].sort((a, b) => {
       if (a.route !== b.route) {
         return a.route.localeCompare(b.route);
       }
@@ -212,14 +506,15 @@ export class LoadOptimizer {
 
   // Weight-based arrangement
   arrangeByWeight(items) {
-    return items.sort((a, b) => (b.weight * b.quantity) - (a.weight * a.quantity));
+    return [...items].sort((a, b) => (b.weight * b.quantity) - (a.weight * a.quantity));
   }
 
-  // Get delivery order (simplified)
+  // Get delivery order: index of the item's stop in the vehicle's stop sequence (0 = first drop).
+  // Items with no known stop are treated as the last drop; pallets hold a single stop's cargo.
   getDeliveryOrder(item) {
-    // This would be based on actual route optimization
-    // For now, use a simple hash of the delivery location
-    return item.delivery ? item.delivery.length : 0;
+    const orderId = item.orderId || item.contents?.[0]?.orderId || item.id;
+    const stopIndex = this.stopIndexByOrderId?.[orderId];
+    return stopIndex ?? (this.stops?.length || 0);
   }
 
   // Calculate center of gravity
@@ -271,41 +566,89 @@ export class LoadOptimizer {
     return { valid: true };
   }
 
-  // Validate axle load distribution
+  // Validate axle loads against each axle's legal limit and the constraints'
+  // maxAxleLoad, whichever is lower, and keep enough weight on the steering axle
   validateAxleLoads(loadPlan) {
-    const frontAxleWeight = this.calculateAxleWeight(loadPlan.items, 'front');
-    const rearAxleWeight = this.calculateAxleWeight(loadPlan.items, 'rear');
-    const totalWeight = frontAxleWeight + rearAxleWeight;
+    const axleLoads = this.calculateAxleLoads(loadPlan.items);
+    const warnings = [];
 
-    // Typical truck axle weight distribution: 30% front, 70% rear
-    const frontPercentage = (frontAxleWeight / totalWeight) * 100;
-    const rearPercentage = (rearAxleWeight / totalWeight) * 100;
+    axleLoads.forEach(axle => {
+      if (axle.maxLoad !== null && axle.totalLoad > axle.maxLoad) {
+        warnings.push({
+          type: 'axle_overload',
+          severity: 'high',
+          axleId: axle.id,
+          message: `${axle.name} axle load ${Math.round(axle.totalLoad)}kg exceeds limit of ${axle.maxLoad}kg by ${Math.round(axle.totalLoad - axle.maxLoad)}kg`
+        });
+      }
+    });
 
-    if (frontPercentage < 20 || frontPercentage > 40) {
-      return {
-        valid: false,
-        message: `Front axle load ${frontPercentage.toFixed(1)}% is outside acceptable range (20-40%)`
-      };
+    // Typical trucks need at least 20% of gross weight on the front axle to steer safely
+    const grossWeight = axleLoads.reduce((sum, axle) => sum + axle.totalLoad, 0);
+    const frontPercentage = grossWeight > 0 ? (axleLoads[0].totalLoad / grossWeight) * 100 : 0;
+    if (loadPlan.items.length > 0 && frontPercentage < 20) {
+      warnings.push({
+        type: 'axle_load',
+        severity: 'medium',
+        axleId: axleLoads[0].id,
+        message: `Front axle carries ${frontPercentage.toFixed(1)}% of gross weight, below the 20% needed for steering`
+      });
     }
 
-    return { valid: true };
+    return { valid: warnings.length === 0, axleLoads, warnings };
   }
 
-  // Calculate axle weight
-  calculateAxleWeight(items, axle) {
+  // Axle geometry for the vehicle. Types without an axle configuration fall back
+  // to two axles at 20% and 80% of the body with no tare load or legal limit.
+  getAxleConfig() {
+    if (this.vehicle.axles?.length >= 2) {
+      return this.vehicle.axles;
+    }
+
     const vehicleLength = this.vehicle.dimensions.length;
-    const axlePosition = axle === 'front' ? vehicleLength * 0.2 : vehicleLength * 0.8;
+    return [
+      { id: 'front', name: 'Front', position: vehicleLength * 0.2, tareLoad: 0 },
+      { id: 'rear', name: 'Rear', position: vehicleLength * 0.8, tareLoad: 0 }
+    ];
+  }
+
+  // Axle loads by static moment balance about the front axle. Rear axles act as one
+  // support at their mean position and share its reaction evenly, like a tandem bogie.
+  // Cargo loads always sum to the total cargo weight.
+  calculateAxleLoads(items) {
+    const [frontAxle, ...rearAxles] = this.getAxleConfig();
+    const rearPosition = rearAxles.reduce((sum, axle) => sum + axle.position, 0) / rearAxles.length;
+    const wheelbase = rearPosition - frontAxle.position;
+
+    let frontCargo = 0;
+    let rearCargo = 0;
+    items.forEach(item => {
+      if (!item.position) return;
 
-    return items.reduce((weight, item) => {
-      if (!item.position) return weight;
-      
       const itemWeight = item.weight * item.quantity;
-      const distanceFromAxle = Math.abs(item.position.x - axlePosition);
-      
-      // Weight distribution based on distance from axle
-      const weightFactor = Math.max(0, 1 - (distanceFromAxle / vehicleLength));
-      return weight + (itemWeight * weightFactor);
-    }, 0);
+      const bounds = this.getItemBounds(item);
+      const centreX = (bounds.minX + bounds.maxX) / 2;
+      const rearShare = itemWeight * (centreX - frontAxle.position) / wheelbase;
+
+      rearCargo += rearShare;
+      frontCargo += itemWeight - rearShare;
+    });
+
+    const axleLimit = this.constraints.maxAxleLoad;
+    return [frontAxle, ...rearAxles].map((axle, index) => {
+      const cargoLoad = index === 0 ? frontCargo : rearCargo / rearAxles.length;
+      const limits = [axle.maxLoad, axleLimit].filter(limit => limit > 0);
+
+      return {
+        id: axle.id,
+        name: axle.name || axle.id,
+        position: axle.position,
+        tareLoad: axle.tareLoad || 0,
+        cargoLoad,
+        totalLoad: (axle.tareLoad || 0) + cargoLoad,
+        maxLoad: limits.length > 0 ? Math.min(...limits) : null
+      };
+    });
   }
 
   // Validate stacking rules
@@ -323,11 +666,83 @@ export class LoadOptimizer {
     return { valid: true };
   }
 
-  // Validate loading sequence
+  // Validate loading sequence: at each stop, every item for that stop must come out
+  // through the rear door without moving cargo for later stops. A later-stop item
+  // blocks when it rests above the item or sits in its path to the door.
   validateLoadingSequence(loadPlan) {
-    // Check if loading sequence is physically possible
-    // This is a simplified check
-    return { valid: true };
+    const placedItems = loadPlan.items.filter(item => item.position);
+    const bounds = new Map(placedItems.map(item => [item, this.getItemBounds(item)]));
+    const blockersById = {};
+
+    placedItems.forEach(item => {
+      const itemStop = this.getDeliveryOrder(item);
+      const itemBounds = bounds.get(item);
+
+      placedItems.forEach(other => {
+        const otherStop = this.getDeliveryOrder(other);
+        // Compartments are unloaded through their own doors
+        if (otherStop <= itemStop || other.compartmentId !== item.compartmentId) return;
+
+        const otherBounds = bounds.get(other);
+        const overlapsX = otherBounds.minX < itemBounds.maxX && otherBounds.maxX > itemBounds.minX;
+        const overlapsY = otherBounds.minY < itemBounds.maxY && otherBounds.maxY > itemBounds.minY;
+        const overlapsZ = otherBounds.minZ < itemBounds.maxZ && otherBounds.maxZ > itemBounds.minZ;
+
+        let relation = null;
+        if (otherBounds.minY >= itemBounds.maxY && overlapsX && overlapsZ) {
+          relation = 'above';
+        } else if (otherBounds.minX >= itemBounds.maxX && overlapsY && overlapsZ) {
+          relation = 'door_path';
+        }
+        if (!relation) return;
+
+        if (!blockersById[other.id]) {
+          blockersById[other.id] = {
+            itemId: other.id,
+            orderId: other.orderId || other.id,
+            stop: otherStop + 1,
+            blocks: []
+          };
+        }
+        blockersById[other.id].blocks.push({
+          itemId: item.id,
+          orderId: item.orderId || item.id,
+          stop: itemStop + 1,
+          relation
+        });
+      });
+    });
+
+    const blockers = Object.values(blockersById);
+    return {
+      valid: blockers.length === 0,
+      blockers,
+      warnings: blockers.map(blocker => {
+        const blockedStops = [...new Set(blocker.blocks.map(blocked => blocked.stop))].join(', ');
+        const blockedItems = blocker.blocks
+          .map(blocked => `${blocked.itemId} (${blocked.relation === 'above' ? 'above' : 'in door path'})`)
+          .join(', ');
+        return {
+          type: 'loading_sequence',
+          severity: 'medium',
+          itemId: blocker.itemId,
+          message: `${blocker.itemId} for stop ${blocker.stop} must be moved to unload stop ${blockedStops}: ${blockedItems}`
+        };
+      })
+    };
+  }
+
+  // Axis-aligned bounds of a placed item in millimetres
+  getItemBounds(item) {
+    const dims = this.constraintsEngine.getItemDimensions(item);
+    return {
+      minX: item.position.x,
+      maxX: item.position.x + dims.length,
+      minY: item.position.y,
+      maxY: item.position.y + dims.height,
+      minZ: item.position.z,
+      maxZ: item.position.z + dims.width
+    };
   }
 
   // Validate cuboidal packing
@@ -335,11 +750,12 @@ export class LoadOptimizer {
     const warnings = [];
     
     items.forEach(item => {
-      if (item.weight > 50 && item.position?.y > 1000) {
+      const unitWeight = item.unitWeight ?? item.weight;
+      if (unitWeight > 50 && item.position?.y > 1000) {
         warnings.push({
           type: 'heavy_item_high',
           severity: 'medium',
-          message: `Heavy item ${item.id} (${item.weight}kg) placed at high position`
+          message: `Heavy item ${item.id} (${unitWeight}kg) placed at high position`
         });
       }
     });
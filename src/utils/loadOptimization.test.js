@@ -0,0 +1,81 @@
+/**
+ * Test file for the load optimizer
+ */
+
+import { LoadOptimizer } from './loadOptimization.js';
+import { check, body, crate } from './testHelpers.js';
+import { vehicleTypes } from '../data/mockData.js';
+
+const cartons = { materialType: 'cuboidal', weight: 25, stackable: true, dimensions: { length: 600, width: 400, height: 300 } };
+const drums = { id: 'SO002', materialType: 'cylindrical', weight: 15, dimensions: { diameter: 500, height: 800 } };
+
+// Unloading stop by stop
+console.log('Testing unloading simulation...');
+const unloadingOptimizer = new LoadOptimizer({ id: 'T1', dimensions: body, maxWeight: 10000, volume: 36 });
+const unloadingSteps = unloadingOptimizer.simulateUnloading({
+  stops: [{ location: 'A', orderIds: ['SO1'] }, { location: 'B', orderIds: ['SO2'] }],
+  items: [
+    { ...crate('SO1_U1', { x: 0, y: 0, z: 0 }), orderId: 'SO1' },
+    { ...crate('SO2_U1', { x: 1000, y: 0, z: 0 }), orderId: 'SO2' }
+  ]
+});
+check('SO2 in the door path to be moved aside at stop 1', 'SO2_U1', unloadingSteps[0].rehandleIds.join(','));
+check('remaining after stop 1', 'SO2_U1, 20 kg', `${unloadingSteps[0].remainingIds.join(',')}, ${unloadingSteps[0].remainingWeight} kg`);
+check('nothing left after stop 2', 0, unloadingSteps[1].remainingIds.length);
+
+// Cylinder orders are packed drum by drum and only placed drums count as placed
+console.log('\nTesting cylinder units...');
+const drumOptimizer = new LoadOptimizer({ id: 'T2', dimensions: { length: 1000, width: 1000, height: 1000 }, maxWeight: 5000, volume: 1 });
+const drumPlan = drumOptimizer.optimizeLoad([{ ...drums, quantity: 30 }]);
+const drumSummary = drumPlan.unitSummary[0];
+check('one placed item per placed drum and 30 drums accounted for', 'true, 30',
+  `${drumPlan.items.length === drumSummary.placed}, ${drumSummary.placed + drumSummary.unplaced}`);
+check('the 4 Ø500 mm drums a 1 m × 1 m floor holds placed, the other 26 unplaced', '4 placed, 26 unplaced',
+  `${drumSummary.placed} placed, ${drumSummary.unplaced} unplaced`);
+const floorDrumPlan = new LoadOptimizer({ id: 'T3', dimensions: body, maxWeight: 5000, volume: 36 }).optimizeLoad([{ ...drums, quantity: 30 }]);
+check('all 30 drums on separate floor positions of a 6 m body', '30/30, 30 positions',
+  `${floorDrumPlan.unitSummary[0].placed}/${floorDrumPlan.unitSummary[0].ordered}, ` +
+  `${new Set(floorDrumPlan.items.map(item => `${item.position.x},${item.position.z}`)).size} positions`);
+
+// Axle loads by moment balance about the axles, checked against each axle's limit
+console.log('\nTesting axle loads...');
+const aceOptimizer = new LoadOptimizer(vehicleTypes.find(vt => vt.id === 'TATA_ACE'));
+const rearBlock = (weight) => ({ id: 'SO970_U1', materialType: 'cuboidal', weight, quantity: 1, dimensions: { length: 500, width: 1500, height: 500 }, position: { x: 1550, y: 0, z: 0 } });
+check('350 kg behind the rear axle to load the rear by 418 kg and lift the front by 68 kg', 'front -68, rear 418',
+  aceOptimizer.validateAxleLoads({ items: [rearBlock(350)] }).axleLoads.map(axle => `${axle.id} ${Math.round(axle.cargoLoad)}`).join(', '));
+check('700 kg there to overload the rear axle (1100 kg limit)', 'axle_overload on rear',
+  aceOptimizer.validateAxleLoads({ items: [rearBlock(700)] }).warnings
+    .filter(warning => warning.type === 'axle_overload').map(warning => `${warning.type} on ${warning.axleId}`).join(','));
+
+// Stops follow the drop point sequence and the last stop is loaded deepest
+console.log('\nTesting delivery sequencing...');
+const stopCartons = (id, delivery) => ({ ...cartons, id, delivery, quantity: 8 });
+const sequencedOrders = [stopCartons('SO990', 'Pune'), stopCartons('SO991', 'Nashik'), stopCartons('SO992', 'Pune')];
+const sequencedDropPoints = [
+  { id: 'DP2', location: 'Nashik', sequence: 2, orders: [sequencedOrders[1]] },
+  { id: 'DP1', location: 'Pune', sequence: 1, orders: [sequencedOrders[0], sequencedOrders[2]] }
+];
+const sequencingOptimizer = new LoadOptimizer({ id: 'T4', dimensions: body, maxWeight: 10000, volume: 36 });
+check('stops in drop point sequence', 'Pune (SO990+SO992), Nashik (SO991)',
+  sequencingOptimizer.buildStopSequence(sequencedOrders, sequencedDropPoints)
+    .map(stop => `${stop.location} (${stop.orderIds.join('+')})`).join(', '));
+const sequencedPlan = sequencingOptimizer.optimizeLoad(sequencedOrders, { dropPoints: sequencedDropPoints });
+const frontmostX = (orderId) => Math.min(...sequencedPlan.items.filter(item => item.orderId === orderId).map(item => item.position.x));
+check('the last stop against the bulkhead and the first stop behind it', 'Nashik at 0, Pune from 600',
+  `Nashik at ${frontmostX('SO991')}, Pune from ${Math.min(frontmostX('SO990'), frontmostX('SO992'))}`);
+
+// A later-stop item blocks an earlier drop when it sits on top or between it and the door
+console.log('\nTesting unloading blockage...');
+const blockageOptimizer = new LoadOptimizer({ id: 'T5', dimensions: body, maxWeight: 10000, volume: 36 });
+blockageOptimizer.useStops([{ location: 'A', orderIds: ['SO1'] }, { location: 'B', orderIds: ['SO2'] }]);
+const firstDrop = { ...crate('SO1_U1', { x: 5000, y: 0, z: 0 }), orderId: 'SO1' };
+const blockage = blockageOptimizer.validateLoadingSequence({
+  items: [firstDrop, { ...crate('SO2_U1', { x: 5000, y: 600, z: 0 }), orderId: 'SO2' }]
+});
+check('a stop 2 crate stacked on a stop 1 crate to block it', 'SO2_U1 above SO1_U1',
+  blockage.blockers.map(blocker => `${blocker.itemId} ${blocker.blocks.map(b => `${b.relation} ${b.itemId}`).join(',')}`).join('; '));
+check('a stop 2 crate deeper in the body to leave the way out clear', true, blockageOptimizer.validateLoadingSequence({
+  items: [firstDrop, { ...crate('SO2_U1', { x: 0, y: 0, z: 0 }), orderId: 'SO2' }]
+}).valid);
+
+console.log('\nAll tests completed!');
@@ -0,0 +1,165 @@
+/**
+ * Load Snapshots
+ * Renders a vehicle's load plan to still images (PNG data URLs) for printed
+ * documents, without the interactive 3D view. Items are drawn at their load plan
+ * positions and coloured by delivery stop.
+ */
+
+import * as THREE from 'three';
+import { getPlacedDimensions } from './binPacking.js';
+
+// One colour per delivery stop, repeating after the last
+export const STOP_COLORS = ['#2563EB', '#16A34A', '#EA580C', '#9333EA', '#DC2626', '#0891B2', '#CA8A04', '#DB2777'];
+
+export const getStopColor = (stopIndex = 0) => STOP_COLORS[stopIndex % STOP_COLORS.length];
+
+// Width-to-height ratio of each view's image
+export const SNAPSHOT_VIEWS = {
+  isometric: { aspect: 2 },
+  top: { aspect: 4 },
+  side: { aspect: 4 }
+};
+
+const WEDGE_COLOR = '#92400E';
+const BODY_COLOR = '#374151';
+
+// Scene in metres with the body centred on the origin and its floor at y = 0
+const buildLoadScene = (loadPlan, body) => {
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color('#FFFFFF');
+  scene.add(new THREE.AmbientLight('#FFFFFF', 0.7));
+  const sun = new THREE.DirectionalLight('#FFFFFF', 0.6);
+  sun.position.set(3, 10, 6);
+  scene.add(sun);
+
+  const toScene = (position, dims) => new THREE.Vector3(
+    (position.x + dims.length / 2 - body.length / 2) / 1000,
+    (position.y + dims.height / 2) / 1000,
+    (position.z + dims.width / 2 - body.width / 2) / 1000
+  );
+
+  const addBox = (dims, position, color, outlined = true) => {
+    const geometry = new THREE.BoxGeometry(dims.length / 1000, dims.height / 1000, dims.width / 1000);
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color }));
+    mesh.position.copy(position);
+    scene.add(mesh);
+    if (outlined) {
+      const edges = new THREE.LineSegments(new THREE.EdgesGeometry(geometry), new THREE.LineBasicMaterial({ color: '#111827' }));
+      edges.position.copy(position);
+      scene.add(edges);
+    }
+  };
+
+  // Floor and the outline of the body
+  const floor = new THREE.Mesh(
+    new THREE.BoxGeometry(body.length / 1000, 0.02, body.width / 1000),
+    new THREE.MeshLambertMaterial({ color: '#E5E7EB' })
+  );
+  floor.position.y = -0.01;
+  scene.add(floor);
+  const outline = new THREE.LineSegments(
+    new THREE.EdgesGeometry(new THREE.BoxGeometry(body.length / 1000, body.height / 1000, body.width / 1000)),
+    new THREE.LineBasicMaterial({ color: BODY_COLOR })
+  );
+  outline.position.y = body.height / 2000;
+  scene.add(outline);
+
+  (loadPlan?.items || []).filter(item => item.position).forEach(item => {
+    const dims = getPlacedDimensions(item);
+    const color = getStopColor(item.deliveryStop);
+
+    if (item.materialType === 'cylindrical') {
+      const radius = item.dimensions.diameter / 2000;
+      const mesh = new THREE.Mesh(
+        new THREE.CylinderGeometry(radius, radius, item.dimensions.height / 1000, 24),
+        new THREE.MeshLambertMaterial({ color })
+      );
+      mesh.position.copy(toScene(item.position, dims));
+      // Horizontal cylinders lie with their axis along the body length
+      if (item.orientation === 'horizontal') mesh.rotation.z = Math.PI / 2;
+      scene.add(mesh);
+    } else {
+      addBox(dims, toScene(item.position, dims), color);
+    }
+
+    // Wedge positions mark each wedge's centre on the floor
+    (item.supportStructure || []).forEach(wedge => {
+      addBox(wedge.dimensions, new THREE.Vector3(
+        (wedge.position.x - body.length / 2) / 1000,
+        (wedge.position.y + wedge.dimensions.height / 2) / 1000,
+        (wedge.position.z - body.width / 2) / 1000
+      ), WEDGE_COLOR, false);
+    });
+  });
+
+  return scene;
+};
+
+// Orthographic camera framing the body from one side; length runs left to right in every view
+const createCamera = (view, body, aspect) => {
+  const length = body.length / 1000;
+  const width = body.width / 1000;
+  const height = body.height / 1000;
+  const distance = (length + width + height) * 2;
+
+  let halfWidth;
+  const camera = new THREE.OrthographicCamera();
+  if (view === 'top') {
+    halfWidth = Math.max(length / 2, (width / 2) * aspect);
+    camera.position.set(0, distance, 0);
+    camera.up.set(0, 0, -1);
+  } else if (view === 'side') {
+    halfWidth = Math.max(length / 2, (height / 2) * aspect);
+    camera.position.set(0, height / 2, distance);
+  } else {
+    // From above the rear corner, so the door end faces the reader
+    halfWidth = Math.hypot(length, width, height) / 2;
+    camera.position.set(distance, distance * 0.8, distance);
+  }
+  halfWidth *= 1.08;
+  const halfHeight = halfWidth / aspect;
+
+  camera.left = -halfWidth;
+  camera.right = halfWidth;
+  camera.top = halfHeight;
+  camera.bottom = -halfHeight;
+  camera.near = 0.1;
+  camera.far = distance * 4;
+  camera.lookAt(0, view === 'side' ? height / 2 : 0, 0);
+  camera.updateProjectionMatrix();
+  return camera;
+};
+
+/**
+ * Render each vehicle's load from every snapshot view
+ * @returns {Object|null} - { [vehicleId]: { [view]: dataUrl } }, or null when WebGL is unavailable
+ */
+export const renderLoadSnapshots = (vehicles, defaultBody, width = 1200) => {
+  let renderer;
+  try {
+    renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+  } catch (error) {
+    console.warn('Load snapshots need WebGL:', error);
+    return null;
+  }
+
+  const snapshots = {};
+  vehicles.forEach(vehicle => {
+    const body = vehicle.vehicleType?.dimensions || defaultBody;
+    const scene = buildLoadScene(vehicle.loadPlan, body);
+    snapshots[vehicle.id] = {};
+    Object.entries(SNAPSHOT_VIEWS).forEach(([view, { aspect }]) => {
+      renderer.setSize(width, Math.round(width / aspect), false);
+      renderer.render(scene, createCamera(view, body, aspect));
+      snapshots[vehicle.id][view] = renderer.domElement.toDataURL('image/png');
+    });
+    scene.traverse(object => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+  });
+
+  renderer.dispose();
+  renderer.forceContextLoss();
+  return snapshots;
+};
@@ -0,0 +1,102 @@
+/**
+ * Loading Instructions
+ * Turns a load plan into the numbered steps the loading crew follows. Steps keep
+ * the order of loadPlan.items, which LoadOptimizer.optimizeLoadSequence sets from
+ * the plan's loading sequence. Places are named as a loader sees them from the
+ * rear door looking in: the front is the bulkhead (x = 0), the rear is the door,
+ * and the right is the z = 0 side.
+ */
+
+import { getPlacedDimensions } from './binPacking.js';
+import { escapeHtml, openPrintWindow } from './printWindow.js';
+
+const ITEM_KINDS = {
+  cuboidal: 'carton',
+  cylindrical: 'cylinder'
+};
+
+// Cuboid orientation codes by which of the item's own sides ends up vertical
+const ORIENTATION_LABELS = {
+  LWH: 'upright',
+  WLH: 'upright, turned 90°',
+  LHW: 'on its side',
+  HLW: 'on its side, turned 90°',
+  WHL: 'on its end',
+  HWL: 'on its end, turned 90°'
+};
+
+// Which third of the body an item's centre falls in, along or across it
+const getZone = (start, size, extent, [low, middle, high]) => {
+  const centre = (start + size / 2) / extent;
+  if (centre < 1 / 3) return low;
+  if (centre > 2 / 3) return high;
+  return middle;
+};
+
+/**
+ * What is loaded in a step, e.g. "SO0043 carton ×12" or "pallet PAL001 (SO0043 ×12, SO0051 ×4)"
+ */
+export const describeLoadingItem = (item) => {
+  if (item.isPallet) {
+    const contents = (item.contents || []).map(entry => `${entry.orderId} ×${entry.units}`).join(', ');
+    return `pallet ${item.palletId || item.id}${contents ? ` (${contents})` : ''}`;
+  }
+  const count = item.unitCount ?? item.quantity ?? 1;
+  return `${item.orderId || item.id} ${ITEM_KINDS[item.materialType] || 'item'} ×${count}`;
+};
+
+/**
+ * Where an item goes, e.g. "rear-left floor" or "front-right on top at 600 mm"
+ */
+export const describeLoadingPosition = (item, body) => {
+  const dims = getPlacedDimensions(item);
+  const along = getZone(item.position.x, dims.length, body.length, ['front', 'centre', 'rear']);
+  const across = getZone(item.position.z, dims.width, body.width, ['right', 'centre', 'left']);
+  const area = along === 'centre' && across === 'centre' ? 'centre' : `${along}-${across}`;
+  const level = item.position.y < 1 ? 'floor' : `on top at ${Math.round(item.position.y)} mm`;
+  return `${area} ${level}`;
+};
+
+export const describeOrientation = (item) => {
+  if (item.materialType === 'cylindrical') {
+    return item.orientation === 'horizontal' ? 'lying along the length' : 'standing';
+  }
+  return ORIENTATION_LABELS[item.rotation || 'LWH'] || item.rotation;
+};
+
+/**
+ * Numbered loading steps for one vehicle's load plan
+ * @returns {Array} - [{ step, itemId, item, stop, text }]
+ */
+export const getLoadingSteps = (loadPlan, body) => (loadPlan?.items || [])
+  .filter(item => item.position)
+  .map((item, index) => ({
+    step: index + 1,
+    itemId: item.id,
+    item,
+    stop: (item.deliveryStop ?? 0) + 1,
+    text: `${describeLoadingItem(item)}, place at ${describeLoadingPosition(item, body)}, orientation ${describeOrientation(item)}`
+  }));
+
+/**
+ * Open a printable numbered loading list for the given vehicles of a plan
+ */
+export const printLoadingInstructions = (planData, vehicles, defaultBody) => {
+  const sections = vehicles.map(vehicle => {
+    const body = vehicle.vehicleType?.dimensions || defaultBody;
+    const steps = getLoadingSteps(vehicle.loadPlan, body);
+    const rows = steps.map(step => `<li>${escapeHtml(step.text)} <span class="stop">(stop ${step.stop})</span></li>`).join('');
+    return `
+      <h2>${escapeHtml(vehicle.id)} · ${escapeHtml(vehicle.vehicleType?.name || vehicle.name || '')}</h2>
+      ${steps.length > 0 ? `<ol>${rows}</ol>` : '<p>No load plan for this vehicle.</p>'}`;
+  }).join('');
+
+  openPrintWindow(
+    `Loading instructions · ${planData.id}`,
+    `<p>Load in the order listed. Front is the bulkhead, rear is the door; left and right as seen from the door looking in.</p>
+    ${sections}`,
+    `
+      li { padding: 3px 0; }
+      .stop { color: #6b7280; }`
+  );
+};
@@ -0,0 +1,19 @@
+/**
+ * Test file for loading instructions
+ */
+
+import { getLoadingSteps } from './loadingInstructions.js';
+import { check, body, crate } from './testHelpers.js';
+
+// Loading steps follow the load plan's item order
+console.log('Testing loading instructions...');
+const loadingSteps = getLoadingSteps({
+  items: [
+    { ...crate('SO0043_U1', { x: 5000, y: 0, z: 1600 }), orderId: 'SO0043', unitCount: 12, rotation: 'LWH' },
+    { ...crate('SO0051_U1', { x: 0, y: 600, z: 0 }), orderId: 'SO0051', unitCount: 2, rotation: 'LHW' }
+  ]
+}, body);
+check('first step', 'SO0043 carton ×12, place at rear-left floor, orientation upright', loadingSteps[0].text);
+check('second step', 'SO0051 carton ×2, place at front-right on top at 600 mm, orientation on its side', loadingSteps[1].text);
+
+console.log('\nAll tests completed!');
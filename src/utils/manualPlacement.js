@@ -0,0 +1,97 @@
+/**
+ * Manual Placement
+ * Moving and rotating packed items by hand. Positions use the packers' frame:
+ * millimetres from the front-left floor corner of the body (x along length,
+ * y up, z across width). A moved item drops onto the floor or the highest
+ * item under it, and snaps to walls and neighbouring faces within reach.
+ */
+
+import { ORIENTATIONS } from './binPacking.js';
+
+// How close (mm) an item must come to a wall or a neighbour's face to snap to it
+export const SNAP_DISTANCE = 100;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), Math.max(min, max));
+
+// Closest candidate within snapDistance of value, or value itself
+const snapToCandidates = (value, candidates, snapDistance) => {
+  const nearest = candidates.reduce((best, candidate) =>
+    (Math.abs(candidate - value) < Math.abs(best - value) ? candidate : best), Infinity);
+  return Math.abs(nearest - value) <= snapDistance ? nearest : value;
+};
+
+/**
+ * Where an item dragged to (x, z) comes to rest: clamped inside the body, snapped to
+ * walls and neighbouring faces, and dropped onto the highest surface beneath it.
+ * constraintsEngine supplies item dimensions; otherItems excludes the item itself.
+ * @returns {Object} - { x, y, z }
+ */
+export const snapPlacement = (item, { x, z }, otherItems, body, constraintsEngine, snapDistance = SNAP_DISTANCE) => {
+  const dims = constraintsEngine.getItemDimensions(item);
+  const others = otherItems
+    .filter(other => other.position)
+    .map(other => constraintsEngine.getBounds(other, other.position));
+
+  // Flush against a wall, or against either face of a neighbour, or aligned with it
+  const xCandidates = [0, body.length - dims.length, ...others.flatMap(other =>
+    [other.maxX, other.minX - dims.length, other.minX, other.maxX - dims.length])];
+  const zCandidates = [0, body.width - dims.width, ...others.flatMap(other =>
+    [other.maxZ, other.minZ - dims.width, other.minZ, other.maxZ - dims.width])];
+
+  const snappedX = clamp(snapToCandidates(x, xCandidates, snapDistance), 0, body.length - dims.length);
+  const snappedZ = clamp(snapToCandidates(z, zCandidates, snapDistance), 0, body.width - dims.width);
+
+  // Rest on the floor or the tallest item under the footprint
+  const y = others
+    .filter(other =>
+      other.minX < snappedX + dims.length - 1 && other.maxX > snappedX + 1 &&
+      other.minZ < snappedZ + dims.width - 1 && other.maxZ > snappedZ + 1
+    )
+    .reduce((top, other) => Math.max(top, other.maxY), 0);
+
+  return { x: snappedX, y, z: snappedZ };
+};
+
+/**
+ * Turn a cuboid a quarter turn about the vertical axis. Unit blocks keep their stacked height.
+ * Cylinders are returned unchanged.
+ */
+export const rotateItem = (item) => {
+  if (item.materialType !== 'cuboidal') return item;
+
+  // Swapping the first two letters swaps what lies along the length and the width
+  const [first, second, third] = item.rotation || 'LWH';
+  const rotation = `${second}${first}${third}`;
+
+  return {
+    ...item,
+    rotation: ORIENTATIONS[rotation] ? rotation : item.rotation,
+    dimensions: { ...item.dimensions, length: item.dimensions.width, width: item.dimensions.length }
+  };
+};
+
+/**
+ * Check a hand placement against every constraint, including collisions and real support
+ * @returns {Object} - validatePlacement result
+ */
+export const validateManualPlacement = (item, position, otherItems, constraintsEngine) =>
+  constraintsEngine.validatePlacement(item, position, otherItems, { strict: true });
+
+/**
+ * Move an item of a layout, marking it as hand placed. Wedges under a cylinder move with it.
+ * @returns {Array} - Updated items
+ */
+export const placeItem = (items, itemId, changes) => items.map(item => {
+  if (item.id !== itemId) return item;
+
+  const moved = { ...item, ...changes, manuallyPlaced: true };
+  if (item.supportStructure && item.position && changes.position) {
+    const dx = changes.position.x - item.position.x;
+    const dz = changes.position.z - item.position.z;
+    moved.supportStructure = item.supportStructure.map(support => ({
+      ...support,
+      position: { ...support.position, x: support.position.x + dx, z: support.position.z + dz }
+    }));
+  }
+  return moved;
+});
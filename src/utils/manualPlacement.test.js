@@ -0,0 +1,24 @@
+/**
+ * Test file for manual placement
+ */
+
+import { snapPlacement, validateManualPlacement } from './manualPlacement.js';
+import { ConstraintsEngine } from './constraintsEngine.js';
+import { check, body, crate } from './testHelpers.js';
+
+// Hand placement snaps to neighbours and is validated strictly
+console.log('Testing manual placement...');
+const placementEngine = new ConstraintsEngine({ dimensions: body, maxWeight: 25000 });
+const placedCrate = crate('C1', { x: 0, y: 0, z: 0 });
+check('crate dragged near C1 to snap against its face', '{"x":1000,"y":0,"z":0}',
+  JSON.stringify(snapPlacement(crate('C2'), { x: 1060, z: 40 }, [placedCrate], body, placementEngine)));
+check('crate dragged over C1 to rest on top of it', 600,
+  snapPlacement(crate('C2'), { x: 20, z: 20 }, [placedCrate], body, placementEngine).y);
+check('overlapping placement to be blocked', 'item_overlap',
+  validateManualPlacement(crate('C2'), { x: 500, y: 0, z: 0 }, [placedCrate], placementEngine)
+    .violations.map(violation => violation.type).join(','));
+check('half-supported placement to be blocked', 'insufficient_support',
+  validateManualPlacement(crate('C2'), { x: 500, y: 600, z: 0 }, [placedCrate], placementEngine)
+    .violations.filter(violation => violation.severity === 'high').map(violation => violation.type).join(','));
+
+console.log('\nAll tests completed!');
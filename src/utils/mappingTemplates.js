@@ -0,0 +1,77 @@
+/**
+ * Column Mapping Templates
+ * Named spreadsheet column mappings saved per customer in browser storage,
+ * so later imports from the same sender can reuse them.
+ */
+
+import { normalizeHeader } from './excelParser.js';
+
+const STORAGE_KEY = 'ftplanning.columnMappingTemplates';
+
+/**
+ * Load saved templates; returns an empty list when storage is unavailable
+ */
+export const loadMappingTemplates = () => {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.warn('Ignoring unreadable mapping templates:', error.message);
+    return [];
+  }
+};
+
+const storeMappingTemplates = (templates) => {
+  if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  }
+  return templates;
+};
+
+/**
+ * Save a mapping as a named template for a customer, replacing one with the same name and customer.
+ * Columns are stored by normalised header so the template survives column reordering.
+ * @returns {Array} - Updated template list
+ */
+export const saveMappingTemplate = ({ name, customer, headers, columnFields }) => {
+  const columns = {};
+  headers.forEach((header, index) => {
+    const key = normalizeHeader(header);
+    if (key) columns[key] = columnFields[index] || null;
+  });
+
+  const id = `${customer}::${name}`.toLowerCase();
+  const template = { id, name, customer, columns };
+  return storeMappingTemplates([
+    ...loadMappingTemplates().filter(existing => existing.id !== id),
+    template
+  ]);
+};
+
+/**
+ * Delete a template by id
+ * @returns {Array} - Updated template list
+ */
+export const deleteMappingTemplate = (templateId) =>
+  storeMappingTemplates(loadMappingTemplates().filter(template => template.id !== templateId));
+
+/**
+ * Find the template for a file's headers: every column of the template must be present.
+ * The template covering the most columns wins.
+ */
+export const findTemplateForHeaders = (templates, headers) => {
+  const fileHeaders = new Set(headers.map(normalizeHeader).filter(Boolean));
+
+  return templates
+    .filter(template => {
+      const templateHeaders = Object.keys(template.columns);
+      return templateHeaders.length > 0 && templateHeaders.every(header => fileHeaders.has(header));
+    })
+    .sort((a, b) => Object.keys(b.columns).length - Object.keys(a.columns).length)[0] || null;
+};
+
+/**
+ * Column fields for a file's headers from a template; unknown columns are left unmapped
+ */
+export const applyMappingTemplate = (template, headers) =>
+  headers.map(header => template.columns[normalizeHeader(header)] || null);
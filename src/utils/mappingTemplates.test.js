@@ -0,0 +1,17 @@
+/**
+ * Test file for column mapping templates
+ */
+
+import { findTemplateForHeaders, applyMappingTemplate } from './mappingTemplates.js';
+import { check } from './testHelpers.js';
+
+// A saved customer template applies by header, whatever the column order
+console.log('Testing mapping templates...');
+const customerTemplate = { id: 'acme::default', name: 'default', customer: 'acme', columns: { 'so ref': 'id', qty: 'quantity', 'gross wt': 'weight' } };
+const reorderedHeaders = ['Gross Wt (lbs)', 'Qty', 'SO Ref', 'Notes'];
+check('the template found for reordered columns', 'acme::default', findTemplateForHeaders([customerTemplate], reorderedHeaders)?.id);
+check('fields applied by header', 'weight, quantity, id, none',
+  applyMappingTemplate(customerTemplate, reorderedHeaders).map(field => field || 'none').join(', '));
+check('no template for a file missing one of its columns', null, findTemplateForHeaders([customerTemplate], ['Qty', 'SO Ref']));
+
+console.log('\nAll tests completed!');
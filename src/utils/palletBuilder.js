@@ -0,0 +1,181 @@
+/**
+ * Pallet Building Stage
+ * Groups cuboidal order units onto pallets before truck loading.
+ * Built pallets are packed onto the vehicle as single cuboidal units.
+ *
+ * Carton positions on a pallet use the BinPacker frame with the origin at the
+ * corner of the pallet deck's top surface.
+ */
+
+import { BinPacker } from './binPacking.js';
+import { ConstraintsEngine } from './constraintsEngine.js';
+
+// Standard pallet footprints; deckHeight and tareWeight describe the empty pallet
+export const PALLET_TYPES = {
+  STD_1200x1000: { id: 'STD_1200x1000', name: 'Standard 1200×1000', length: 1200, width: 1000, deckHeight: 150, tareWeight: 25 },
+  EUR_1200x800: { id: 'EUR_1200x800', name: 'Euro 1200×800', length: 1200, width: 800, deckHeight: 144, tareWeight: 25 }
+};
+
+// Default limits for a loaded pallet: total height including the deck, and cargo weight
+export const DEFAULT_PALLET_LIMITS = { maxHeight: 1800, maxWeight: 1000 };
+
+// Resolve palletisation settings (constraints.palletization) into a pallet spec.
+// palletType 'custom' takes length/width/deckHeight/tareWeight from the settings.
+export const resolvePalletSpec = (settings = {}) => {
+  const base = settings.palletType === 'custom'
+    ? {
+        id: 'custom',
+        name: `Custom ${settings.length}×${settings.width}`,
+        length: settings.length,
+        width: settings.width,
+        deckHeight: settings.deckHeight ?? 150,
+        tareWeight: settings.tareWeight ?? 25
+      }
+    : PALLET_TYPES[settings.palletType] || PALLET_TYPES.STD_1200x1000;
+
+  return {
+    ...base,
+    maxHeight: settings.maxHeight || DEFAULT_PALLET_LIMITS.maxHeight,
+    maxWeight: settings.maxWeight || DEFAULT_PALLET_LIMITS.maxWeight
+  };
+};
+
+export class PalletBuilder {
+  constructor(palletSpec, stackingRules = {}) {
+    this.pallet = palletSpec;
+    this.stackingRules = stackingRules;
+    this.deck = {
+      length: palletSpec.length,
+      width: palletSpec.width,
+      height: palletSpec.maxHeight - palletSpec.deckHeight
+    };
+    this.palletCount = 0;
+  }
+
+  // Build pallets for the given orders.
+  // Returns { pallets, looseItems }: looseItems are cylinders, orders marked
+  // palletize: false and any units too large or heavy for the pallet.
+  buildPallets(orders) {
+    const pallets = [];
+    const looseItems = [];
+
+    // Pallets never mix drops or temperature classes, so each one unloads at a single stop
+    const groups = {};
+    orders.forEach(order => {
+      if (order.materialType !== 'cuboidal' || order.palletize === false) {
+        looseItems.push(order);
+        return;
+      }
+
+      const key = `${order.deliveryStop ?? 0}|${order.temperatureRequirement || 'ambient'}`;
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(order);
+    });
+
+    Object.values(groups).forEach(groupOrders => {
+      const unitPacker = new BinPacker(this.deck);
+      // Turning a carton about its vertical axis never tips it, so pallets always
+      // allow it; full rotation still needs the orientationFlexibility rule
+      const tippable = Boolean(this.stackingRules.cuboidal?.orientationFlexibility);
+      let remainingUnits = groupOrders
+        .flatMap(order => unitPacker.expandOrderUnits(order))
+        .map(unit => (tippable ? unit : { ...unit, thisSideUp: true }));
+
+      while (remainingUnits.length > 0) {
+        const palletPacker = new BinPacker(this.deck, new ConstraintsEngine(
+          { dimensions: this.deck, maxWeight: this.pallet.maxWeight },
+          this.stackingRules
+        ), { allowRotation: true });
+        const cartons = palletPacker.packItems(remainingUnits);
+
+        // Whatever cannot go on an empty pallet travels loose
+        if (cartons.length === 0) {
+          looseItems.push(...remainingUnits);
+          break;
+        }
+
+        pallets.push(this.createPallet(cartons));
+        remainingUnits = palletPacker.unplacedItems.map(item => {
+          const unit = { ...item };
+          delete unit.unplacedReason;
+          return unit;
+        });
+      }
+    });
+
+    return { pallets, looseItems };
+  }
+
+  // Turn the cartons packed on one pallet into a packable pallet unit
+  createPallet(cartons) {
+    this.palletCount++;
+    const palletId = `PAL${this.palletCount.toString().padStart(3, '0')}`;
+    const first = cartons[0];
+
+    const loadHeight = Math.max(...cartons.map(carton => carton.position.y + carton.dimensions.height));
+    const cargoWeight = cartons.reduce((sum, carton) => sum + carton.weight * carton.quantity, 0);
+    const priorities = ['high', 'medium', 'low'];
+
+    const contents = {};
+    cartons.forEach(carton => {
+      const orderId = carton.orderId || carton.id;
+      if (!contents[orderId]) {
+        contents[orderId] = { orderId, doId: carton.doId, units: 0, weight: 0 };
+      }
+      contents[orderId].units += carton.unitCount ?? carton.quantity;
+      contents[orderId].weight += carton.weight * carton.quantity;
+    });
+
+    return {
+      id: palletId,
+      palletId,
+      isPallet: true,
+      palletType: this.pallet.id,
+      palletName: this.pallet.name,
+      materialType: 'cuboidal',
+      route: first.route,
+      delivery: first.delivery,
+      deliveryStop: first.deliveryStop,
+      temperatureRequirement: first.temperatureRequirement,
+      priority: priorities.find(priority => cartons.some(carton => carton.priority === priority)) || first.priority,
+      // A pallet is one unit: unitCount stops BinPacker from splitting it again
+      quantity: 1,
+      unitCount: 1,
+      stackable: false,
+      weight: this.pallet.tareWeight + cargoWeight,
+      dimensions: {
+        length: this.pallet.length,
+        width: this.pallet.width,
+        height: this.pallet.deckHeight + loadHeight
+      },
+      contents: Object.values(contents),
+      cartons: cartons.map(carton => ({
+        id: carton.id,
+        orderId: carton.orderId || carton.id,
+        unitCount: carton.unitCount ?? carton.quantity,
+        weight: carton.weight * carton.quantity,
+        rotation: carton.rotation,
+        dimensions: carton.dimensions,
+        position: carton.position
+      }))
+    };
+  }
+
+  // Build sheet for warehouse staff: what goes on a pallet and how
+  createBuildSheet(pallet) {
+    return {
+      palletId: pallet.palletId,
+      palletType: pallet.palletType,
+      palletName: pallet.palletName,
+      footprint: { length: pallet.dimensions.length, width: pallet.dimensions.width },
+      height: pallet.dimensions.height,
+      grossWeight: pallet.weight,
+      tareWeight: this.pallet.tareWeight,
+      deliveryStop: pallet.deliveryStop,
+      delivery: pallet.delivery,
+      temperatureRequirement: pallet.temperatureRequirement,
+      contents: pallet.contents,
+      cartons: pallet.cartons
+    };
+  }
+}
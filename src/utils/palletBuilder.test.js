@@ -0,0 +1,30 @@
+/**
+ * Test file for the pallet builder
+ */
+
+import { PalletBuilder, resolvePalletSpec } from './palletBuilder.js';
+import { check } from './testHelpers.js';
+
+// Cartons go onto pallets per stop and temperature class before truck loading
+console.log('Testing pallet building...');
+const palletCarton = (id, deliveryStop, quantity, temperatureRequirement) => ({
+  id, deliveryStop, quantity, temperatureRequirement,
+  materialType: 'cuboidal', weight: 25, stackable: true, dimensions: { length: 600, width: 400, height: 300 }
+});
+const builtPallets = new PalletBuilder(resolvePalletSpec({ palletType: 'EUR_1200x800' })).buildPallets([
+  palletCarton('SO1000', 0, 30),
+  palletCarton('SO1001', 1, 10),
+  palletCarton('SO1002', 0, 4, 'chilled'),
+  { ...palletCarton('SO1003', 0, 2), palletize: false }
+]);
+const palletUnits = (orderId) => builtPallets.pallets
+  .flatMap(pallet => pallet.contents).filter(content => content.orderId === orderId)
+  .reduce((sum, content) => sum + content.units, 0);
+check('every carton of each order on a pallet', 'SO1000 30, SO1001 10, SO1002 4',
+  ['SO1000', 'SO1001', 'SO1002'].map(orderId => `${orderId} ${palletUnits(orderId)}`).join(', '));
+check('no pallet mixing stops or temperature classes', true, builtPallets.pallets.every(pallet => pallet.contents.length === 1));
+check('an order marked palletize: false to travel loose', 'SO1003', builtPallets.looseItems.map(item => item.id).join(','));
+check('the chilled pallet to weigh its 4 cartons plus the 25 kg deck', '125 kg',
+  `${builtPallets.pallets.find(pallet => pallet.temperatureRequirement === 'chilled')?.weight} kg`);
+
+console.log('\nAll tests completed!');
@@ -0,0 +1,77 @@
+/**
+ * Plan Fingerprinting
+ * Canonical hashing of planning inputs and seeded randomness, so the same
+ * orders, vehicles and constraints always reproduce the same plan.
+ */
+
+// Bump whenever a change to the planning pipeline can change its output for the same inputs
+export const ENGINE_VERSION = '1.1.0';
+
+// Serialise a value with object keys sorted, so key order never changes the result
+export const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(entry => canonicalize(entry ?? null)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+// 53-bit string hash (cyrb53), returned as a fixed-width hex string
+export const hashString = (text, seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return hash.toString(16).padStart(14, '0');
+};
+
+/**
+ * Fingerprint of everything that determines a plan. Orders are keyed by id, so
+ * selection order does not matter; the engine version is part of the hash.
+ */
+export const fingerprintPlanInputs = ({ orders = [], vehicleTypes = [], constraints = {}, planConfig = {} }) => {
+  const canonicalInput = canonicalize({
+    engineVersion: ENGINE_VERSION,
+    orders: [...orders].sort((a, b) => String(a.id).localeCompare(String(b.id))),
+    vehicleTypes: [...vehicleTypes].sort((a, b) => String(a.id).localeCompare(String(b.id))),
+    constraints,
+    planConfig
+  });
+
+  return hashString(canonicalInput);
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning floats in [0, 1).
+ * String seeds are hashed first.
+ */
+export const createSeededRandom = (seed = 1) => {
+  let state = typeof seed === 'number'
+    ? seed >>> 0
+    : parseInt(hashString(String(seed)).slice(-8), 16) >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
@@ -0,0 +1,20 @@
+/**
+ * Test file for plan input fingerprints
+ */
+
+import { fingerprintPlanInputs } from './planFingerprint.js';
+import { check } from './testHelpers.js';
+import { vehicleTypes, sampleOrders } from '../data/mockData.js';
+
+console.log('Testing fingerprintPlanInputs...');
+const fingerprintInputs = { orders: sampleOrders, vehicleTypes, constraints: { maxWeight: 25000, dropPoints: 2 } };
+const fingerprint = fingerprintPlanInputs(fingerprintInputs);
+check('same fingerprint for reordered orders and keys', true, fingerprint === fingerprintPlanInputs({
+  ...fingerprintInputs,
+  orders: [...sampleOrders].reverse(),
+  constraints: { dropPoints: 2, maxWeight: 25000 }
+}));
+check('different fingerprint when constraints change', true,
+  fingerprint !== fingerprintPlanInputs({ ...fingerprintInputs, constraints: { maxWeight: 20000, dropPoints: 2 } }));
+
+console.log('\nAll tests completed!');
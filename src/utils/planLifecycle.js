@@ -0,0 +1,140 @@
+/**
+ * Plan Lifecycle
+ * Plans move draft → confirmed → dispatched → delivered, and can be cancelled
+ * until delivered. The status of every order follows the plan holding it; a
+ * cancelled plan hands its orders back as unplanned.
+ */
+
+export const PLAN_STATUSES = [
+  { id: 'draft', label: 'Draft' },
+  { id: 'confirmed', label: 'Confirmed' },
+  { id: 'dispatched', label: 'Dispatched' },
+  { id: 'delivered', label: 'Delivered' },
+  { id: 'cancelled', label: 'Cancelled' }
+];
+
+// Allowed next statuses; confirmed plans can be sent back to draft to unlock them
+export const PLAN_TRANSITIONS = {
+  draft: ['confirmed', 'cancelled'],
+  confirmed: ['dispatched', 'draft', 'cancelled'],
+  dispatched: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Order status while held by a plan in each status
+const ORDER_STATUS_BY_PLAN_STATUS = {
+  draft: 'planned',
+  confirmed: 'confirmed',
+  dispatched: 'dispatched',
+  delivered: 'delivered',
+  cancelled: 'unplanned'
+};
+
+export const ORDER_STATUSES = ['unplanned', 'planned', 'confirmed', 'dispatched', 'delivered'];
+
+export const getPlanStatus = (plan) => plan?.status || 'draft';
+
+/**
+ * Check whether a plan may move from one status to another
+ */
+export const canTransition = (fromStatus, toStatus) =>
+  (PLAN_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+/**
+ * Plans past draft are locked: they must not be re-optimised or edited
+ */
+export const isPlanLocked = (plan) => getPlanStatus(plan) !== 'draft';
+
+/**
+ * Plans that still hold their orders: not archived and not cancelled
+ */
+export const isPlanActive = (plan) => !plan.archived && getPlanStatus(plan) !== 'cancelled';
+
+/**
+ * Id for a newly generated plan: the fingerprint id, or a revision of it when a
+ * plan past draft already holds that id and must not be overwritten
+ */
+export const getGeneratedPlanId = (baseId, plans) => {
+  let planId = baseId;
+  for (let revision = 2; isPlanLocked(plans.find(plan => plan.id === planId)); revision++) {
+    planId = `${baseId}_R${revision}`;
+  }
+  return planId;
+};
+
+/**
+ * Axle overload warnings still on a plan's vehicles
+ * @returns {Array} - [{ vehicleId, message }]
+ */
+export const findAxleOverloads = (plan) => (plan.vehicles || []).flatMap(vehicle =>
+  (vehicle.loadPlan?.warnings || [])
+    .filter(warning => warning.type === 'axle_overload')
+    .map(warning => ({ vehicleId: vehicle.id, message: warning.message }))
+);
+
+/**
+ * Move a plan to a new status, recording the change in its history
+ * @returns {Object} - Updated plan
+ * @throws {Error} - When the transition is not allowed, or a plan with an overloaded axle is confirmed
+ */
+export const transitionPlan = (plan, toStatus, at = new Date().toISOString()) => {
+  const fromStatus = getPlanStatus(plan);
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new Error(`Plan ${plan.id} cannot move from ${fromStatus} to ${toStatus}`);
+  }
+
+  // The maximum axle load is enforced here: an overloaded plan stays a draft until it is re-planned
+  const overloads = toStatus === 'confirmed' ? findAxleOverloads(plan) : [];
+  if (overloads.length > 0) {
+    throw new Error(
+      `Plan ${plan.id} cannot be confirmed while an axle is overloaded:\n` +
+      overloads.map(overload => `${overload.vehicleId}: ${overload.message}`).join('\n')
+    );
+  }
+
+  return {
+    ...plan,
+    status: toStatus,
+    statusHistory: [...(plan.statusHistory || []), { from: fromStatus, to: toStatus, at }]
+  };
+};
+
+/**
+ * Which plan holds each order: active plans, and delivered plans even once archived
+ * @returns {Map} - orderId -> { planId, planStatus }
+ */
+export const getOrderBookings = (plans) => {
+  const bookings = new Map();
+  plans.filter(plan => isPlanActive(plan) || getPlanStatus(plan) === 'delivered').forEach(plan => {
+    (plan.orders || []).forEach(order => {
+      bookings.set(order.id, { planId: plan.id, planStatus: getPlanStatus(plan) });
+    });
+  });
+  return bookings;
+};
+
+/**
+ * Orders with the status and plan id given by the plans holding them
+ */
+export const applyPlanStatusToOrders = (orders, bookings) => orders.map(order => {
+  const booking = bookings.get(order.id);
+  if (!booking) return order;
+  return { ...order, status: ORDER_STATUS_BY_PLAN_STATUS[booking.planStatus], planId: booking.planId };
+});
+
+/**
+ * Other active plans sharing orders with a plan
+ * @returns {Array} - [{ planId, orderIds }]
+ */
+export const findOverlappingPlans = (plan, plans) => {
+  const orderIds = new Set((plan.orders || []).map(order => order.id));
+
+  return plans
+    .filter(other => other.id !== plan.id && isPlanActive(other))
+    .map(other => ({
+      planId: other.id,
+      orderIds: (other.orders || []).map(order => order.id).filter(id => orderIds.has(id))
+    }))
+    .filter(overlap => overlap.orderIds.length > 0);
+};
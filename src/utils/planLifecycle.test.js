@@ -0,0 +1,36 @@
+/**
+ * Test file for the plan lifecycle
+ */
+
+import { transitionPlan, getOrderBookings, applyPlanStatusToOrders, getGeneratedPlanId } from './planLifecycle.js';
+import { check, errorMessageOf } from './testHelpers.js';
+
+const orders = [{ id: 'SO001' }, { id: 'SO002' }, { id: 'SO003' }];
+
+// Plan lifecycle drives order status
+console.log('Testing plan lifecycle...');
+const draftPlan = { id: 'PLAN_T', status: 'draft', orders: orders.slice(0, 2) };
+const confirmedPlan = transitionPlan(draftPlan, 'confirmed');
+check('confirmed orders to show status confirmed', 'confirmed,confirmed,unplanned',
+  applyPlanStatusToOrders(orders.map(order => ({ ...order, status: 'unplanned' })), getOrderBookings([confirmedPlan]))
+    .map(order => order.status).join(','));
+check('draft -> delivered to be rejected', 'Plan PLAN_T cannot move from draft to delivered',
+  await errorMessageOf(() => transitionPlan(draftPlan, 'delivered')));
+check('cancelled plan to release its orders', 0, getOrderBookings([transitionPlan(confirmedPlan, 'cancelled')]).size);
+
+// Plans with an overloaded axle cannot be confirmed
+console.log('\nTesting axle load enforcement...');
+const overloadWarning = { type: 'axle_overload', severity: 'high', message: 'Rear axle load 1250kg exceeds limit of 1100kg by 150kg' };
+const overloadedPlan = { ...draftPlan, vehicles: [{ id: 'V001', loadPlan: { warnings: [overloadWarning] } }] };
+check('confirming a plan with an overloaded axle to be refused',
+  'Plan PLAN_T cannot be confirmed while an axle is overloaded:\nV001: Rear axle load 1250kg exceeds limit of 1100kg by 150kg',
+  await errorMessageOf(() => transitionPlan(overloadedPlan, 'confirmed')));
+check('an overloaded plan can still be cancelled', 'cancelled', transitionPlan(overloadedPlan, 'cancelled').status);
+
+// Plans past draft keep their id; regenerated plans take the next revision
+console.log('\nTesting generated plan ids...');
+check('a draft id reused as is', 'PLAN_T', getGeneratedPlanId('PLAN_T', [draftPlan]));
+check('the next free revision when earlier ones are locked', 'PLAN_T_R3',
+  getGeneratedPlanId('PLAN_T', [confirmedPlan, { id: 'PLAN_T_R2', status: 'cancelled' }]));
+
+console.log('\nAll tests completed!');
@@ -0,0 +1,354 @@
+/**
+ * Plan PDF Export
+ * Builds the printable loading plan handed to drivers and warehouse staff, fully
+ * in the browser: a cover summary, then per vehicle snapshots and 2D diagrams of
+ * the load, the manifest by drop point, the loading sequence and any warnings.
+ */
+
+import { jsPDF } from 'jspdf';
+import { getLoadingSteps } from './loadingInstructions.js';
+import { renderLoadSnapshots, getStopColor, SNAPSHOT_VIEWS } from './loadSnapshots.js';
+import { getLoadDiagram, DIAGRAM_VIEWS } from './loadDiagrams.js';
+
+const PAGE_MARGIN = 15;
+const LINE_HEIGHT = 5;
+const PT_PER_MM = 72 / 25.4;
+
+// The standard PDF fonts only cover Latin-1, so the rupee sign is spelt out
+const formatCost = (value) => `INR ${Math.round(value || 0).toLocaleString('en-IN')}`;
+
+const formatPercent = (value) => `${(value || 0).toFixed(1)}%`;
+
+// Placed weight and volume against the capacity of the vehicles they are on
+export const getPlanUtilization = (vehicles) => {
+  const totals = vehicles.reduce((sum, vehicle) => ({
+    weight: sum.weight + (vehicle.loadPlan?.totalWeight || 0),
+    volume: sum.volume + (vehicle.loadPlan?.totalVolume || 0),
+    maxWeight: sum.maxWeight + (vehicle.vehicleType?.maxWeight || 0),
+    maxVolume: sum.maxVolume + (vehicle.vehicleType?.volume || 0)
+  }), { weight: 0, volume: 0, maxWeight: 0, maxVolume: 0 });
+
+  return {
+    weight: totals.maxWeight > 0 ? (totals.weight / totals.maxWeight) * 100 : 0,
+    volume: totals.maxVolume > 0 ? (totals.volume / totals.maxVolume) * 100 : 0
+  };
+};
+
+/**
+ * Orders of a vehicle grouped by the stop that delivers them
+ * @returns {Array} - [{ stop, location, dropPointId, orders: [{ id, destination, ordered, placed, weight }] }]
+ */
+export const getManifestByDropPoint = (vehicle) => {
+  const loadPlan = vehicle.loadPlan || {};
+  const ordersById = new Map((vehicle.orders || []).map(order => [order.id, order]));
+  const unitsByOrderId = new Map((loadPlan.unitSummary || []).map(entry => [entry.orderId, entry]));
+
+  return (loadPlan.stops || []).map((stop, index) => ({
+    stop: index + 1,
+    location: stop.location,
+    dropPointId: stop.dropPointId,
+    orders: stop.orderIds.map(orderId => {
+      const order = ordersById.get(orderId);
+      const units = unitsByOrderId.get(orderId);
+      return {
+        id: orderId,
+        destination: order?.destination || stop.location,
+        ordered: units?.ordered ?? order?.quantity ?? 0,
+        placed: units?.placed ?? order?.quantity ?? 0,
+        weight: order ? order.weight * order.quantity : 0
+      };
+    })
+  }));
+};
+
+const hexToRgb = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+
+// Writes top to bottom, starting a new page when the next block does not fit
+class PdfWriter {
+  constructor(doc) {
+    this.doc = doc;
+    this.pageWidth = doc.internal.pageSize.getWidth();
+    this.pageHeight = doc.internal.pageSize.getHeight();
+    this.contentWidth = this.pageWidth - PAGE_MARGIN * 2;
+    this.y = PAGE_MARGIN;
+    doc.setFontSize(10);
+  }
+
+  ensureSpace(height) {
+    if (this.y + height > this.pageHeight - PAGE_MARGIN) {
+      this.newPage();
+    }
+  }
+
+  newPage() {
+    this.doc.addPage();
+    this.y = PAGE_MARGIN;
+  }
+
+  heading(text, size = 14) {
+    this.ensureSpace(size / 2 + LINE_HEIGHT);
+    this.doc.setFont('helvetica', 'bold');
+    this.doc.setFontSize(size);
+    this.doc.text(text, PAGE_MARGIN, this.y + size / 3);
+    this.y += size / 2 + 3;
+    this.doc.setFont('helvetica', 'normal');
+    this.doc.setFontSize(10);
+  }
+
+  // Wrapped paragraph; color is an RGB array
+  paragraph(text, { color = [17, 24, 39], indent = 0 } = {}) {
+    const lines = this.doc.splitTextToSize(text, this.contentWidth - indent);
+    lines.forEach(line => {
+      this.ensureSpace(LINE_HEIGHT);
+      this.doc.setTextColor(...color);
+      this.doc.text(line, PAGE_MARGIN + indent, this.y + 3.5);
+      this.y += LINE_HEIGHT;
+    });
+    this.doc.setTextColor(17, 24, 39);
+  }
+
+  // Label / value pairs in two columns
+  facts(rows) {
+    rows.forEach(([label, value]) => {
+      this.ensureSpace(LINE_HEIGHT);
+      this.doc.setTextColor(75, 85, 99);
+      this.doc.text(label, PAGE_MARGIN, this.y + 3.5);
+      this.doc.setTextColor(17, 24, 39);
+      this.doc.text(String(value), PAGE_MARGIN + 55, this.y + 3.5);
+      this.y += LINE_HEIGHT;
+    });
+  }
+
+  // columns: [{ header, width }] with widths in mm; the header repeats on every page
+  table(columns, rows) {
+    const drawHeader = () => {
+      this.ensureSpace(LINE_HEIGHT * 2);
+      this.doc.setFillColor(243, 244, 246);
+      this.doc.rect(PAGE_MARGIN, this.y, this.contentWidth, LINE_HEIGHT + 1, 'F');
+      this.doc.setFont('helvetica', 'bold');
+      let x = PAGE_MARGIN + 1;
+      columns.forEach(column => {
+        this.doc.text(column.header, x, this.y + 4);
+        x += column.width;
+      });
+      this.doc.setFont('helvetica', 'normal');
+      this.y += LINE_HEIGHT + 1;
+    };
+
+    drawHeader();
+    rows.forEach(row => {
+      const cells = row.map((cell, index) => this.doc.splitTextToSize(String(cell ?? ''), columns[index].width - 2));
+      const height = Math.max(...cells.map(lines => lines.length)) * LINE_HEIGHT;
+      if (this.y + height > this.pageHeight - PAGE_MARGIN) {
+        this.newPage();
+        drawHeader();
+      }
+      let x = PAGE_MARGIN + 1;
+      cells.forEach((lines, index) => {
+        this.doc.text(lines, x, this.y + 3.5);
+        x += columns[index].width;
+      });
+      this.y += height;
+      this.doc.setDrawColor(229, 231, 235);
+      this.doc.line(PAGE_MARGIN, this.y, PAGE_MARGIN + this.contentWidth, this.y);
+    });
+    this.y += 3;
+  }
+
+  image(dataUrl, width, height, caption) {
+    this.ensureSpace(height + LINE_HEIGHT + 2);
+    this.doc.addImage(dataUrl, 'PNG', PAGE_MARGIN, this.y, width, height);
+    this.doc.setDrawColor(209, 213, 219);
+    this.doc.rect(PAGE_MARGIN, this.y, width, height);
+    this.y += height + 1;
+    this.doc.setFontSize(8);
+    this.doc.setTextColor(107, 114, 128);
+    this.doc.text(caption, PAGE_MARGIN, this.y + 3);
+    this.doc.setFontSize(10);
+    this.doc.setTextColor(17, 24, 39);
+    this.y += LINE_HEIGHT + 1;
+  }
+
+  // A load diagram (see loadDiagrams.js) as vector shapes, scaled to the given width
+  diagram(diagram, width, caption) {
+    const scale = width / diagram.width;
+    const height = diagram.height * scale;
+    this.ensureSpace(height + LINE_HEIGHT + 2);
+    const toPage = (x, y) => [PAGE_MARGIN + x * scale, this.y + y * scale];
+
+    this.doc.setDrawColor(55, 65, 81);
+    this.doc.setFillColor(249, 250, 251);
+    this.doc.rect(PAGE_MARGIN, this.y, width, height, 'FD');
+    diagram.shapes.forEach(shape => {
+      const [x, y] = toPage(shape.x, shape.y);
+      this.doc.setFillColor(...hexToRgb(shape.color));
+      this.doc.setDrawColor(17, 24, 39);
+      if (shape.shape === 'circle') {
+        this.doc.ellipse(x + (shape.width * scale) / 2, y + (shape.height * scale) / 2, (shape.width * scale) / 2, (shape.height * scale) / 2, 'FD');
+      } else {
+        this.doc.rect(x, y, shape.width * scale, shape.height * scale, 'FD');
+      }
+
+      const fontSize = shape.labelSize && shape.labelSize * scale * PT_PER_MM;
+      if (fontSize >= 4) {
+        this.doc.setFontSize(fontSize);
+        this.doc.setTextColor(255, 255, 255);
+        this.doc.text(shape.label, x + (shape.width * scale) / 2, y + (shape.height * scale) / 2, { align: 'center', baseline: 'middle' });
+      }
+    });
+
+    this.y += height + 1;
+    this.doc.setFontSize(8);
+    this.doc.setTextColor(107, 114, 128);
+    this.doc.text(caption, PAGE_MARGIN, this.y + 3);
+    this.doc.setFontSize(10);
+    this.doc.setTextColor(17, 24, 39);
+    this.y += LINE_HEIGHT + 1;
+  }
+
+  space(height = LINE_HEIGHT) {
+    this.y += height;
+  }
+}
+
+const writeCover = (writer, planData, vehicles) => {
+  const utilization = getPlanUtilization(vehicles);
+  const warningCount = vehicles.reduce((sum, vehicle) => sum + (vehicle.loadPlan?.warnings?.length || 0), 0);
+
+  writer.heading('Loading Plan', 20);
+  writer.facts([
+    ['Plan ID', planData.id],
+    ['Status', planData.status || 'draft'],
+    ['Created', planData.createdAt ? new Date(planData.createdAt).toLocaleString() : ''],
+    ...(planData.planDate ? [['Plan date', planData.planDate]] : []),
+    ...(planData.origin ? [['Origin', planData.origin]] : []),
+    ['Total cost', formatCost(planData.totalCost)],
+    ['Vehicles', vehicles.length],
+    ['Orders', planData.orders?.length || vehicles.reduce((sum, vehicle) => sum + (vehicle.orders?.length || 0), 0)],
+    ['Weight utilisation', formatPercent(utilization.weight)],
+    ['Volume utilisation', formatPercent(utilization.volume)],
+    ['Unplaced items', planData.unplaced?.length || 0],
+    ['Warnings', warningCount]
+  ]);
+  writer.space();
+
+  writer.heading('Vehicles', 12);
+  writer.table(
+    [
+      { header: 'Vehicle', width: 22 },
+      { header: 'Type', width: 40 },
+      { header: 'Route', width: 38 },
+      { header: 'Stops', width: 15 },
+      { header: 'Load (kg)', width: 22 },
+      { header: 'Weight', width: 20 },
+      { header: 'Volume', width: 23 }
+    ],
+    vehicles.map(vehicle => [
+      vehicle.id,
+      vehicle.vehicleType?.name || vehicle.type,
+      vehicle.route || '',
+      vehicle.loadPlan?.stops?.length || 0,
+      Math.round(vehicle.loadPlan?.totalWeight || 0),
+      formatPercent(vehicle.loadPlan?.utilization?.weight ?? vehicle.utilization?.weight),
+      formatPercent(vehicle.loadPlan?.utilization?.volume ?? vehicle.utilization?.volume)
+    ])
+  );
+};
+
+const writeVehicle = (writer, vehicle, snapshots, defaultBody) => {
+  const loadPlan = vehicle.loadPlan;
+  const body = vehicle.vehicleType?.dimensions || defaultBody;
+
+  writer.newPage();
+  writer.heading(`${vehicle.id} - ${vehicle.vehicleType?.name || vehicle.type}`, 16);
+  writer.paragraph(`Route ${vehicle.route || '-'} · body ${body.length} x ${body.width} x ${body.height} mm`, { color: [75, 85, 99] });
+  writer.space(2);
+
+  if (!loadPlan) {
+    writer.paragraph('No load plan was generated for this vehicle.');
+    return;
+  }
+
+  // Snapshots of the load; items are coloured by stop
+  if (snapshots) {
+    const width = writer.contentWidth;
+    const captions = {
+      isometric: 'Isometric view from the rear door',
+      top: 'Top view (bulkhead on the left, door on the right)',
+      side: 'Side view (bulkhead on the left, door on the right)'
+    };
+    Object.entries(SNAPSHOT_VIEWS).forEach(([view, { aspect }]) => {
+      writer.image(snapshots[view], width, width / aspect, captions[view]);
+    });
+  } else {
+    writer.paragraph('Snapshots need WebGL, which is not available in this browser.', { color: [185, 28, 28] });
+  }
+
+  // Flat elevations labelled by SO id; these print clearly even without WebGL
+  writer.heading('Load diagrams', 12);
+  DIAGRAM_VIEWS.forEach(view => {
+    const diagram = getLoadDiagram(loadPlan, body, view.id);
+    writer.diagram(
+      diagram,
+      view.id === 'rear' ? writer.contentWidth * 0.4 : writer.contentWidth,
+      view.id === 'rear' ? 'Rear view (from the door)' : `${view.label} view (bulkhead on the left, door on the right)`
+    );
+  });
+
+  // Manifest by drop point
+  writer.heading('Manifest by drop point', 12);
+  getManifestByDropPoint(vehicle).forEach(stop => {
+    writer.ensureSpace(LINE_HEIGHT * 3);
+    writer.doc.setFillColor(...hexToRgb(getStopColor(stop.stop - 1)));
+    writer.doc.rect(PAGE_MARGIN, writer.y + 1, 3, 3, 'F');
+    writer.paragraph(`Stop ${stop.stop}: ${stop.location}${stop.dropPointId ? ` (${stop.dropPointId})` : ''}`, { indent: 5 });
+    writer.table(
+      [
+        { header: 'Order', width: 30 },
+        { header: 'Destination', width: 70 },
+        { header: 'Units', width: 25 },
+        { header: 'Loaded', width: 25 },
+        { header: 'Weight (kg)', width: 30 }
+      ],
+      stop.orders.map(order => [order.id, order.destination, order.ordered, order.placed, Math.round(order.weight)])
+    );
+  });
+
+  // Loading sequence
+  writer.heading('Loading sequence', 12);
+  const steps = getLoadingSteps(loadPlan, body);
+  writer.table(
+    [
+      { header: 'Step', width: 14 },
+      { header: 'Instruction', width: 151 },
+      { header: 'Stop', width: 15 }
+    ],
+    steps.map(step => [step.step, step.text, step.stop])
+  );
+
+  // Warnings
+  writer.heading('Warnings', 12);
+  if ((loadPlan.warnings || []).length === 0) {
+    writer.paragraph('No warnings.');
+  } else {
+    loadPlan.warnings.forEach(warning => {
+      const color = warning.severity === 'high' || warning.severity === 'critical' ? [185, 28, 28] : [161, 98, 7];
+      writer.paragraph(`[${warning.severity}] ${warning.message}`, { color });
+    });
+  }
+};
+
+/**
+ * Build and download the loading plan PDF for a plan
+ */
+export const exportPlanToPdf = (planData, defaultBody, filename = `${planData.id}-loading-plan.pdf`) => {
+  const vehicles = planData.vehicles || [];
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const writer = new PdfWriter(doc);
+  const snapshots = renderLoadSnapshots(vehicles.filter(vehicle => vehicle.loadPlan), defaultBody);
+
+  writeCover(writer, planData, vehicles);
+  vehicles.forEach(vehicle => writeVehicle(writer, vehicle, snapshots?.[vehicle.id], defaultBody));
+
+  doc.save(filename);
+};
@@ -0,0 +1,20 @@
+/**
+ * Test file for the plan PDF export
+ */
+
+import { getManifestByDropPoint } from './planPdfExport.js';
+import { check } from './testHelpers.js';
+
+// PDF manifest groups a vehicle's orders by stop
+console.log('Testing PDF manifest...');
+const manifest = getManifestByDropPoint({
+  orders: [{ id: 'SO1', quantity: 4, weight: 20, destination: 'A' }, { id: 'SO2', quantity: 2, weight: 50, destination: 'B' }],
+  loadPlan: {
+    stops: [{ location: 'A', orderIds: ['SO1'] }, { location: 'B', orderIds: ['SO2'] }],
+    unitSummary: [{ orderId: 'SO1', ordered: 4, placed: 3 }, { orderId: 'SO2', ordered: 2, placed: 2 }]
+  }
+});
+check('manifest', '1:SO1 3/4 80kg | 2:SO2 2/2 100kg', manifest.map(stop => stop.orders.map(order =>
+  `${stop.stop}:${order.id} ${order.placed}/${order.ordered} ${order.weight}kg`).join(', ')).join(' | '));
+
+console.log('\nAll tests completed!');
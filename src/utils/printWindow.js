@@ -0,0 +1,42 @@
+/**
+ * Print Window
+ * Opens a plain HTML document in a new window and sends it to the printer.
+ * Used for the crew-facing printouts (loading instructions, load diagrams).
+ */
+
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const BASE_STYLE = `
+  body { font-family: sans-serif; font-size: 12px; margin: 24px; }
+  h1 { font-size: 18px; }
+  h2 { font-size: 14px; margin-top: 24px; page-break-after: avoid; }`;
+
+/**
+ * Print a document; title is plain text, body is HTML
+ */
+export const openPrintWindow = (title, body, style = '') => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    alert('Allow pop-ups to print this document.');
+    return;
+  }
+
+  printWindow.document.write(`<!DOCTYPE html>
+    <html>
+      <head>
+        <title>${escapeHtml(title)}</title>
+        <style>${BASE_STYLE}${style}</style>
+      </head>
+      <body>
+        <h1>${escapeHtml(title)}</h1>
+        ${body}
+      </body>
+    </html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
@@ -0,0 +1,136 @@
+/**
+ * Route Master
+ * The single list of lanes the planner knows about. Import, planning, cost
+ * calculation and route display all resolve lane codes through it; a lane
+ * that does not resolve is reported to the user, never replaced by a default.
+ *
+ * Route shape: { id, name, origin, destination, via: [], distance (km),
+ * transitHours, aliases: [] }
+ */
+
+import { routes as defaultRoutes } from '../data/mockData.js';
+
+const STORAGE_KEY = 'ftplanning.routeMaster';
+
+/**
+ * Normalise a lane as written in a file or form, e.g. "Delhi to Mumbai" -> "DELHI-MUMBAI"
+ */
+export const normalizeLane = (value) => (value ?? '')
+  .toString()
+  .toUpperCase()
+  .replace(/\s+TO\s+|→|->|—|–|\/|_/g, '-')
+  .replace(/\s*-\s*/g, '-')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Every spelling a route answers to: its id, name, origin-destination pair and aliases
+const getLaneKeys = (route) => [
+  route.id,
+  route.name,
+  `${route.origin}-${route.destination}`,
+  ...(route.aliases || [])
+].map(normalizeLane).filter(Boolean);
+
+/**
+ * Load the route master; falls back to the built-in lanes when nothing is stored
+ */
+export const loadRoutes = () => {
+  if (typeof localStorage === 'undefined') return defaultRoutes;
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || defaultRoutes;
+  } catch (error) {
+    console.warn('Ignoring unreadable route master:', error.message);
+    return defaultRoutes;
+  }
+};
+
+const storeRoutes = (routes) => {
+  if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(routes));
+  }
+  return routes;
+};
+
+/**
+ * Resolve a lane code, name or alias to its route
+ * @returns {Object|null} - The route, or null when the lane is unknown
+ */
+export const resolveRoute = (routes, lane) => {
+  const key = normalizeLane(lane);
+  if (!key) return null;
+  return routes.find(route => getLaneKeys(route).includes(key)) || null;
+};
+
+/**
+ * Display name for a lane; unknown lanes are labelled as such
+ */
+export const getRouteLabel = (routes, lane) => {
+  const route = resolveRoute(routes, lane);
+  if (route) return route.name;
+  return lane ? `${lane} (unknown lane)` : 'No lane';
+};
+
+/**
+ * Lanes used by orders that the route master cannot resolve
+ * @returns {Array} - [{ lane, orderIds }]
+ */
+export const findUnknownLanes = (routes, orders) => {
+  const unknown = {};
+  orders.forEach(order => {
+    if (resolveRoute(routes, order.route)) return;
+    const lane = order.route || '';
+    if (!unknown[lane]) unknown[lane] = { lane, orderIds: [] };
+    unknown[lane].orderIds.push(order.id);
+  });
+  return Object.values(unknown);
+};
+
+/**
+ * Create or update a route. originalId identifies the route being edited.
+ * @returns {Array} - Updated route list
+ * @throws {Error} - When required fields are missing or a lane key is already taken
+ */
+export const saveRoute = (route, originalId = null) => {
+  const routes = loadRoutes();
+  const id = normalizeLane(route.id);
+
+  if (!id || !route.origin?.trim() || !route.destination?.trim()) {
+    throw new Error('Route code, origin and destination are required');
+  }
+  if (!(route.distance > 0)) {
+    throw new Error('Distance must be greater than zero');
+  }
+
+  const saved = {
+    id,
+    name: route.name?.trim() || `${route.origin.trim()} → ${route.destination.trim()}`,
+    origin: route.origin.trim(),
+    destination: route.destination.trim(),
+    via: (route.via || []).map(point => point.trim()).filter(Boolean),
+    distance: Number(route.distance),
+    transitHours: Number(route.transitHours) || null,
+    aliases: [...new Set((route.aliases || []).map(normalizeLane).filter(Boolean))]
+  };
+
+  // Lane keys must stay unambiguous across the master
+  const others = routes.filter(existing => existing.id !== (originalId || id));
+  if (!originalId && routes.some(existing => existing.id === id)) {
+    throw new Error(`Route ${id} already exists`);
+  }
+  const clash = getLaneKeys(saved).find(key => others.some(other => getLaneKeys(other).includes(key)));
+  if (clash) {
+    throw new Error(`Lane "${clash}" already belongs to another route`);
+  }
+
+  const updated = originalId
+    ? routes.map(existing => (existing.id === originalId ? saved : existing))
+    : [...routes, saved];
+  return storeRoutes(updated);
+};
+
+/**
+ * Delete a route by id
+ * @returns {Array} - Updated route list
+ */
+export const deleteRoute = (routeId) =>
+  storeRoutes(loadRoutes().filter(route => route.id !== routeId));
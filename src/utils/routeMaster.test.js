@@ -0,0 +1,23 @@
+/**
+ * Test file for the route master
+ */
+
+import { resolveRoute, findUnknownLanes, saveRoute } from './routeMaster.js';
+import { check, errorMessageOf } from './testHelpers.js';
+import { routes } from '../data/mockData.js';
+
+// Lanes resolve through the route master by code, name, city pair or alias
+console.log('Testing route master...');
+check('DEL-MUM for "Delhi to Mumbai", "del-mumbai" and "Delhi → Mumbai"', 'DEL-MUM, DEL-MUM, DEL-MUM',
+  ['Delhi to Mumbai', 'del-mumbai', 'Delhi → Mumbai'].map(lane => resolveRoute(routes, lane)?.id).join(', '));
+check('unknown lanes listed with their orders instead of defaulted', 'DEL-XYZ (SO1400+SO1401), no lane (SO1402)',
+  findUnknownLanes(routes, [
+    { id: 'SO1399', route: 'DEL-MUM' },
+    { id: 'SO1400', route: 'DEL-XYZ' },
+    { id: 'SO1401', route: 'DEL-XYZ' },
+    { id: 'SO1402' }
+  ]).map(unknown => `${unknown.lane || 'no lane'} (${unknown.orderIds.join('+')})`).join(', '));
+check('a new route reusing an existing city pair refused', 'Lane "DELHI-MUMBAI" already belongs to another route',
+  await errorMessageOf(() => saveRoute({ id: 'DEL-BOM', origin: 'Delhi', destination: 'Mumbai', distance: 1400 })));
+
+console.log('\nAll tests completed!');
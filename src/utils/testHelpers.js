@@ -0,0 +1,38 @@
+/**
+ * Shared helpers for the plain Node test scripts (*.test.js).
+ * Run one with `node <file>`, or all of them with `npm test`.
+ */
+
+/**
+ * Print an Expected/Actual pair and fail the run when they differ.
+ * Values are compared as strings, the way they are printed.
+ */
+export const check = (description, expected, actual) => {
+  console.log(`Expected ${description}: ${expected}`);
+  console.log('Actual:', actual);
+  if (String(actual) !== String(expected)) {
+    console.error(`  MISMATCH: expected ${expected}, got ${actual}`);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Message of the error a function throws (or rejects with), null when it succeeds
+ */
+export const errorMessageOf = async (fn) => {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Cargo body of a 6 m truck, in millimetres
+export const body = { length: 6000, width: 2400, height: 2500 };
+
+// A placed 1000 × 800 × 600 mm, 20 kg crate
+export const crate = (id, position) => ({
+  id, materialType: 'cuboidal', weight: 20, quantity: 1, stackable: true,
+  dimensions: { length: 1000, width: 800, height: 600 }, position
+});
@@ -3,6 +3,91 @@
  * Provides algorithms for optimal vehicle selection and weight distribution
  */
 
+import { resolvePalletSpec } from './palletBuilder.js';
+
+/**
+ * Temperature class an order must travel in; orders without one are ambient
+ */
+export const getTemperatureRequirement = (order) => order.temperatureRequirement || 'ambient';
+
+/**
+ * Cargo compartments of a vehicle type, front to rear. Types without compartments
+ * are a single ambient compartment filling the whole body.
+ */
+export const getVehicleCompartments = (vehicleType) => {
+  if (vehicleType.compartments?.length > 0) {
+    return vehicleType.compartments;
+  }
+
+  return [{
+    id: 'main',
+    name: 'Main',
+    temperatureClass: 'ambient',
+    origin: { x: 0, y: 0, z: 0 },
+    dimensions: vehicleType.dimensions,
+    maxWeight: vehicleType.maxWeight
+  }];
+};
+
+/**
+ * Weight and volume a vehicle type can carry per temperature class, summed over
+ * its compartments and capped at the vehicle payload
+ * @returns {Object} - { [temperatureClass]: { maxWeight, volume } }
+ */
+export const getCapacityByTemperature = (vehicleType) => {
+  if (!(vehicleType.compartments?.length > 0)) {
+    return { ambient: { maxWeight: vehicleType.maxWeight || 0, volume: vehicleType.volume || 0 } };
+  }
+
+  const capacity = {};
+  vehicleType.compartments.forEach(compartment => {
+    const { length, width, height } = compartment.dimensions;
+    const current = capacity[compartment.temperatureClass] || { maxWeight: 0, volume: 0 };
+    capacity[compartment.temperatureClass] = {
+      maxWeight: Math.min(vehicleType.maxWeight, current.maxWeight + (compartment.maxWeight ?? vehicleType.maxWeight)),
+      volume: current.volume + (length * width * height) / 1000000000
+    };
+  });
+  return capacity;
+};
+
+/**
+ * Weight and volume of orders per temperature class
+ * @returns {Object} - { [temperatureClass]: { weight, volume } }
+ */
+export const calculateTotalsByTemperature = (orders) => {
+  const totals = {};
+  orders.forEach(order => {
+    const { orderWeight, orderVolume } = calculateOrderWeightAndVolume(order);
+    const current = totals[getTemperatureRequirement(order)] || { weight: 0, volume: 0 };
+    totals[getTemperatureRequirement(order)] = { weight: current.weight + orderWeight, volume: current.volume + orderVolume };
+  });
+  return totals;
+};
+
+/**
+ * Check that vehicles ([{ vehicleType, quantity }]) have compartment space for
+ * every temperature class in demand (from calculateTotalsByTemperature)
+ */
+export const coversTemperatureDemand = (demand, vehicles) => Object.entries(demand).every(([temperatureClass, need]) => {
+  const capacity = vehicles.reduce((sum, { vehicleType, quantity }) => {
+    const compartment = getCapacityByTemperature(vehicleType)[temperatureClass];
+    return {
+      maxWeight: sum.maxWeight + (compartment?.maxWeight || 0) * quantity,
+      volume: sum.volume + (compartment?.volume || 0) * quantity
+    };
+  }, { maxWeight: 0, volume: 0 });
+  return need.weight <= capacity.maxWeight && need.volume <= capacity.volume;
+});
+
+// Vehicles of one type needed to give every temperature class in demand its space
+const getVehiclesNeededByTemperature = (demand, vehicleType) => {
+  const capacity = getCapacityByTemperature(vehicleType);
+  return Math.max(0, ...Object.entries(demand).map(([temperatureClass, need]) => (capacity[temperatureClass]
+    ? Math.ceil(Math.max(need.weight / capacity[temperatureClass].maxWeight, need.volume / capacity[temperatureClass].volume))
+    : Infinity)));
+};
+
 /**
  * Calculate total weight and volume from orders
  */
@@ -25,17 +110,39 @@ export const calculateOrderTotals = (orders) => {
 };
 
 /**
- * Generate optimal vehicle suggestions based on orders and available vehicle types
+ * Check a vehicle selection ([{ type, quantity }]) against available counts per type.
+ * Without counts (null) every selection fits.
  */
-export const generateVehicleSuggestions = (orders, vehicleTypes) => {
+export const fitsAvailability = (vehicleSelection, availableCounts = null) => {
+  if (!availableCounts) return true;
+
+  const requested = {};
+  vehicleSelection.forEach(({ type, quantity }) => {
+    requested[type] = (requested[type] || 0) + quantity;
+  });
+  return Object.entries(requested).every(([type, quantity]) => quantity <= (availableCounts[type] || 0));
+};
+
+/**
+ * Generate optimal vehicle suggestions based on orders and available vehicle types.
+ * availableCounts ({ [typeId]: count }) caps how many of each type a suggestion may use.
+ */
+export const generateVehicleSuggestions = (orders, vehicleTypes, availableCounts = null) => {
   const { totalWeight, totalVolume } = calculateOrderTotals(orders);
 
   if (totalWeight === 0) return [];
 
+  // Chilled or frozen orders only count against compartments of their own class
+  const temperatureDemand = calculateTotalsByTemperature(orders);
   const suggestions = [];
 
+  // Only types with at least one vehicle available can be suggested
+  const usableVehicles = vehicleTypes.filter(vehicle =>
+    fitsAvailability([{ type: vehicle.id, quantity: 1 }], availableCounts)
+  );
+
   // Sort vehicles by efficiency (cost per unit capacity - considering both weight and volume)
-  const sortedVehicles = [...vehicleTypes].sort((a, b) => {
+  const sortedVehicles = [...usableVehicles].sort((a, b) => {
     const efficiencyA = a.costPerKm / Math.min(a.maxWeight / 1000, a.volume); // Cost per unit of limiting factor
     const efficiencyB = b.costPerKm / Math.min(b.maxWeight / 1000, b.volume);
     return efficiencyA - efficiencyB;
@@ -47,7 +154,7 @@ export const generateVehicleSuggestions = (orders, vehicleTypes) => {
     const volumeUtil = (totalVolume / vehicle.volume) * 100;
     const maxUtil = Math.max(weightUtil, volumeUtil);
 
-    if (weightUtil <= 100 && volumeUtil <= 100) {
+    if (weightUtil <= 100 && volumeUtil <= 100 && coversTemperatureDemand(temperatureDemand, [{ vehicleType: vehicle, quantity: 1 }])) {
       // Calculate efficiency score (higher is better)
       const efficiencyScore = maxUtil - (vehicle.costPerKm / 10); // Penalize higher cost
 
@@ -67,10 +174,10 @@ export const generateVehicleSuggestions = (orders, vehicleTypes) => {
   // Strategy 2: Multi-vehicle solutions (same type) - only if no single vehicle fits
   if (suggestions.length === 0) {
     for (const vehicle of sortedVehicles) {
-      const vehiclesNeeded = Math.ceil(Math.max(
+      const vehiclesNeeded = Math.max(Math.ceil(Math.max(
         totalWeight / vehicle.maxWeight,
         totalVolume / vehicle.volume
-      ));
+      )), getVehiclesNeededByTemperature(temperatureDemand, vehicle));
 
       if (vehiclesNeeded > 1 && vehiclesNeeded <= 5) { // Limit to reasonable number
         const weightUtil = (totalWeight / (vehicle.maxWeight * vehiclesNeeded)) * 100;
@@ -108,7 +215,12 @@ export const generateVehicleSuggestions = (orders, vehicleTypes) => {
         remainingVolume / smallestVehicle.volume
       ));
 
-      if (smallVehiclesNeeded <= 3) {
+      const coversTemperatures = coversTemperatureDemand(temperatureDemand, [
+        { vehicleType: largestVehicle, quantity: largeVehiclesNeeded },
+        { vehicleType: smallestVehicle, quantity: smallVehiclesNeeded }
+      ]);
+
+      if (smallVehiclesNeeded <= 3 && coversTemperatures) {
         const totalCost = (largestVehicle.costPerKm * largeVehiclesNeeded) +
                          (smallestVehicle.costPerKm * smallVehiclesNeeded);
 
@@ -154,7 +266,12 @@ export const generateVehicleSuggestions = (orders, vehicleTypes) => {
           const totalCapacityWeight = (vehicle1.maxWeight * qty1) + (vehicle2.maxWeight * qty2);
           const totalCapacityVolume = (vehicle1.volume * qty1) + (vehicle2.volume * qty2);
 
-          if (totalCapacityWeight >= totalWeight && totalCapacityVolume >= totalVolume) {
+          const coversTemperatures = coversTemperatureDemand(temperatureDemand, [
+            { vehicleType: vehicle1, quantity: qty1 },
+            { vehicleType: vehicle2, quantity: qty2 }
+          ]);
+
+          if (totalCapacityWeight >= totalWeight && totalCapacityVolume >= totalVolume && coversTemperatures) {
             const cost = (vehicle1.costPerKm * qty1) + (vehicle2.costPerKm * qty2);
             const weightUtil = (totalWeight / totalCapacityWeight) * 100;
             const volumeUtil = (totalVolume / totalCapacityVolume) * 100;
@@ -192,6 +309,7 @@ export const generateVehicleSuggestions = (orders, vehicleTypes) => {
 
   // Sort all suggestions by efficiency score (higher is better), then by efficiency, then by cost
   return suggestions
+    .filter(suggestion => fitsAvailability(suggestion.vehicles, availableCounts))
     .sort((a, b) => {
       // First, prioritize by efficiency score if available
       if (a.efficiencyScore !== undefined && b.efficiencyScore !== undefined) {
@@ -335,7 +453,7 @@ export const generateDropPoints = (orders, maxDropPoints = 1) => {
       }
       dropPointsByRoute[order.route].orders.push(order);
     });
-    return Object.values(dropPointsByRoute);
+    return Object.values(dropPointsByRoute).map((dp, index) => ({ ...dp, sequence: index + 1 }));
   }
 
   // Multiple drop points - group by unique delivery locations
@@ -372,7 +490,10 @@ export const generateDropPoints = (orders, maxDropPoints = 1) => {
     }
   }
 
-  return dropPoints;
+  // Visit stops in the order their deliveries first appear
+  return dropPoints
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map((dp, index) => ({ ...dp, sequence: index + 1 }));
 };
 
 /**
@@ -393,11 +514,39 @@ export const calculateOrderWeightAndVolume = (order) => {
   return { orderWeight, orderVolume };
 };
 
+// Numeric rank for sorting by priority; orders carry 'high' / 'medium' / 'low' or a number
+const getPriorityRank = (order) => {
+  const ranks = { high: 3, medium: 2, low: 1 };
+  return typeof order.priority === 'number' ? order.priority : (ranks[order.priority] || 0);
+};
+
+// Per-temperature capacity of a vehicle instance; instances built elsewhere fall back to their type
+const getInstanceCapacity = (vehicle) => vehicle.capacityByTemperature
+  || getCapacityByTemperature(vehicle.vehicleType || { maxWeight: vehicle.maxWeight, volume: vehicle.maxVolume });
+
+// Load an order onto a vehicle instance, keeping its totals per temperature class
+const addOrderToVehicle = (vehicle, order) => {
+  const { orderWeight, orderVolume } = calculateOrderWeightAndVolume(order);
+  const temperatureClass = getTemperatureRequirement(order);
+  const load = vehicle.loadByTemperature?.[temperatureClass] || { weight: 0, volume: 0 };
+
+  vehicle.orders.push(order);
+  vehicle.currentWeight += orderWeight;
+  vehicle.currentVolume += orderVolume;
+  vehicle.loadByTemperature = {
+    ...vehicle.loadByTemperature,
+    [temperatureClass]: { weight: load.weight + orderWeight, volume: load.volume + orderVolume }
+  };
+};
+
 /**
- * Distribute orders for a single route across vehicles with LIFO arrangement
+ * Distribute orders for a single route across vehicles with LIFO arrangement.
+ * An order only goes onto vehicles with a compartment of its temperature class;
+ * orders no vehicle can take are left out (see findUnassignedOrders).
  */
 export const distributeOrdersForRoute = (routeOrders, availableVehicles, loadingSequence = 'lifo') => {
   const vehicleInstances = [...availableVehicles];
+  if (vehicleInstances.length === 0) return [];
 
   // Sort orders based on loading sequence
   let sortedOrders;
@@ -420,7 +569,7 @@ export const distributeOrdersForRoute = (routeOrders, availableVehicles, loading
       break;
     case 'priority':
       // Priority-based sequence (high priority first)
-      sortedOrders = [...routeOrders].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+      sortedOrders = [...routeOrders].sort((a, b) => getPriorityRank(b) - getPriorityRank(a));
       break;
     default:
       sortedOrders = [...routeOrders];
@@ -429,14 +578,21 @@ export const distributeOrdersForRoute = (routeOrders, availableVehicles, loading
   // Distribute orders using best-fit algorithm
   sortedOrders.forEach(order => {
     const { orderWeight, orderVolume } = calculateOrderWeightAndVolume(order);
+    const temperatureClass = getTemperatureRequirement(order);
+    const candidates = vehicleInstances.filter(vehicle => getInstanceCapacity(vehicle)[temperatureClass]);
+    if (candidates.length === 0) return;
 
     // Find the best vehicle for this order (most utilized but still has capacity)
     let bestVehicle = null;
     let bestUtilization = -1;
 
-    vehicleInstances.forEach(vehicle => {
-      const wouldFitWeight = vehicle.currentWeight + orderWeight <= vehicle.maxWeight;
-      const wouldFitVolume = vehicle.currentVolume + orderVolume <= vehicle.maxVolume;
+    candidates.forEach(vehicle => {
+      const compartment = getInstanceCapacity(vehicle)[temperatureClass];
+      const compartmentLoad = vehicle.loadByTemperature?.[temperatureClass] || { weight: 0, volume: 0 };
+      const wouldFitWeight = vehicle.currentWeight + orderWeight <= vehicle.maxWeight
+        && compartmentLoad.weight + orderWeight <= compartment.maxWeight;
+      const wouldFitVolume = vehicle.currentVolume + orderVolume <= vehicle.maxVolume
+        && compartmentLoad.volume + orderVolume <= compartment.volume;
 
       if (wouldFitWeight && wouldFitVolume) {
         const currentUtilization = Math.max(
@@ -453,7 +609,7 @@ export const distributeOrdersForRoute = (routeOrders, availableVehicles, loading
 
     // If no vehicle can fit the order, assign to the one with most remaining capacity
     if (!bestVehicle) {
-      bestVehicle = vehicleInstances.reduce((best, vehicle) => {
+      bestVehicle = candidates.reduce((best, vehicle) => {
         const remainingCapacity = Math.min(
           vehicle.maxWeight - vehicle.currentWeight,
           vehicle.maxVolume - vehicle.currentVolume
@@ -468,9 +624,7 @@ export const distributeOrdersForRoute = (routeOrders, availableVehicles, loading
     }
 
     if (bestVehicle) {
-      bestVehicle.orders.push(order);
-      bestVehicle.currentWeight += orderWeight;
-      bestVehicle.currentVolume += orderVolume;
+      addOrderToVehicle(bestVehicle, order);
       bestVehicle.route = order.route; // Assign route to vehicle
     }
   });
@@ -481,23 +635,35 @@ export const distributeOrdersForRoute = (routeOrders, availableVehicles, loading
 /**
  * Distribute orders optimally across multiple vehicles with route awareness
  */
-export const distributeOrdersAcrossVehicles = (orders, vehicleConfig, vehicleTypes, options = {}) => {
+export const distributeOrdersAcrossVehicles = (selectedOrders, vehicleConfig, vehicleTypes, options = {}) => {
+  // Work on orders in id order so the plan does not depend on selection order
+  const orders = [...selectedOrders].sort((a, b) => String(a.id).localeCompare(String(b.id)));
   const {
     routeStrategy = 'separate', // 'separate' or 'consolidate'
     loadingSequence = 'lifo',
     allowMixedRoutes = false,
-    dropPoints = 1
+    dropPoints = 1,
+    availableVehicles = null, // { [typeId]: count }; null means no limit
+    pinnedVehicles = [] // [{ type, orderIds }]; orders that must share a vehicle of that type
   } = options;
 
   let vehicleCounter = 1;
   const allVehicleInstances = [];
+  const remainingVehicles = availableVehicles && { ...availableVehicles };
 
   // Generate drop points based on configuration
   const dropPointsData = generateDropPoints(orders, dropPoints);
 
-  // Create vehicle instances
-  const createVehicleInstances = (quantity, vehicleType) => {
+  // Create vehicle instances, never more than are still available
+  const createVehicleInstances = (requestedQuantity, vehicleType) => {
     const instances = [];
+    const quantity = remainingVehicles
+      ? Math.min(requestedQuantity, remainingVehicles[vehicleType?.id] || 0)
+      : requestedQuantity;
+    if (remainingVehicles) {
+      remainingVehicles[vehicleType?.id] = (remainingVehicles[vehicleType?.id] || 0) - quantity;
+    }
+
     for (let i = 0; i < quantity; i++) {
       instances.push({
         id: `V${vehicleCounter.toString().padStart(3, '0')}`,
@@ -505,8 +671,10 @@ export const distributeOrdersAcrossVehicles = (orders, vehicleConfig, vehicleTyp
         vehicleType,
         maxWeight: vehicleType?.maxWeight || 0,
         maxVolume: vehicleType?.volume || 0,
+        capacityByTemperature: getCapacityByTemperature(vehicleType),
         currentWeight: 0,
         currentVolume: 0,
+        loadByTemperature: {},
         orders: [],
         route: null,
         dropPoints: []
@@ -516,55 +684,72 @@ export const distributeOrdersAcrossVehicles = (orders, vehicleConfig, vehicleTyp
     return instances;
   };
 
+  // Pinned orders go onto their own vehicles first; other orders may still fill the space left.
+  // When no vehicle of the pinned type is left, the orders are planned like any other.
+  const pinnedInstances = [];
+  const pinnedOrderIds = new Set();
+  pinnedVehicles.forEach(pin => {
+    const vehicleType = vehicleTypes.find(vt => vt.id === pin.type);
+    const pinOrders = orders.filter(order => pin.orderIds.includes(order.id) && !pinnedOrderIds.has(order.id));
+    if (!vehicleType || pinOrders.length === 0) return;
+
+    const [instance] = createVehicleInstances(1, vehicleType);
+    if (!instance) return;
+
+    pinOrders.forEach(order => {
+      addOrderToVehicle(instance, order);
+      pinnedOrderIds.add(order.id);
+    });
+    instance.route = pinOrders[0].route;
+    pinnedInstances.push(instance);
+  });
+  const unpinnedOrders = orders.filter(order => !pinnedOrderIds.has(order.id));
+
   if (routeStrategy === 'separate') {
     // Strategy 1: Separate vehicles for each route
-    const ordersByRoute = groupOrdersByRoute(orders);
+    const routeNames = Object.keys(groupOrdersByRoute(orders));
+    const ordersByRoute = groupOrdersByRoute(unpinnedOrders);
 
-    Object.entries(ordersByRoute).forEach(([route, routeOrders]) => {
-      // Calculate requirements for this route
-      const { totalWeight, totalVolume } = calculateOrderTotals(routeOrders);
+    routeNames.forEach(route => {
+      const routeOrders = ordersByRoute[route] || [];
+      const routeVehicles = pinnedInstances.filter(vehicle => vehicle.route === route);
 
-      // Determine optimal vehicle allocation for this route
-      const routeVehicleSuggestions = generateVehicleSuggestions(routeOrders, vehicleTypes);
-      const bestSuggestion = routeVehicleSuggestions[0];
+      if (routeOrders.length > 0) {
+        // Determine optimal vehicle allocation for this route from the vehicles still available
+        const routeVehicleSuggestions = generateVehicleSuggestions(routeOrders, vehicleTypes, remainingVehicles);
+        const bestSuggestion = routeVehicleSuggestions[0];
 
-      if (bestSuggestion) {
-        // Use suggested vehicles for this route
-        bestSuggestion.vehicles.forEach(vc => {
-          const vehicleType = vehicleTypes.find(vt => vt.id === vc.type);
-          const routeVehicles = createVehicleInstances(vc.quantity, vehicleType);
-          const distributedVehicles = distributeOrdersForRoute(routeOrders, routeVehicles, loadingSequence);
-          allVehicleInstances.push(...distributedVehicles);
-        });
-      } else {
-        // Fallback to user-selected vehicles
-        vehicleConfig.forEach(vc => {
+        // Use suggested vehicles for this route, or fall back to user-selected vehicles
+        (bestSuggestion ? bestSuggestion.vehicles : vehicleConfig).forEach(vc => {
           const vehicleType = vehicleTypes.find(vt => vt.id === vc.type);
-          const routeVehicles = createVehicleInstances(vc.quantity, vehicleType);
-          const distributedVehicles = distributeOrdersForRoute(routeOrders, routeVehicles, loadingSequence);
-          allVehicleInstances.push(...distributedVehicles);
+          routeVehicles.push(...createVehicleInstances(vc.quantity, vehicleType));
         });
       }
+
+      // All of the route's vehicles share one distribution so each order is loaded once
+      allVehicleInstances.push(...distributeOrdersForRoute(routeOrders, routeVehicles, loadingSequence));
     });
   } else {
-    // Strategy 2: Consolidate orders across routes (original behavior)
-    const vehicleInstances = [];
+    // Strategy 2: Consolidate orders across routes (original behavior).
+    // Pinned vehicles count towards the selected quantities.
+    const vehicleInstances = [...pinnedInstances];
     vehicleConfig.forEach(vc => {
       const vehicleType = vehicleTypes.find(vt => vt.id === vc.type);
-      vehicleInstances.push(...createVehicleInstances(vc.quantity, vehicleType));
+      const pinnedCount = pinnedInstances.filter(vehicle => vehicle.type === vc.type).length;
+      vehicleInstances.push(...createVehicleInstances(Math.max(0, vc.quantity - pinnedCount), vehicleType));
     });
 
     if (allowMixedRoutes) {
       // Allow orders from different routes in the same vehicle
-      const distributedVehicles = distributeOrdersForRoute(orders, vehicleInstances, loadingSequence);
+      const distributedVehicles = distributeOrdersForRoute(unpinnedOrders, vehicleInstances, loadingSequence);
       allVehicleInstances.push(...distributedVehicles);
     } else {
-      // Group by route but use shared vehicle pool
-      const ordersByRoute = groupOrdersByRoute(orders);
-      Object.entries(ordersByRoute).forEach(([route, routeOrders]) => {
-        const distributedVehicles = distributeOrdersForRoute(routeOrders, vehicleInstances, loadingSequence);
-        allVehicleInstances.push(...distributedVehicles);
+      // Group by route but use shared vehicle pool; each used vehicle is listed once
+      const ordersByRoute = groupOrdersByRoute(unpinnedOrders);
+      Object.values(ordersByRoute).forEach(routeOrders => {
+        distributeOrdersForRoute(routeOrders, vehicleInstances, loadingSequence);
       });
+      allVehicleInstances.push(...vehicleInstances.filter(vehicle => vehicle.orders.length > 0));
     }
   }
 
@@ -579,24 +764,396 @@ export const distributeOrdersAcrossVehicles = (orders, vehicleConfig, vehicleTyp
   });
 
   // Convert to final format
-  return allVehicleInstances.map(vehicle => ({
-    id: vehicle.id,
-    type: vehicle.type,
-    name: vehicle.vehicleType?.name || 'Unknown Vehicle',
-    route: vehicle.route || (vehicle.orders.length > 0 ? vehicle.orders[0].route : 'DEL-MUM'),
+  return allVehicleInstances.map(vehicle => formatVehicle(vehicle, loadingSequence));
+};
+
+/**
+ * Orders that no vehicle was allocated for, e.g. because the fleet ran out or no
+ * vehicle has a compartment of their temperature class, as unplaced entries with a reason
+ */
+export const findUnassignedOrders = (orders, vehicles) => {
+  const assignedIds = new Set(vehicles.flatMap(vehicle => vehicle.orders.map(order => order.id)));
+  const planClasses = new Set(vehicles.flatMap(vehicle =>
+    (vehicle.vehicleType ? getVehicleCompartments(vehicle.vehicleType) : []).map(compartment => compartment.temperatureClass)
+  ));
+
+  return orders
+    .filter(order => !assignedIds.has(order.id))
+    .map(order => ({
+      ...order,
+      unplacedReason: planClasses.has(getTemperatureRequirement(order))
+        ? {
+            type: 'no_vehicle_available',
+            message: `No available vehicle left to carry ${order.id}`
+          }
+        : {
+            type: 'no_temperature_compartment',
+            message: `No vehicle in the plan has a ${getTemperatureRequirement(order)} compartment for ${order.id}`
+          }
+    }));
+};
+
+/**
+ * Convert an internal vehicle instance into the plan vehicle format
+ */
+const formatVehicle = (vehicle, loadingSequence) => ({
+  id: vehicle.id,
+  type: vehicle.type,
+  name: vehicle.vehicleType?.name || 'Unknown Vehicle',
+  route: vehicle.route || vehicle.orders[0]?.route || null,
+  utilization: {
+    volume: vehicle.maxVolume > 0 ? (vehicle.currentVolume / vehicle.maxVolume) * 100 : 0,
+    weight: vehicle.maxWeight > 0 ? (vehicle.currentWeight / vehicle.maxWeight) * 100 : 0
+  },
+  orders: vehicle.orders,
+  dropPoints: vehicle.dropPoints || [],
+  capacity: {
+    maxWeight: vehicle.maxWeight,
+    maxVolume: vehicle.maxVolume,
+    currentWeight: vehicle.currentWeight,
+    currentVolume: vehicle.currentVolume
+  },
+  loadingSequence,
+  vehicleType: vehicle.vehicleType
+});
+
+/**
+ * Build a plan vehicle of the given type carrying the given orders
+ */
+export const createVehicleForOrders = (vehicleId, vehicleType, orders, options = {}) => {
+  const { loadingSequence = 'lifo', dropPoints = 1 } = options;
+  const { totalWeight, totalVolume } = calculateOrderTotals(orders);
+
+  return formatVehicle({
+    id: vehicleId,
+    type: vehicleType.id,
+    vehicleType,
+    maxWeight: vehicleType.maxWeight || 0,
+    maxVolume: vehicleType.volume || 0,
+    currentWeight: totalWeight,
+    currentVolume: totalVolume,
+    orders,
+    route: orders[0]?.route || null,
+    dropPoints: generateDropPoints(orders, dropPoints)
+  }, loadingSequence);
+};
+
+/**
+ * Rebuild orders from the items that vehicles' load plans could not place
+ */
+export const collectUnplacedOrders = (vehicles) => {
+  const ordersById = {};
+
+  vehicles.forEach(vehicle => {
+    (vehicle.loadPlan?.unplaced || []).forEach(item => {
+      // An unplaced pallet gives back the order units built onto it
+      const units = item.contents
+        ? item.contents.map(content => ({ orderId: content.orderId, quantity: content.units }))
+        : [{ orderId: item.orderId || item.id, quantity: item.unitCount ?? item.quantity }];
+
+      units.forEach(({ orderId, quantity }) => {
+        if (!ordersById[orderId]) {
+          const sourceOrder = vehicle.orders.find(order => order.id === orderId) || item;
+          ordersById[orderId] = { ...sourceOrder, quantity: 0 };
+        }
+        ordersById[orderId].quantity += quantity;
+      });
+    });
+  });
+
+  return Object.values(ordersById);
+};
+
+/**
+ * Drop unplaced cargo from a vehicle, keeping only the units its load plan placed
+ */
+export const releaseUnplacedCargo = (vehicle) => {
+  const placedUnits = {};
+  (vehicle.loadPlan?.unitSummary || []).forEach(summary => {
+    placedUnits[summary.orderId] = summary.placed;
+  });
+
+  const orders = vehicle.orders
+    .map(order => ({ ...order, quantity: placedUnits[order.id] ?? order.quantity }))
+    .filter(order => order.quantity > 0);
+  const { totalWeight, totalVolume } = calculateOrderTotals(orders);
+
+  return {
+    ...vehicle,
+    orders,
     utilization: {
-      volume: vehicle.maxVolume > 0 ? (vehicle.currentVolume / vehicle.maxVolume) * 100 : 0,
-      weight: vehicle.maxWeight > 0 ? (vehicle.currentWeight / vehicle.maxWeight) * 100 : 0
+      volume: vehicle.capacity.maxVolume > 0 ? (totalVolume / vehicle.capacity.maxVolume) * 100 : 0,
+      weight: vehicle.capacity.maxWeight > 0 ? (totalWeight / vehicle.capacity.maxWeight) * 100 : 0
     },
-    orders: vehicle.orders,
-    dropPoints: vehicle.dropPoints || [],
     capacity: {
-      maxWeight: vehicle.maxWeight,
-      maxVolume: vehicle.maxVolume,
-      currentWeight: vehicle.currentWeight,
-      currentVolume: vehicle.currentVolume
+      ...vehicle.capacity,
+      currentWeight: totalWeight,
+      currentVolume: totalVolume
     },
-    loadingSequence,
-    vehicleType: vehicle.vehicleType
-  }));
+    loadPlan: vehicle.loadPlan && {
+      ...vehicle.loadPlan,
+      unplaced: [],
+      warnings: vehicle.loadPlan.warnings.filter(warning => warning.type !== 'unplaced_items'),
+      // Orders with nothing placed have left the vehicle
+      unitSummary: vehicle.loadPlan.unitSummary
+        .filter(summary => summary.placed > 0)
+        .map(summary => ({
+          ...summary,
+          ordered: summary.placed,
+          unplaced: 0
+        }))
+    }
+  };
+};
+
+/**
+ * Check whether a single unit of an order fits a compartment of its temperature class.
+ * With a pallet spec (palletisation on), cartons travel on pallets, so the unit is a
+ * pallet of the spec's footprint built up to its height and weight limits.
+ */
+const unitFitsVehicle = (order, vehicleType, palletSpec = null) => {
+  if (!vehicleType.dimensions) return true;
+  const palletized = palletSpec && order.materialType === 'cuboidal' && order.palletize !== false;
+
+  return getVehicleCompartments(vehicleType).some(compartment => {
+    const body = compartment.dimensions;
+    if (compartment.temperatureClass !== getTemperatureRequirement(order)) return false;
+
+    if (palletized) {
+      const { length, width, maxHeight, tareWeight, maxWeight } = palletSpec;
+      const palletWeight = tareWeight + Math.min(maxWeight, order.weight * order.quantity);
+      const footprintFits = (length <= body.length && width <= body.width) || (width <= body.length && length <= body.width);
+      return footprintFits && maxHeight <= body.height
+        && palletWeight <= Math.min(vehicleType.maxWeight, compartment.maxWeight ?? vehicleType.maxWeight);
+    }
+
+    if (order.materialType === 'cylindrical') {
+      const { diameter, height } = order.dimensions;
+      return order.orientation === 'horizontal'
+        ? height <= body.length && diameter <= Math.min(body.width, body.height)
+        : diameter <= Math.min(body.length, body.width) && height <= body.height;
+    }
+
+    const { length, width, height } = order.dimensions;
+    return length <= body.length && width <= body.width && height <= body.height;
+  });
+};
+
+/**
+ * Pick the cheapest vehicle type that can carry all the given orders.
+ * When no single type takes everything, fall back to the largest type the units fit into.
+ * palletSpec (see resolvePalletSpec) sizes palletised cartons by their pallets.
+ */
+export const selectOverflowVehicleType = (orders, vehicleTypes, palletSpec = null) => {
+  const { totalWeight, totalVolume } = calculateOrderTotals(orders);
+  const candidates = vehicleTypes.filter(vt => orders.every(order => unitFitsVehicle(order, vt, palletSpec)));
+
+  const cheapestFitting = candidates
+    .filter(vt => totalWeight <= vt.maxWeight && totalVolume <= vt.volume)
+    .sort((a, b) => a.costPerKm - b.costPerKm)[0];
+
+  return cheapestFitting || [...candidates].sort((a, b) => b.maxWeight - a.maxWeight)[0] || null;
+};
+
+/**
+ * Move cargo the load plans could not place into extra vehicles.
+ * optimizeVehicle(vehicle) must return the vehicle with its loadPlan attached.
+ * Returns the updated vehicle list and any items that still have no vehicle.
+ */
+export const planOverflowVehicles = (vehicles, vehicleTypes, optimizeVehicle, options = {}) => {
+  const { allowMixedRoutes = false, maxOverflowVehicles = 10, availableVehicles = null, palletization = null } = options;
+  const palletSpec = palletization?.enabled ? resolvePalletSpec(palletization) : null;
+
+  // Overflow vehicles come out of whatever the plan has not already used
+  const remainingVehicles = availableVehicles && { ...availableVehicles };
+  if (remainingVehicles) {
+    vehicles.forEach(vehicle => {
+      remainingVehicles[vehicle.type] = (remainingVehicles[vehicle.type] || 0) - 1;
+    });
+  }
+
+  const pendingOrders = collectUnplacedOrders(vehicles);
+  const resultVehicles = vehicles.map(releaseUnplacedCargo);
+  const unplaced = [];
+
+  let nextVehicleNumber = vehicles.reduce((max, vehicle) =>
+    Math.max(max, parseInt(vehicle.id.replace(/\D/g, ''), 10) || 0), 0) + 1;
+  let overflowCount = 0;
+
+  const orderGroups = allowMixedRoutes
+    ? [pendingOrders]
+    : Object.values(groupOrdersByRoute(pendingOrders));
+
+  orderGroups.forEach(groupOrders => {
+    let remainingOrders = groupOrders;
+    // Types that could not place any of the cargo are not tried again
+    const rejectedTypeIds = new Set();
+    let rejectedUnplaced = null;
+
+    while (remainingOrders.length > 0 && overflowCount < maxOverflowVehicles) {
+      const usableTypes = vehicleTypes.filter(vt =>
+        !rejectedTypeIds.has(vt.id) && (!remainingVehicles || remainingVehicles[vt.id] > 0)
+      );
+      const vehicleType = selectOverflowVehicleType(remainingOrders, usableTypes, palletSpec);
+      if (!vehicleType) break;
+
+      const vehicleId = `V${nextVehicleNumber.toString().padStart(3, '0')}`;
+      const overflowVehicle = optimizeVehicle(createVehicleForOrders(vehicleId, vehicleType, remainingOrders, options));
+
+      // When the new vehicle could not take anything, try the next type; if none can,
+      // the last attempt's reasons are reported below
+      if (overflowVehicle.loadPlan.items.length === 0) {
+        rejectedTypeIds.add(vehicleType.id);
+        rejectedUnplaced = overflowVehicle.loadPlan.unplaced;
+        continue;
+      }
+
+      rejectedUnplaced = null;
+      nextVehicleNumber++;
+      overflowCount++;
+      if (remainingVehicles) remainingVehicles[vehicleType.id]--;
+      remainingOrders = collectUnplacedOrders([overflowVehicle]);
+      resultVehicles.push(remainingOrders.length > 0 ? releaseUnplacedCargo(overflowVehicle) : overflowVehicle);
+    }
+
+    const limitReached = overflowCount >= maxOverflowVehicles;
+    if (rejectedUnplaced && !limitReached) {
+      unplaced.push(...rejectedUnplaced);
+      return;
+    }
+    remainingOrders.forEach(order => {
+      unplaced.push({
+        ...order,
+        unplacedReason: limitReached
+          ? {
+              type: 'overflow_limit_reached',
+              message: `Overflow limit of ${maxOverflowVehicles} vehicle(s) reached before ${order.quantity} unit(s) of ${order.id} could be planned`
+            }
+          : {
+              type: 'no_overflow_vehicle',
+              message: `No vehicle type available to carry ${order.quantity} unit(s) of ${order.id}`
+            }
+      });
+    });
+  });
+
+  return { vehicles: resultVehicles, unplaced };
+};
+
+/**
+ * Move one order from a plan vehicle onto another vehicle, or onto a new vehicle of a given type.
+ * target is { vehicleId } or { vehicleTypeId }. Affected vehicles are rebuilt under their own ids;
+ * a vehicle left empty is dropped. Load plans are not attached; re-optimise affectedIds afterwards.
+ * options.palletization sizes palletised cartons by their pallets, as in planOverflowVehicles.
+ * @returns {Object} - { vehicles, affectedIds }
+ * @throws {Error} - When the target cannot take the order
+ */
+export const moveOrderToVehicle = (vehicles, { orderId, fromVehicleId }, target, vehicleTypes, options = {}) => {
+  const { allowMixedRoutes = false, availableVehicles = null, palletization = null } = options;
+  const palletSpec = palletization?.enabled ? resolvePalletSpec(palletization) : null;
+
+  const source = vehicles.find(vehicle => vehicle.id === fromVehicleId);
+  const order = source?.orders.find(candidate => candidate.id === orderId);
+  if (!order) {
+    throw new Error(`Order ${orderId} is not on vehicle ${fromVehicleId}`);
+  }
+  if (target.vehicleId === fromVehicleId) {
+    return { vehicles, affectedIds: [] };
+  }
+
+  const existingTarget = target.vehicleId ? vehicles.find(vehicle => vehicle.id === target.vehicleId) : null;
+  if (target.vehicleId && !existingTarget) {
+    throw new Error(`Vehicle ${target.vehicleId} is not in the plan`);
+  }
+
+  const vehicleType = existingTarget
+    ? vehicleTypes.find(vt => vt.id === existingTarget.type) || existingTarget.vehicleType
+    : vehicleTypes.find(vt => vt.id === target.vehicleTypeId);
+  if (!vehicleType) {
+    throw new Error(`Unknown vehicle type ${target.vehicleTypeId}`);
+  }
+
+  if (!existingTarget && availableVehicles) {
+    const inUse = vehicles.filter(vehicle => vehicle.type === vehicleType.id).length;
+    if (inUse >= (availableVehicles[vehicleType.id] || 0)) {
+      throw new Error(`No ${vehicleType.name} left to add to this plan`);
+    }
+  }
+
+  const targetName = existingTarget ? existingTarget.id : `a new ${vehicleType.name}`;
+  if (existingTarget && !allowMixedRoutes && existingTarget.route && existingTarget.route !== order.route) {
+    throw new Error(`${existingTarget.id} runs ${existingTarget.route}; ${orderId} travels ${order.route}`);
+  }
+  if (!unitFitsVehicle(order, vehicleType, palletSpec)) {
+    throw new Error(`${orderId} does not fit any ${getTemperatureRequirement(order)} compartment of ${targetName}`);
+  }
+
+  // A split order already on the target is merged back into one line
+  const targetOrders = existingTarget ? [...existingTarget.orders] : [];
+  const mergeIndex = targetOrders.findIndex(candidate => candidate.id === orderId);
+  if (mergeIndex >= 0) {
+    targetOrders[mergeIndex] = { ...targetOrders[mergeIndex], quantity: targetOrders[mergeIndex].quantity + order.quantity };
+  } else {
+    targetOrders.push(order);
+  }
+
+  const { totalWeight, totalVolume } = calculateOrderTotals(targetOrders);
+  if (!coversTemperatureDemand(calculateTotalsByTemperature(targetOrders), [{ vehicleType, quantity: 1 }])) {
+    throw new Error(`${orderId} would overfill the ${getTemperatureRequirement(order)} compartment space of ${targetName}`);
+  }
+  if (totalWeight > vehicleType.maxWeight) {
+    throw new Error(`${orderId} would put ${targetName} at ${Math.round(totalWeight)} kg, over its ${vehicleType.maxWeight} kg payload`);
+  }
+  if (totalVolume > vehicleType.volume) {
+    throw new Error(`${orderId} would put ${targetName} at ${totalVolume.toFixed(1)} m³, over its ${vehicleType.volume} m³ capacity`);
+  }
+
+  const nextVehicleNumber = vehicles.reduce((max, vehicle) =>
+    Math.max(max, parseInt(vehicle.id.replace(/\D/g, ''), 10) || 0), 0) + 1;
+  const targetId = existingTarget ? existingTarget.id : `V${nextVehicleNumber.toString().padStart(3, '0')}`;
+  const sourceOrders = source.orders.filter(candidate => candidate !== order);
+  const sourceType = source.vehicleType || vehicleTypes.find(vt => vt.id === source.type);
+
+  const rebuilt = {
+    [source.id]: sourceOrders.length > 0 ? createVehicleForOrders(source.id, sourceType, sourceOrders, options) : null,
+    [targetId]: createVehicleForOrders(targetId, vehicleType, targetOrders, options)
+  };
+
+  const resultVehicles = vehicles
+    .map(vehicle => (vehicle.id in rebuilt ? rebuilt[vehicle.id] : vehicle))
+    .filter(Boolean);
+  if (!existingTarget) {
+    resultVehicles.push(rebuilt[targetId]);
+  }
+
+  return {
+    vehicles: resultVehicles,
+    affectedIds: Object.keys(rebuilt).filter(id => rebuilt[id])
+  };
+};
+
+/**
+ * Group pinned orders by the vehicle they are pinned to, for re-planning.
+ * pins maps orderId -> vehicleId; pins to vehicles no longer in the plan are ignored.
+ * @returns {Array} - [{ type, orderIds }]
+ */
+export const getPinnedVehicles = (pins = {}, vehicles = []) =>
+  vehicles
+    .map(vehicle => ({
+      type: vehicle.type,
+      orderIds: Object.keys(pins).filter(orderId => pins[orderId] === vehicle.id)
+    }))
+    .filter(pin => pin.orderIds.length > 0);
+
+/**
+ * Point pins at whichever vehicle now carries each pinned order
+ * @returns {Object} - orderId -> vehicleId
+ */
+export const rekeyPins = (pins = {}, vehicles = []) => {
+  const rekeyed = {};
+  Object.keys(pins).forEach(orderId => {
+    const vehicle = vehicles.find(candidate => candidate.orders.some(order => order.id === orderId));
+    if (vehicle) rekeyed[orderId] = vehicle.id;
+  });
+  return rekeyed;
 };
@@ -8,8 +8,18 @@ import {
   calculateUtilization,
   distributeOrdersAcrossVehicles,
   groupOrdersByRoute,
-  distributeOrdersForRoute
+  distributeOrdersForRoute,
+  selectOverflowVehicleType,
+  findUnassignedOrders,
+  moveOrderToVehicle,
+  getPinnedVehicles,
+  planOverflowVehicles,
+  createVehicleForOrders
 } from './vehicleOptimization.js';
+import { LoadOptimizer } from './loadOptimization.js';
+import { resolvePalletSpec } from './palletBuilder.js';
+import { check, errorMessageOf } from './testHelpers.js';
+import { vehicleTypes as fleetVehicleTypes, sampleOrders } from '../data/mockData.js';
 
 // Mock data for testing
 const mockOrders = [
@@ -213,4 +223,91 @@ loadingSequences.forEach(sequence => {
 });
 
 console.log('\n=== ROUTE-AWARE TESTS COMPLETED ===');
+
+// Test overflow vehicle selection
+console.log('\nTesting selectOverflowVehicleType...');
+check('overflow vehicle for 250kg', 'TATA_ACE', selectOverflowVehicleType([{ ...mockOrders[0], quantity: 10 }], mockVehicleTypes)?.id);
+check('overflow vehicle for 1575kg', 'SXL', selectOverflowVehicleType(mockOrders, mockVehicleTypes)?.id);
+
+// Regression: planning is deterministic and leaves its inputs untouched
+console.log('\nTesting deterministic distribution...');
+const regressionOptions = { routeStrategy: 'consolidate', loadingSequence: 'lifo', allowMixedRoutes: true, dropPoints: 2 };
+const inputSnapshot = JSON.stringify(mockOrdersMultiRoute);
+const firstRun = distributeOrdersAcrossVehicles(mockOrdersMultiRoute, [{ type: 'SXL', quantity: 2 }], mockVehicleTypes, regressionOptions);
+const reversedRun = distributeOrdersAcrossVehicles([...mockOrdersMultiRoute].reverse(), [{ type: 'SXL', quantity: 2 }], mockVehicleTypes, regressionOptions);
+check('identical plans for reordered input', true, JSON.stringify(firstRun) === JSON.stringify(reversedRun));
+check('input orders unchanged', true, JSON.stringify(mockOrdersMultiRoute) === inputSnapshot);
+check('vehicle assignment', 'V001[SO001,SO002,SO003,SO004,SO005]',
+  firstRun.map(vehicle => `${vehicle.id}[${vehicle.orders.map(o => o.id).sort().join(',')}]`).join(' '));
+
+// Fleet availability caps what planning may allocate
+console.log('\nTesting fleet availability limits...');
+const noSxl = generateVehicleSuggestions(mockOrders, mockVehicleTypes, { SXL: 0, TATA_ACE: 3, EICHER_14FT: 1 });
+check('no suggestion using SXL when none are available', true,
+  noSxl.length > 0 && noSxl.every(s => s.vehicles.every(v => v.type !== 'SXL')));
+check('no suggestions with an empty fleet', 0, generateVehicleSuggestions(mockOrders, mockVehicleTypes, {}).length);
+const limitedRun = distributeOrdersAcrossVehicles(mockOrdersMultiRoute, [{ type: 'SXL', quantity: 3 }], mockVehicleTypes,
+  { routeStrategy: 'separate', loadingSequence: 'lifo', availableVehicles: { SXL: 1 } });
+check('vehicles allocated with one SXL available', 1, limitedRun.length);
+const assignedIds = limitedRun.flatMap(vehicle => vehicle.orders.map(order => order.id));
+check('every order loaded at most once', true, assignedIds.length === new Set(assignedIds).size);
+check('unassigned orders reported for the routes without a vehicle', mockOrdersMultiRoute.length - assignedIds.length,
+  findUnassignedOrders(mockOrdersMultiRoute, limitedRun).length);
+
+// Manual plan edits and pinned orders
+console.log('\nTesting plan edits and pinning...');
+const editOptions = { routeStrategy: 'consolidate', loadingSequence: 'lifo', allowMixedRoutes: true };
+const editBase = distributeOrdersAcrossVehicles(mockOrdersMultiRoute, [{ type: 'SXL', quantity: 1 }], mockVehicleTypes, editOptions);
+const moved = moveOrderToVehicle(editBase, { orderId: 'SO001', fromVehicleId: 'V001' }, { vehicleTypeId: 'SXL' }, mockVehicleTypes, editOptions);
+check('SO001 moved onto a new vehicle V002', 'V001[SO002,SO003,SO004,SO005] V002[SO001]',
+  moved.vehicles.map(vehicle => `${vehicle.id}[${vehicle.orders.map(o => o.id).sort().join(',')}]`).join(' '));
+check('affected vehicles', 'V001,V002', moved.affectedIds.join(','));
+const rejectMove = (target, options) => errorMessageOf(() =>
+  moveOrderToVehicle(editBase, { orderId: 'SO001', fromVehicleId: 'V001' }, target, mockVehicleTypes, { ...editOptions, ...options }));
+check('move over the Tata Ace payload to be rejected', true, (await rejectMove({ vehicleTypeId: 'TATA_ACE' })) !== null);
+check('move onto a vehicle type with none left to be rejected', true,
+  (await rejectMove({ vehicleTypeId: 'SXL' }, { availableVehicles: { SXL: 1 } })) !== null);
+const pinnedRun = distributeOrdersAcrossVehicles(mockOrdersMultiRoute, [{ type: 'SXL', quantity: 1 }], mockVehicleTypes,
+  { ...editOptions, pinnedVehicles: getPinnedVehicles({ SO001: 'V002' }, moved.vehicles) });
+check('pinned SO001 planned onto its pinned vehicle first', 'V001',
+  pinnedRun.find(vehicle => vehicle.orders.some(o => o.id === 'SO001'))?.id);
+
+// Orders only count against compartments of their own temperature class
+console.log('\nTesting temperature-aware vehicle assignment...');
+const ambientCartons = [{ ...mockOrders[0], id: 'SO900', quantity: 400, weight: 10 }];
+const ambientRun = distributeOrdersAcrossVehicles(ambientCartons, [{ type: 'SXL', quantity: 1 }], fleetVehicleTypes, { routeStrategy: 'separate' });
+check('400 ambient cartons (28.8 m³) not to go to the reefer, whose ambient compartment is 18.5 m³', 'SXL',
+  ambientRun.map(vehicle => vehicle.type).join(','));
+const chilledRun = distributeOrdersAcrossVehicles(sampleOrders.filter(order => ['SO001', 'SO006', 'SO008'].includes(order.id)),
+  [{ type: 'SXL', quantity: 1 }], fleetVehicleTypes, { routeStrategy: 'separate' });
+check('chilled SO006 and SO008 on a vehicle with a chilled compartment', 'REEFER_20FT,REEFER_20FT',
+  ['SO006', 'SO008'].map(orderId => chilledRun.find(vehicle => vehicle.orders.some(order => order.id === orderId))?.type).join(','));
+const noReeferOrders = sampleOrders.filter(order => ['SO001', 'SO006'].includes(order.id));
+const noReeferRun = distributeOrdersAcrossVehicles(noReeferOrders, [{ type: 'SXL', quantity: 1 }], fleetVehicleTypes, { routeStrategy: 'consolidate' });
+check('chilled SO006 left off an SXL-only selection and reported', 'no_temperature_compartment',
+  findUnassignedOrders(noReeferOrders, noReeferRun).map(order => order.unplacedReason.type).join(','));
+
+// Overflow vehicles are sized by the pallets they will actually carry
+console.log('\nTesting overflow planning with palletisation...');
+const palletConstraints = { palletization: { enabled: true } };
+const palletCartons = { ...mockOrders[0], id: 'SO950', quantity: 20, weight: 10 };
+check('overflow type for palletised cartons (1800 mm pallets do not fit a Tata Ace)', 'EICHER_14FT',
+  selectOverflowVehicleType([palletCartons], fleetVehicleTypes, resolvePalletSpec(palletConstraints.palletization))?.id);
+const optimizePalletized = (vehicle) => ({
+  ...vehicle,
+  loadPlan: new LoadOptimizer(vehicle.vehicleType, palletConstraints).optimizeLoad(vehicle.orders, { dropPoints: vehicle.dropPoints })
+});
+const lowVan = { ...fleetVehicleTypes.find(vt => vt.id === 'TATA_ACE'), id: 'LOW_VAN', dimensions: { length: 2000, width: 1500, height: 1000 } };
+const overflowPlan = planOverflowVehicles([optimizePalletized(createVehicleForOrders('V001', lowVan, [palletCartons]))],
+  fleetVehicleTypes.filter(vt => vt.id !== 'SXL'), optimizePalletized, palletConstraints);
+const overflowSummary = overflowPlan.vehicles.flatMap(vehicle => vehicle.loadPlan.unitSummary);
+check('all 20 cartons planned into overflow vehicles with nothing left unplaced', '20, 0',
+  `${overflowSummary.reduce((sum, entry) => sum + entry.placed, 0)}, ${overflowPlan.unplaced.length}`);
+check('no summary rows left for orders that moved off a vehicle', 0, overflowSummary.filter(entry => entry.ordered === 0).length);
+const eicherRun = [createVehicleForOrders('V001', fleetVehicleTypes.find(vt => vt.id === 'EICHER_14FT'), [palletCartons])];
+const moveToAce = (options) => errorMessageOf(() =>
+  moveOrderToVehicle(eicherRun, { orderId: 'SO950', fromVehicleId: 'V001' }, { vehicleTypeId: 'TATA_ACE' }, fleetVehicleTypes, options));
+check('palletised cartons kept off a Tata Ace, loose ones allowed', 'SO950 does not fit any ambient compartment of a new Tata Ace; allowed',
+  `${await moveToAce(palletConstraints)}; ${(await moveToAce({})) || 'allowed'}`);
+
 console.log('\nAll tests completed!');